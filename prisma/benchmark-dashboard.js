@@ -0,0 +1,287 @@
+// prisma/benchmark-dashboard.js
+//
+// Seeds a large set of synthetic cases, then times the dashboard counters and
+// case distribution against the queries they replaced, copied unchanged from
+// the original dashboard controller. Those counted soft-deleted cases and only
+// the "resolved" status, so their results differ; the grouped queries' results
+// are instead checked against a plain in-memory count with the current rules.
+// Synthetic cases use the "BENCH-" case ID prefix and are removed afterwards
+// unless --keep is passed.
+//
+//   node prisma/benchmark-dashboard.js [--cases=200000] [--runs=5] [--keep]
+//
+// Run it against a development database: the synthetic cases show up on the
+// dashboard while it runs.
+
+const { PrismaClient } = require("@prisma/client");
+const { isDeepStrictEqual } = require("util");
+const workflow = require("../src/services/caseWorkflow");
+const { NOT_DELETED } = require("../src/services/recordLifecycle");
+const { CASE_STATUSES } = require("../src/config/caseWorkflow");
+const { formatCaseType, caseCounters, caseDistribution } = require("../src/services/dashboard");
+
+const prisma = new PrismaClient();
+
+const option = (name, fallback) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? parseInt(arg.split("=")[1]) : fallback;
+};
+
+const CASE_COUNT = option("cases", 200000);
+const RUNS = option("runs", 5);
+const KEEP = process.argv.includes("--keep");
+const BATCH_SIZE = 5000;
+const PREFIX = "BENCH-";
+
+const TYPES = ["theft", "assault", "vandalism", "traffic", "drug", "fraud", "burglary", "other"];
+const STATUSES = Object.keys(CASE_STATUSES);
+const PRIORITIES = ["low", "medium", "high"];
+const SPAN_MS = 3 * 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Dashboard statistics exactly as they were queried before (five counts)
+ */
+async function baselineStatistics() {
+  const [total, open, resolved, investigation, priority] = await Promise.all([
+    prisma.caseFile.count(),
+    prisma.caseFile.count({ where: { status: "open" } }),
+    prisma.caseFile.count({ where: { status: "resolved" } }),
+    prisma.caseFile.count({ where: { status: "investigation" } }),
+    prisma.caseFile.count({ where: { priority: "high" } })
+  ]);
+
+  return { total, open, resolved, investigation, priority };
+}
+
+/**
+ * Case distribution exactly as it was computed before: every case loaded and
+ * counted in Node
+ */
+async function baselineDistribution() {
+  // Get all cases
+  const allCases = await prisma.caseFile.findMany({
+    select: {
+      type: true,
+      status: true,
+      createdAt: true
+    }
+  });
+
+  // Calculate current period (this month)
+  const now = new Date();
+  const thisMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
+
+  // Group by type and calculate statistics
+  const caseTypes = {};
+
+  allCases.forEach(c => {
+    const type = c.type;
+    if (!caseTypes[type]) {
+      caseTypes[type] = {
+        total: 0,
+        resolved: 0,
+        thisMonth: 0,
+        lastMonth: 0
+      };
+    }
+
+    caseTypes[type].total++;
+
+    if (c.status === "resolved") {
+      caseTypes[type].resolved++;
+    }
+
+    const caseDate = new Date(c.createdAt);
+    if (caseDate >= thisMonthStart) {
+      caseTypes[type].thisMonth++;
+    }
+    if (caseDate >= lastMonthStart && caseDate <= lastMonthEnd) {
+      caseTypes[type].lastMonth++;
+    }
+  });
+
+  // Format for frontend
+  const distribution = Object.entries(caseTypes).map(([type, stats]) => {
+    // Calculate trend
+    let trend = 0;
+    let trendDirection = "stable";
+
+    if (stats.lastMonth > 0) {
+      trend = Math.round(((stats.thisMonth - stats.lastMonth) / stats.lastMonth) * 100);
+      trendDirection = trend > 0 ? "up" : trend < 0 ? "down" : "stable";
+    } else if (stats.thisMonth > 0) {
+      trend = 100;
+      trendDirection = "up";
+    }
+
+    // Calculate resolution rate
+    const resolutionRate = stats.total > 0
+      ? Math.round((stats.resolved / stats.total) * 100)
+      : 0;
+
+    return {
+      type: formatCaseType(type),
+      count: stats.total,
+      trend: Math.abs(trend),
+      trendDirection,
+      resolutionRate
+    };
+  });
+
+  // Sort by count (descending)
+  distribution.sort((a, b) => b.count - a.count);
+
+  return distribution;
+}
+
+/**
+ * Dashboard statistics with the current rules, counted separately, to check
+ * the grouped query's results
+ */
+async function referenceCounters() {
+  const [total, statusCounts, priority] = await Promise.all([
+    prisma.caseFile.count({ where: NOT_DELETED }),
+    prisma.caseFile.groupBy({ by: ["status"], where: NOT_DELETED, _count: { _all: true } }),
+    prisma.caseFile.count({ where: { ...NOT_DELETED, priority: "high" } })
+  ]);
+
+  const { open, resolved, investigation, byStatus } = workflow.countByGroup(statusCounts);
+  return { total, open, resolved, investigation, priority, byStatus };
+}
+
+/**
+ * Case distribution with the current rules, every case loaded and counted in
+ * Node, to check the grouped query's results
+ */
+async function referenceDistribution(now) {
+  const allCases = await prisma.caseFile.findMany({
+    where: NOT_DELETED,
+    select: { type: true, status: true, createdAt: true }
+  });
+
+  const thisMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
+  const resolvedStatuses = workflow.getStatusesInGroup("resolved");
+  const caseTypes = {};
+
+  allCases.forEach(c => {
+    const stats = caseTypes[c.type] || (caseTypes[c.type] = { total: 0, resolved: 0, thisMonth: 0, lastMonth: 0 });
+    stats.total++;
+    if (resolvedStatuses.includes(c.status)) stats.resolved++;
+    const caseDate = new Date(c.createdAt);
+    if (caseDate >= thisMonthStart) stats.thisMonth++;
+    if (caseDate >= lastMonthStart && caseDate <= lastMonthEnd) stats.lastMonth++;
+  });
+
+  return Object.entries(caseTypes).map(([type, stats]) => {
+    let trend = 0;
+    let trendDirection = "stable";
+    if (stats.lastMonth > 0) {
+      trend = Math.round(((stats.thisMonth - stats.lastMonth) / stats.lastMonth) * 100);
+      trendDirection = trend > 0 ? "up" : trend < 0 ? "down" : "stable";
+    } else if (stats.thisMonth > 0) {
+      trend = 100;
+      trendDirection = "up";
+    }
+
+    return {
+      type: formatCaseType(type),
+      count: stats.total,
+      trend: Math.abs(trend),
+      trendDirection,
+      resolutionRate: stats.total > 0 ? Math.round((stats.resolved / stats.total) * 100) : 0
+    };
+  }).sort((a, b) => b.count - a.count);
+}
+
+// Ties in count may come back in either order
+const byCountThenType = (list) => [...list].sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+
+async function seed() {
+  const creator = await prisma.user.findFirst({ orderBy: { id: "asc" }, select: { id: true } });
+  if (!creator) throw new Error("Seed the database first (npm run db:seed): synthetic cases need a creating user");
+
+  const existing = await prisma.caseFile.count({ where: { caseId: { startsWith: PREFIX } } });
+  if (existing > 0) {
+    console.log(`✔ Reusing ${existing} synthetic cases already present`);
+    return;
+  }
+
+  console.log(`🌱 Seeding ${CASE_COUNT} synthetic cases...`);
+  const now = Date.now();
+
+  for (let offset = 0; offset < CASE_COUNT; offset += BATCH_SIZE) {
+    const data = [];
+    for (let i = offset; i < Math.min(offset + BATCH_SIZE, CASE_COUNT); i++) {
+      const createdAt = new Date(now - Math.floor(Math.random() * SPAN_MS));
+      data.push({
+        caseId: `${PREFIX}${String(i).padStart(7, "0")}`,
+        type: TYPES[i % TYPES.length],
+        status: STATUSES[Math.floor(Math.random() * STATUSES.length)],
+        priority: PRIORITIES[Math.floor(Math.random() * PRIORITIES.length)],
+        location: "Benchmark",
+        createdById: creator.id,
+        reported: createdAt,
+        createdAt,
+        // A few soft-deleted cases so the NOT_DELETED filter is exercised
+        deletedAt: i % 50 === 0 ? createdAt : null
+      });
+    }
+    await prisma.caseFile.createMany({ data });
+  }
+}
+
+async function time(label, fn) {
+  const durations = [];
+  let result;
+  for (let i = 0; i < RUNS; i++) {
+    const started = process.hrtime.bigint();
+    result = await fn();
+    durations.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+
+  durations.sort((a, b) => a - b);
+  const median = durations[Math.floor(durations.length / 2)];
+  console.log(`  ${label.padEnd(28)} median ${median.toFixed(1)} ms  (min ${durations[0].toFixed(1)}, max ${durations[durations.length - 1].toFixed(1)})`);
+  return result;
+}
+
+async function main() {
+  await seed();
+
+  const total = await prisma.caseFile.count();
+  const now = new Date();
+  console.log(`⏱  Timing over ${total} cases, ${RUNS} runs each:`);
+
+  await time("statistics (before)", baselineStatistics);
+  const newCounters = await time("statistics (grouped)", () => caseCounters(prisma));
+  await time("case distribution (before)", baselineDistribution);
+  const newDistribution = await time("case distribution (grouped)", () => caseDistribution(prisma, { now }));
+
+  const countersMatch = isDeepStrictEqual(await referenceCounters(), newCounters);
+  const distributionMatches = isDeepStrictEqual(
+    byCountThenType(await referenceDistribution(now)),
+    byCountThenType(newDistribution)
+  );
+
+  console.log(`${countersMatch ? "✔" : "✘"} statistics ${countersMatch ? "match" : "differ"}`);
+  console.log(`${distributionMatches ? "✔" : "✘"} case distribution ${distributionMatches ? "matches" : "differs"}`);
+  if (!countersMatch || !distributionMatches) process.exitCode = 1;
+}
+
+main()
+  .catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    // Clean up even after a failure, so a half-seeded set isn't left behind
+    if (!KEEP) {
+      const { count } = await prisma.caseFile.deleteMany({ where: { caseId: { startsWith: PREFIX } } });
+      if (count > 0) console.log(`🧹 Removed ${count} synthetic cases`);
+    }
+    await prisma.$disconnect();
+  });
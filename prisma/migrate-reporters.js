@@ -0,0 +1,110 @@
+// prisma/migrate-reporters.js
+//
+// Turns the free-text `reporter` strings on cases (and on incidents linked to
+// a case) into person records linked to the case as complainants.
+// A name alone doesn't identify anyone, so every case gets its own person for
+// each distinct reporter; names that turn up on several cases are listed at
+// the end as possible duplicates for someone to review and merge by hand.
+// Safe to run more than once. Pass --dry-run to preview without writing.
+
+const { PrismaClient } = require("@prisma/client");
+const { splitFullName } = require("../src/services/persons");
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes("--dry-run");
+
+const MIGRATED_NOTE = "Migrated from reporter field";
+
+async function main() {
+  console.log(`👤 Migrating reporters to person records${dryRun ? " (dry run)" : ""}...`);
+
+  const [cases, incidents] = await Promise.all([
+    prisma.caseFile.findMany({
+      where: { reporter: { not: null } },
+      select: { id: true, caseId: true, reporter: true }
+    }),
+    prisma.incident.findMany({
+      where: { reporter: { not: null }, caseId: { not: null } },
+      select: { caseId: true, reporter: true }
+    })
+  ]);
+
+  // One entry per case/name pair
+  const pairs = new Map();
+  cases.forEach(c => pairs.set(`${c.id}:${c.reporter.trim().toLowerCase()}`, { caseId: c.id, name: c.reporter }));
+  incidents.forEach(i => pairs.set(`${i.caseId}:${i.reporter.trim().toLowerCase()}`, { caseId: i.caseId, name: i.reporter }));
+
+  let personsCreated = 0;
+  let skipped = 0;
+
+  // Normalised name -> [{ caseId, personId }] for the duplicates report
+  const byName = new Map();
+
+  for (const { caseId, name } of pairs.values()) {
+    const parts = splitFullName(name);
+    if (!parts) {
+      skipped++;
+      continue;
+    }
+
+    // A person this script already created for the same reporter on this case
+    // Matching relies on the database collation being case-insensitive.
+    const existing = await prisma.casePerson.findFirst({
+      where: {
+        caseId,
+        role: "complainant",
+        notes: MIGRATED_NOTE,
+        person: { firstName: parts.firstName, lastName: parts.lastName, otherNames: parts.otherNames }
+      }
+    });
+
+    let personId = existing ? existing.personId : null;
+
+    if (!existing) {
+      if (dryRun) {
+        console.log(`  would link "${name.trim()}" to case #${caseId} as complainant`);
+      } else {
+        const link = await prisma.casePerson.create({
+          data: {
+            role: "complainant",
+            notes: MIGRATED_NOTE,
+            case: { connect: { id: caseId } },
+            person: { create: parts }
+          }
+        });
+        personId = link.personId;
+        personsCreated++;
+      }
+    }
+
+    const key = name.trim().replace(/\s+/g, " ").toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), { caseId, personId }]);
+  }
+
+  console.log(`✔ ${pairs.size} reporter entries processed`);
+  console.log(`✔ ${personsCreated} persons created and linked, ${skipped} skipped`);
+
+  const duplicates = [...byName.entries()].filter(([, entries]) => entries.length > 1);
+  if (duplicates.length > 0) {
+    const caseRefs = new Map(cases.map(c => [c.id, c.caseId]));
+    const caseRef = (id) => caseRefs.get(id) || `#${id}`;
+
+    console.log(`\n⚠ ${duplicates.length} reporter names appear on more than one case.`);
+    console.log("  These may or may not be the same person; review them and merge by hand:");
+    duplicates.forEach(([key, entries]) => {
+      const list = entries
+        .map(e => e.personId ? `${caseRef(e.caseId)} (person #${e.personId})` : caseRef(e.caseId))
+        .join(", ");
+      console.log(`  "${key}": ${list}`);
+    });
+  }
+}
+
+main()
+  .catch(e => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE `case_revisions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `caseId` INTEGER NOT NULL,
+    `userId` INTEGER NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_caseId`(`caseId`),
+    INDEX `idx_userId`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `case_revision_changes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `revisionId` INTEGER NOT NULL,
+    `field` VARCHAR(64) NOT NULL,
+    `oldValue` TEXT NULL,
+    `newValue` TEXT NULL,
+
+    INDEX `idx_revisionId`(`revisionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `case_revisions` ADD CONSTRAINT `case_revisions_ibfk_1` FOREIGN KEY (`caseId`) REFERENCES `cases`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `case_revisions` ADD CONSTRAINT `case_revisions_ibfk_2` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `case_revision_changes` ADD CONSTRAINT `case_revision_changes_ibfk_1` FOREIGN KEY (`revisionId`) REFERENCES `case_revisions`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
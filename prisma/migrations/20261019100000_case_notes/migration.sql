@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE `case_notes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `caseId` INTEGER NOT NULL,
+    `authorId` INTEGER NOT NULL,
+    `type` VARCHAR(32) NOT NULL DEFAULT 'update',
+    `content` TEXT NOT NULL,
+    `redacted` BOOLEAN NOT NULL DEFAULT false,
+    `redactionReason` TEXT NULL,
+    `redactedById` INTEGER NULL,
+    `redactedAt` DATETIME(0) NULL,
+    `editedAt` DATETIME(0) NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updatedAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_caseId`(`caseId`),
+    INDEX `idx_authorId`(`authorId`),
+    INDEX `idx_type`(`type`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `case_notes` ADD CONSTRAINT `case_notes_ibfk_1` FOREIGN KEY (`caseId`) REFERENCES `cases`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `case_notes` ADD CONSTRAINT `case_notes_ibfk_2` FOREIGN KEY (`authorId`) REFERENCES `user`(`id`) ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `case_notes` ADD CONSTRAINT `case_notes_ibfk_3` FOREIGN KEY (`redactedById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,57 @@
+-- CreateTable
+CREATE TABLE `evidence` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `caseId` INTEGER NOT NULL,
+    `category` VARCHAR(32) NOT NULL DEFAULT 'document',
+    `description` TEXT NULL,
+    `fileName` VARCHAR(191) NOT NULL,
+    `mimeType` VARCHAR(191) NOT NULL,
+    `size` INTEGER NOT NULL,
+    `sha256` CHAR(64) NOT NULL,
+    `storageKey` VARCHAR(191) NOT NULL,
+    `status` VARCHAR(32) NOT NULL DEFAULT 'in_storage',
+    `custodianId` INTEGER NULL,
+    `uploadedById` INTEGER NOT NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updatedAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `storageKey`(`storageKey`),
+    INDEX `idx_caseId`(`caseId`),
+    INDEX `idx_sha256`(`sha256`),
+    INDEX `idx_status`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `custody_events` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `evidenceId` INTEGER NOT NULL,
+    `action` VARCHAR(32) NOT NULL,
+    `userId` INTEGER NULL,
+    `toUserId` INTEGER NULL,
+    `notes` TEXT NULL,
+    `ipAddress` VARCHAR(64) NULL,
+    `timestamp` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `idx_evidenceId`(`evidenceId`),
+    INDEX `idx_timestamp`(`timestamp`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `evidence` ADD CONSTRAINT `evidence_ibfk_1` FOREIGN KEY (`caseId`) REFERENCES `cases`(`id`) ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `evidence` ADD CONSTRAINT `evidence_ibfk_2` FOREIGN KEY (`uploadedById`) REFERENCES `user`(`id`) ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `evidence` ADD CONSTRAINT `evidence_ibfk_3` FOREIGN KEY (`custodianId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `custody_events` ADD CONSTRAINT `custody_events_ibfk_1` FOREIGN KEY (`evidenceId`) REFERENCES `evidence`(`id`) ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `custody_events` ADD CONSTRAINT `custody_events_ibfk_2` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `custody_events` ADD CONSTRAINT `custody_events_ibfk_3` FOREIGN KEY (`toUserId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE `persons` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `firstName` VARCHAR(191) NOT NULL,
+    `lastName` VARCHAR(191) NULL,
+    `otherNames` VARCHAR(191) NULL,
+    `dateOfBirth` DATE NULL,
+    `gender` VARCHAR(16) NULL,
+    `nationalId` VARCHAR(191) NULL,
+    `phone` VARCHAR(191) NULL,
+    `email` VARCHAR(191) NULL,
+    `address` TEXT NULL,
+    `notes` TEXT NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updatedAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `nationalId`(`nationalId`),
+    INDEX `idx_name`(`lastName`, `firstName`),
+    INDEX `idx_phone`(`phone`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `person_aliases` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `personId` INTEGER NOT NULL,
+    `alias` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `uq_person_alias`(`personId`, `alias`),
+    INDEX `idx_alias`(`alias`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `case_persons` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `caseId` INTEGER NOT NULL,
+    `personId` INTEGER NOT NULL,
+    `role` VARCHAR(32) NOT NULL,
+    `notes` TEXT NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `uq_case_person_role`(`caseId`, `personId`, `role`),
+    INDEX `idx_personId`(`personId`),
+    INDEX `idx_role`(`role`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `persons` ADD CONSTRAINT `persons_ibfk_1` FOREIGN KEY (`createdById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `person_aliases` ADD CONSTRAINT `person_aliases_ibfk_1` FOREIGN KEY (`personId`) REFERENCES `persons`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `case_persons` ADD CONSTRAINT `case_persons_ibfk_1` FOREIGN KEY (`caseId`) REFERENCES `cases`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `case_persons` ADD CONSTRAINT `case_persons_ibfk_2` FOREIGN KEY (`personId`) REFERENCES `persons`(`id`) ON DELETE RESTRICT ON UPDATE NO ACTION;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE `officers` ADD COLUMN `userId` INTEGER NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `userId` ON `officers`(`userId`);
+
+-- AddForeignKey
+ALTER TABLE `officers` ADD CONSTRAINT `officers_ibfk_1` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- Link existing officers to the user account with the same email
+UPDATE `officers` o
+    INNER JOIN `user` u ON u.`email` = o.`email`
+SET o.`userId` = u.`id`
+WHERE o.`userId` IS NULL;
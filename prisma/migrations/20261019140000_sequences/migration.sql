@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE `sequences` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(32) NOT NULL,
+    `scope` VARCHAR(64) NOT NULL,
+    `value` INTEGER NOT NULL,
+    `updatedAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `uq_sequence_scope`(`name`, `scope`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Continue numbering after the IDs already issued (CA-0001, RPT-1026, ...)
+INSERT INTO `sequences` (`name`, `scope`, `value`)
+SELECT 'case', 'CA', MAX(CAST(SUBSTRING_INDEX(`caseId`, '-', -1) AS UNSIGNED))
+FROM `cases`
+WHERE `caseId` REGEXP '^CA-[0-9]+$'
+HAVING COUNT(*) > 0;
+
+INSERT INTO `sequences` (`name`, `scope`, `value`)
+SELECT 'report', 'RPT', MAX(CAST(SUBSTRING_INDEX(`reportId`, '-', -1) AS UNSIGNED))
+FROM `reports`
+WHERE `reportId` REGEXP '^RPT-[0-9]+$'
+HAVING COUNT(*) > 0;
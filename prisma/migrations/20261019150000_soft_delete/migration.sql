@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE `cases` ADD COLUMN `archivedAt` DATETIME(0) NULL,
+    ADD COLUMN `deletedAt` DATETIME(0) NULL,
+    ADD COLUMN `deletedById` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `incidents` ADD COLUMN `archivedAt` DATETIME(0) NULL,
+    ADD COLUMN `deletedAt` DATETIME(0) NULL,
+    ADD COLUMN `deletedById` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `reports` ADD COLUMN `archivedAt` DATETIME(0) NULL,
+    ADD COLUMN `deletedAt` DATETIME(0) NULL,
+    ADD COLUMN `deletedById` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `idx_deletedAt` ON `cases`(`deletedAt`);
+
+-- CreateIndex
+CREATE INDEX `idx_archivedAt` ON `cases`(`archivedAt`);
+
+-- CreateIndex
+CREATE INDEX `idx_deletedAt` ON `incidents`(`deletedAt`);
+
+-- CreateIndex
+CREATE INDEX `idx_archivedAt` ON `incidents`(`archivedAt`);
+
+-- CreateIndex
+CREATE INDEX `idx_deletedAt` ON `reports`(`deletedAt`);
+
+-- CreateIndex
+CREATE INDEX `idx_archivedAt` ON `reports`(`archivedAt`);
+
+-- AddForeignKey
+ALTER TABLE `cases` ADD CONSTRAINT `cases_ibfk_3` FOREIGN KEY (`deletedById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `incidents` ADD CONSTRAINT `incidents_ibfk_2` FOREIGN KEY (`deletedById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `reports` ADD CONSTRAINT `reports_ibfk_3` FOREIGN KEY (`deletedById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE `cases` ADD COLUMN `legalHold` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `legalHoldReason` TEXT NULL,
+    ADD COLUMN `legalHoldById` INTEGER NULL,
+    ADD COLUMN `legalHoldAt` DATETIME(0) NULL;
+
+-- CreateTable
+CREATE TABLE `retention_policies` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `recordType` VARCHAR(32) NOT NULL,
+    `action` VARCHAR(16) NOT NULL DEFAULT 'archive',
+    `retentionDays` INTEGER NOT NULL,
+    `enabled` BOOLEAN NOT NULL DEFAULT false,
+    `updatedById` INTEGER NULL,
+    `updatedAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `recordType`(`recordType`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `retention_runs` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `dryRun` BOOLEAN NOT NULL DEFAULT false,
+    `triggeredById` INTEGER NULL,
+    `summary` TEXT NULL,
+    `startedAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `finishedAt` DATETIME(0) NULL,
+
+    INDEX `idx_startedAt`(`startedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `cases` ADD CONSTRAINT `cases_ibfk_4` FOREIGN KEY (`legalHoldById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `retention_policies` ADD CONSTRAINT `retention_policies_ibfk_1` FOREIGN KEY (`updatedById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `retention_runs` ADD CONSTRAINT `retention_runs_ibfk_1` FOREIGN KEY (`triggeredById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- Default policies, all disabled until an admin turns them on
+INSERT INTO `retention_policies` (`recordType`, `action`, `retentionDays`, `enabled`) VALUES
+    ('activity_logs', 'purge', 365, false),
+    ('resolved_cases', 'archive', 30, false),
+    ('incidents', 'archive', 90, false),
+    ('reports', 'archive', 180, false);
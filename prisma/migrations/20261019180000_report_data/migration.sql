@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `reports` ADD COLUMN `periodStart` DATE NULL,
+    ADD COLUMN `periodEnd` DATE NULL,
+    ADD COLUMN `parameters` TEXT NULL,
+    ADD COLUMN `data` LONGTEXT NULL;
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE `report_schedules` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(100) NOT NULL,
+    `reportType` VARCHAR(32) NOT NULL,
+    `recurrence` VARCHAR(100) NOT NULL,
+    `period` VARCHAR(16) NOT NULL DEFAULT 'week',
+    `format` VARCHAR(16) NULL,
+    `parameters` TEXT NULL,
+    `recipients` TEXT NULL,
+    `status` VARCHAR(16) NOT NULL DEFAULT 'active',
+    `ownerId` INTEGER NOT NULL,
+    `nextRunAt` DATETIME(0) NULL,
+    `lastRunAt` DATETIME(0) NULL,
+    `lastError` TEXT NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updatedAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_ownerId`(`ownerId`),
+    INDEX `idx_status_nextRunAt`(`status`, `nextRunAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `reports` ADD COLUMN `scheduleId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `idx_scheduleId` ON `reports`(`scheduleId`);
+
+-- AddForeignKey
+ALTER TABLE `report_schedules` ADD CONSTRAINT `report_schedules_ibfk_1` FOREIGN KEY (`ownerId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `reports` ADD CONSTRAINT `reports_ibfk_4` FOREIGN KEY (`scheduleId`) REFERENCES `report_schedules`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
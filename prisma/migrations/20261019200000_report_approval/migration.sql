@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE `reports` ADD COLUMN `status` VARCHAR(16) NOT NULL DEFAULT 'draft',
+    ADD COLUMN `approvedById` INTEGER NULL,
+    ADD COLUMN `approvedAt` DATETIME(0) NULL;
+
+-- Reports created before the workflow were final as soon as they were generated
+UPDATE `reports` SET `status` = 'approved';
+
+-- CreateTable
+CREATE TABLE `report_reviews` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `reportId` INTEGER NOT NULL,
+    `action` VARCHAR(16) NOT NULL,
+    `fromStatus` VARCHAR(16) NOT NULL,
+    `toStatus` VARCHAR(16) NOT NULL,
+    `comment` TEXT NULL,
+    `userId` INTEGER NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_reportId`(`reportId`),
+    INDEX `idx_userId`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `idx_status` ON `reports`(`status`);
+
+-- AddForeignKey
+ALTER TABLE `reports` ADD CONSTRAINT `reports_ibfk_5` FOREIGN KEY (`approvedById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `report_reviews` ADD CONSTRAINT `report_reviews_ibfk_1` FOREIGN KEY (`reportId`) REFERENCES `reports`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `report_reviews` ADD CONSTRAINT `report_reviews_ibfk_2` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
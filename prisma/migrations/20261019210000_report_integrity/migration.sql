@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE `reports` ADD COLUMN `contentHash` VARCHAR(64) NULL,
+    ADD COLUMN `signature` VARCHAR(64) NULL,
+    ADD COLUMN `verificationCode` VARCHAR(19) NULL,
+    ADD COLUMN `signedAt` DATETIME(0) NULL,
+    ADD COLUMN `documentHash` VARCHAR(64) NULL,
+    ADD COLUMN `documentKey` VARCHAR(255) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `verificationCode` ON `reports`(`verificationCode`);
+
+-- CreateIndex
+CREATE INDEX `idx_documentHash` ON `reports`(`documentHash`);
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX `idx_type_status` ON `cases`(`type`, `status`);
+
+-- CreateIndex
+CREATE INDEX `idx_createdAt_type` ON `cases`(`createdAt`, `type`);
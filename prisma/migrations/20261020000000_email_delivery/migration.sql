@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE `email_messages` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `template` VARCHAR(50) NOT NULL,
+    `to` VARCHAR(255) NOT NULL,
+    `subject` VARCHAR(255) NOT NULL,
+    `text` TEXT NOT NULL,
+    `html` TEXT NULL,
+    `attachments` TEXT NULL,
+    `status` VARCHAR(16) NOT NULL DEFAULT 'pending',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `nextAttemptAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `lastError` TEXT NULL,
+    `sentAt` DATETIME(0) NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updatedAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_status_nextAttemptAt`(`status`, `nextAttemptAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `password_resets` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `tokenHash` CHAR(64) NOT NULL,
+    `expiresAt` DATETIME(0) NOT NULL,
+    `usedAt` DATETIME(0) NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `tokenHash`(`tokenHash`),
+    INDEX `idx_userId`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `password_resets` ADD CONSTRAINT `password_resets_ibfk_1` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
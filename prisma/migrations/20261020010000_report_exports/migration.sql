@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE `report_exports` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `reportId` INTEGER NOT NULL,
+    `format` VARCHAR(16) NOT NULL,
+    `documentKey` VARCHAR(255) NOT NULL,
+    `documentHash` VARCHAR(64) NOT NULL,
+    `createdAt` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `uq_report_export_format`(`reportId`, `format`),
+    INDEX `idx_documentHash`(`documentHash`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `report_exports` ADD CONSTRAINT `report_exports_ibfk_1` FOREIGN KEY (`reportId`) REFERENCES `reports`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
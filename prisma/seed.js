@@ -1,5 +1,7 @@
 const { PrismaClient } = require("@prisma/client");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { linkOfficerByEmail } = require("../src/services/officers");
 
 const prisma = new PrismaClient();
 
@@ -77,12 +79,45 @@ async function main() {
     }
   ];
 
+  // Officers are linked to the user account with the same email, as on
+  // migration. The seed never creates credentialed accounts in production
+  // (it runs on every deploy); elsewhere an officer without an account gets
+  // one with a random password, printed once, so cases can be assigned.
+  const createAccounts = process.env.NODE_ENV !== "production";
+
   for (const o of officers) {
-    await prisma.officer.upsert({
+    const officer = await prisma.officer.upsert({
       where: { badge: o.badge },
       update: {},
       create: o
     });
+    if (officer.userId) continue;
+
+    let account = await prisma.user.findFirst({ where: { email: o.email }, select: { id: true } });
+
+    if (!account && createAccounts) {
+      const username = o.email.split("@")[0];
+      if (await prisma.user.findUnique({ where: { username }, select: { id: true } })) {
+        console.warn(`⚠ Username ${username} is taken; officer ${o.badge} left without an account`);
+        continue;
+      }
+
+      const password = crypto.randomBytes(9).toString("base64url");
+      account = await prisma.user.create({
+        data: {
+          username,
+          password: await bcrypt.hash(password, 10),
+          name: `${o.firstName} ${o.lastName}`,
+          email: o.email,
+          role: "officer",
+          department: o.department
+        },
+        select: { id: true }
+      });
+      console.log(`✔ Account for officer ${o.badge}: ${username} / ${password}`);
+    }
+
+    if (account) await linkOfficerByEmail(prisma, account.id, o.email);
   }
 
   console.log("✔ Officers created");
@@ -24,6 +24,11 @@ async function apiRequest(endpoint, options = {}) {
     }
   };
 
+  // Let the browser set the multipart boundary for file uploads
+  if (options.body instanceof FormData) {
+    delete config.headers['Content-Type'];
+  }
+
   if (token) {
     config.headers['Authorization'] = `Bearer ${token}`;
   }
@@ -51,6 +56,19 @@ async function apiRequest(endpoint, options = {}) {
   }
 }
 
+/**
+ * Open the live event stream; `handlers` maps event types to callbacks
+ * EventSource can't send headers, so the token goes in the query string.
+ * The browser reconnects on its own; call close() on the result to stop.
+ */
+export const subscribeToEvents = (handlers = {}) => {
+  const source = new EventSource(`${API_BASE_URL}/events?token=${encodeURIComponent(getToken())}`);
+  Object.entries(handlers).forEach(([type, handler]) => {
+    source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+  });
+  return source;
+};
+
 // ============================================================================
 // AUTHENTICATION API
 // ============================================================================
@@ -179,10 +197,67 @@ export const deleteCaseApi = (caseId) => {
   });
 };
 
+export const archiveCaseApi = (caseId) => {
+  return apiRequest(`/cases/${caseId}/archive`, {
+    method: 'POST'
+  });
+};
+
+export const restoreCaseApi = (caseId) => {
+  return apiRequest(`/cases/${caseId}/restore`, {
+    method: 'POST'
+  });
+};
+
 export const fetchCaseStatistics = () => {
   return apiRequest('/cases/statistics');
 };
 
+export const fetchCaseHistory = (caseId) => {
+  return apiRequest(`/cases/${caseId}/history`);
+};
+
+export const fetchCaseTimeline = (caseId) => {
+  return apiRequest(`/cases/${caseId}/timeline`);
+};
+
+export const fetchCaseNotes = (caseId) => {
+  return apiRequest(`/cases/${caseId}/notes`);
+};
+
+export const createCaseNote = (caseId, noteObj) => {
+  return apiRequest(`/cases/${caseId}/notes`, {
+    method: 'POST',
+    body: JSON.stringify(noteObj)
+  });
+};
+
+export const updateCaseNoteApi = (caseId, noteId, updates) => {
+  return apiRequest(`/cases/${caseId}/notes/${noteId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(updates)
+  });
+};
+
+export const redactCaseNoteApi = (caseId, noteId, reason) => {
+  return apiRequest(`/cases/${caseId}/notes/${noteId}/redact`, {
+    method: 'POST',
+    body: JSON.stringify({ reason })
+  });
+};
+
+export const fetchCaseWorkflow = () => {
+  return apiRequest('/cases/workflow');
+};
+
+export const fetchAssignmentSuggestions = (type) => {
+  return apiRequest(`/cases/assignment-suggestions?type=${encodeURIComponent(type || '')}`);
+};
+
+export const fetchCaseAssignmentSuggestions = (caseId) => {
+  return apiRequest(`/cases/${caseId}/assignment-suggestions`);
+};
+
 // ============================================================================
 // OFFICER API
 // ============================================================================
@@ -223,8 +298,16 @@ export const fetchOfficerStatistics = () => {
 // REPORT API
 // ============================================================================
 
-export const fetchReports = () => {
-  return apiRequest('/reports');
+/**
+ * List reports; filters (e.g. { caseId }) with empty values are left out
+ */
+export const fetchReports = (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  const query = params.toString();
+  return apiRequest(`/reports${query ? `?${query}` : ''}`);
 };
 
 export const generateReport = (reportObj) => {
@@ -240,6 +323,99 @@ export const deleteReportApi = (reportId) => {
   });
 };
 
+export const archiveReportApi = (reportId) => {
+  return apiRequest(`/reports/${reportId}/archive`, {
+    method: 'POST'
+  });
+};
+
+export const restoreReportApi = (reportId) => {
+  return apiRequest(`/reports/${reportId}/restore`, {
+    method: 'POST'
+  });
+};
+
+// ============================================================================
+// RECYCLE BIN API
+// ============================================================================
+
+export const fetchRecycleBin = (type = '') => {
+  return apiRequest(`/recycle-bin${type ? `?type=${type}` : ''}`);
+};
+
+// ============================================================================
+// SETTINGS API
+// ============================================================================
+
+export const fetchSettings = () => {
+  return apiRequest('/settings');
+};
+
+export const updateSettings = (updates) => {
+  return apiRequest('/settings', {
+    method: 'PUT',
+    body: JSON.stringify(updates)
+  });
+};
+
+// ============================================================================
+// RETENTION API
+// ============================================================================
+
+export const fetchRetentionPolicies = () => {
+  return apiRequest('/retention/policies');
+};
+
+export const updateRetentionPolicy = (recordType, updates) => {
+  return apiRequest(`/retention/policies/${recordType}`, {
+    method: 'PUT',
+    body: JSON.stringify(updates)
+  });
+};
+
+export const previewRetention = () => {
+  return apiRequest('/retention/preview', {
+    method: 'POST'
+  });
+};
+
+export const fetchRetentionRuns = () => {
+  return apiRequest('/retention/runs');
+};
+
+// ============================================================================
+// REPORT SCHEDULE API
+// ============================================================================
+
+export const fetchReportSchedules = () => {
+  return apiRequest('/report-schedules');
+};
+
+export const createReportSchedule = (scheduleObj) => {
+  return apiRequest('/report-schedules', {
+    method: 'POST',
+    body: JSON.stringify(scheduleObj)
+  });
+};
+
+export const pauseReportSchedule = (scheduleId) => {
+  return apiRequest(`/report-schedules/${scheduleId}/pause`, {
+    method: 'POST'
+  });
+};
+
+export const resumeReportSchedule = (scheduleId) => {
+  return apiRequest(`/report-schedules/${scheduleId}/resume`, {
+    method: 'POST'
+  });
+};
+
+export const deleteReportSchedule = (scheduleId) => {
+  return apiRequest(`/report-schedules/${scheduleId}`, {
+    method: 'DELETE'
+  });
+};
+
 // ============================================================================
 // INCIDENT API
 // ============================================================================
@@ -263,24 +439,37 @@ export const fetchIncidentStatistics = () => {
 // DASHBOARD API
 // ============================================================================
 
-export const fetchDashboardStatistics = () => {
-  return apiRequest('/dashboard/statistics');
+/**
+ * Dashboard panel URL; filters ({ department, unit, from, to, limit })
+ * with empty values are left out
+ */
+const dashboardPath = (panel, filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  const query = params.toString();
+  return `/dashboard/${panel}${query ? `?${query}` : ''}`;
+};
+
+export const fetchDashboardStatistics = (filters = {}) => {
+  return apiRequest(dashboardPath('statistics', filters));
 };
 
 export const fetchRecentActivity = (limit = 10) => {
   return apiRequest(`/dashboard/recent-activity?limit=${limit}`);
 };
 
-export const fetchCaseDistribution = () => {
-  return apiRequest('/dashboard/case-distribution');
+export const fetchCaseDistribution = (filters = {}) => {
+  return apiRequest(dashboardPath('case-distribution', filters));
 };
 
-export const fetchRecentCases = () => {
-  return apiRequest('/dashboard/recent-cases');
+export const fetchRecentCases = (filters = {}) => {
+  return apiRequest(dashboardPath('recent-cases', filters));
 };
 
-export const fetchPersonnelStatus = () => {
-  return apiRequest('/dashboard/personnel-status');
+export const fetchPersonnelStatus = (filters = {}) => {
+  return apiRequest(dashboardPath('personnel-status', filters));
 };
 
 // ============================================================================
@@ -291,43 +480,117 @@ export const fetchReportById = (reportId) => {
   return apiRequest(`/reports/${reportId}`);
 };
 
-export const downloadReportPDF = async (reportId) => {
-  const token = getToken();
-  
-  try {
-    const response = await fetch(`${API_BASE_URL}/reports/${reportId}/pdf`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
+export const updateReport = (reportId, updates) => {
+  return apiRequest(`/reports/${reportId}`, {
+    method: 'PUT',
+    body: JSON.stringify(updates)
+  });
+};
 
-    if (!response.ok) {
-      throw new Error('PDF download failed');
+/**
+ * Check a report document (a File) or a verification code against issued reports
+ */
+export const verifyReport = (fileOrCode) => {
+  const body = new FormData();
+  if (typeof fileOrCode === 'string') body.append('code', fileOrCode);
+  else body.append('file', fileOrCode);
+
+  return apiRequest('/reports/verify', {
+    method: 'POST',
+    body
+  });
+};
+
+/**
+ * Move a report through approval: 'submit', 'withdraw', 'approve' or 'reject'
+ */
+export const reviewReport = (reportId, action, comment = '') => {
+  return apiRequest(`/reports/${reportId}/${action}`, {
+    method: 'POST',
+    body: JSON.stringify({ comment })
+  });
+};
+
+/**
+ * Download a file from an authenticated endpoint, using the server's filename
+ */
+const downloadFile = async (endpoint, fallbackName) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: {
+      'Authorization': `Bearer ${getToken()}`
     }
+  });
 
-    const blob = await response.blob();
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${reportId}.pdf`;
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    a.remove();
-
-    return { success: true };
-  } catch (error) {
-    console.error('PDF download error:', error);
-    throw error;
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Download failed');
   }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+
+  const blob = await response.blob();
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  a.remove();
+
+  return { success: true };
+};
+
+/**
+ * Download a report; without a format the report's own format is used
+ */
+export const downloadReportFile = (reportId, format = '') => {
+  return downloadFile(`/reports/${reportId}/download${format ? `?format=${format}` : ''}`, reportId);
+};
+
+export const downloadReportPDF = (reportId) => {
+  return downloadReportFile(reportId, 'pdf');
+};
+
+/**
+ * Export a list ('cases', 'incidents', 'officers' or 'users') as CSV or Excel
+ * Empty filters are left out.
+ */
+export const exportRecords = (resource, format, filters = {}) => {
+  const params = new URLSearchParams({ format });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  return downloadFile(`/${resource}/export?${params}`, `${resource}-export`);
+};
+
+// ============================================================================
+// NOTIFICATION API
+// ============================================================================
+
+export const fetchNotifications = (unreadOnly = false) => {
+  return apiRequest(`/notifications${unreadOnly ? '?unread=true' : ''}`);
+};
+
+export const markNotificationRead = (id) => {
+  return apiRequest(`/notifications/${id}/read`, {
+    method: 'POST'
+  });
+};
+
+export const markAllNotificationsRead = () => {
+  return apiRequest('/notifications/read-all', {
+    method: 'POST'
+  });
 };
 
 // ============================================================================
 // ANALYTICS API 
 // ============================================================================
 
-export const fetchAnalytics = () => {
-  return apiRequest('/analytics');
+export const fetchAnalytics = (period = 'month') => {
+  return apiRequest(`/analytics?period=${period}`);
 };
 
 export const fetchAnalyticsSummary = () => {
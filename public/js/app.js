@@ -45,10 +45,12 @@ try {
 }
 
 let currentSection = "dashboard";
+let recentActivity = [];
 let allCases = [];
 let allOfficers = [];
 let allReports = [];
 let allUsers = [];
+let appSettings = { system: {}, preferences: {} };
 
 const ITEMS_PER_PAGE = 10;
 let currentPage = { cases: 1, reports: 1, personnel: 1, users: 1 };
@@ -96,18 +98,32 @@ function showToast(message, type = "info") {
 function formatDate(dateString) {
   if (!dateString) return "N/A";
   const d = new Date(dateString);
-  return d.toLocaleDateString(undefined, {
-    year: "numeric",
-    month: "short",
-    day: "numeric"
-  });
+  const { dateFormat, timezone } = appSettings.preferences;
+
+  if (!dateFormat) {
+    return d.toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "short",
+      day: "numeric"
+    });
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit" })
+      .formatToParts(d)
+      .map(p => [p.type, p.value])
+  );
+  return dateFormat.replace("YYYY", parts.year).replace("MM", parts.month).replace("DD", parts.day);
 }
 
 function getStatusBadgeClass(s) {
   return {
     open: "badge-open",
     investigation: "badge-investigation",
+    pending_prosecution: "badge-pending_prosecution",
     resolved: "badge-resolved",
+    closed: "badge-closed",
+    reopened: "badge-reopened",
     priority: "badge-priority"
   }[s] || "badge-open";
 }
@@ -167,6 +183,7 @@ function initNavigation() {
 
 function handleLogout() {
   if (confirm('Are you sure you want to logout?')) {
+    stopLiveUpdates();
     localStorage.removeItem('authToken');
     localStorage.removeItem('currentUser');
     showToast('Logging out...');
@@ -215,6 +232,7 @@ async function loadSectionData(sectionId) {
       break;
     case "settings":
       await loadUsers();
+      await loadRetentionSettings();
       break;
     case "map":
       await loadIncidents();
@@ -230,19 +248,57 @@ async function loadSectionData(sectionId) {
    DASHBOARD - COMPLETE BACKEND INTEGRATION WITH DEBUGGING
    ------------------------------------------------------------------ */
 
+/**
+ * Department / unit / date range chosen in the dashboard filter bar
+ */
+function getDashboardFilters() {
+  return {
+    department: document.getElementById('dashboardDepartment')?.value.trim() || '',
+    unit: document.getElementById('dashboardUnit')?.value.trim() || '',
+    from: document.getElementById('dashboardFrom')?.value || '',
+    to: document.getElementById('dashboardTo')?.value || ''
+  };
+}
+
+function renderDashboardScope(filters) {
+  const scope = document.getElementById('dashboardScope');
+  if (!scope) return;
+
+  const parts = [];
+  if (filters.department) parts.push(`department ${filters.department}`);
+  if (filters.unit) parts.push(`unit ${filters.unit}`);
+  if (filters.from) parts.push(`logged ${filters.from} to ${filters.to || 'today'}, compared with the previous period of the same length`);
+  scope.textContent = parts.length ? `Showing cases for ${parts.join(', ')}` : 'Showing all cases';
+}
+
+/**
+ * Change against the previous period, for the statistics cards
+ */
+function periodChange(current, previous) {
+  if (!previous) return 'No cases in previous period';
+  const change = Math.round(((current - previous) / previous) * 100);
+  return `${change > 0 ? '+' : ''}${change}% vs previous period`;
+}
+
 async function loadDashboard() {
   try {
     console.log('Loading dashboard data...');
     
     // Show loading state is already in HTML
+    const filters = getDashboardFilters();
+    if (filters.to && !filters.from) {
+      showToast("Choose a start date for the date range", "warning");
+      return;
+    }
+    renderDashboardScope(filters);
     
     // Load all dashboard data in parallel with individual error handling
     const results = await Promise.allSettled([
-      api.fetchDashboardStatistics(),
+      api.fetchDashboardStatistics(filters),
       api.fetchRecentActivity(5),
-      api.fetchCaseDistribution(),
-      api.fetchRecentCases(),
-      api.fetchPersonnelStatus()
+      api.fetchCaseDistribution(filters),
+      api.fetchRecentCases(filters),
+      api.fetchPersonnelStatus(filters)
     ]);
 
     console.log('Dashboard API Results:', results);
@@ -267,7 +323,8 @@ async function loadDashboard() {
 
     if (activityResult.status === 'fulfilled') {
       console.log('Activity loaded:', activityResult.value);
-      renderRecentActivity(activityResult.value);
+      recentActivity = activityResult.value;
+      renderRecentActivity(recentActivity);
     } else {
       console.error('Activity failed:', activityResult.reason);
       renderRecentActivity([]);
@@ -320,6 +377,9 @@ function updateStatisticsCards(statistics) {
     showStatisticsError();
     return;
   }
+
+  // Set when the dashboard is filtered to a date range
+  const previous = statistics.previous;
   
   // Update Total Cases
   const totalCard = document.querySelector('.stat-card.cases .card-body');
@@ -330,7 +390,7 @@ function updateStatisticsCards(statistics) {
           <div class="text-xs font-weight-bold text-uppercase mb-1">Total Cases</div>
           <div class="h5 mb-0 font-weight-bold">${statistics.total || 0}</div>
           <div class="mt-2">
-            <small><i class="fas fa-database me-1"></i>All records</small>
+            <small><i class="fas fa-database me-1"></i>${previous ? periodChange(statistics.total, previous.total) : 'All records'}</small>
           </div>
         </div>
         <div class="col-auto">
@@ -349,7 +409,7 @@ function updateStatisticsCards(statistics) {
           <div class="text-xs font-weight-bold text-uppercase mb-1">Open Cases</div>
           <div class="h5 mb-0 font-weight-bold">${statistics.open || 0}</div>
           <div class="mt-2">
-            <small><i class="fas fa-clock me-1"></i>Active</small>
+            <small><i class="fas fa-clock me-1"></i>${previous ? periodChange(statistics.open, previous.open) : 'Active'}</small>
           </div>
         </div>
         <div class="col-auto">
@@ -369,7 +429,7 @@ function updateStatisticsCards(statistics) {
           <div class="text-xs font-weight-bold text-uppercase mb-1">Closed Cases</div>
           <div class="h5 mb-0 font-weight-bold">${resolvedCount}</div>
           <div class="mt-2">
-            <small><i class="fas fa-check me-1"></i>Resolved</small>
+            <small><i class="fas fa-check me-1"></i>${previous ? periodChange(resolvedCount, previous.resolved) : 'Resolved'}</small>
           </div>
         </div>
         <div class="col-auto">
@@ -388,7 +448,7 @@ function updateStatisticsCards(statistics) {
           <div class="text-xs font-weight-bold text-uppercase mb-1">Priority Cases</div>
           <div class="h5 mb-0 font-weight-bold">${statistics.priority || 0}</div>
           <div class="mt-2">
-            <small><i class="fas fa-exclamation-circle me-1"></i>Urgent</small>
+            <small><i class="fas fa-exclamation-circle me-1"></i>${previous ? periodChange(statistics.priority, previous.priority) : 'Urgent'}</small>
           </div>
         </div>
         <div class="col-auto">
@@ -609,7 +669,7 @@ function renderPersonnelStatus(personnel) {
         </td>
         <td>${o.badge || o.badgeNumber || 'N/A'}</td>
         <td><span class="badge ${getOfficerStatusBadge(o.status)}">${escapeHtml(o.status || 'active')}</span></td>
-        <td>${o.activeCases || o.active_cases || 0}</td>
+        <td>${o.activeCases || o.active_cases || 0}${o.casesInPeriod !== undefined ? ` <small class="text-muted">(${o.casesInPeriod} in period)</small>` : ''}</td>
       </tr>
     `;
   }).join('');
@@ -656,49 +716,32 @@ function escapeHtml(text) {
 ------------------------------------------------------------------ */
 function resolveOfficerName(caseData) {
   if (!caseData) return 'Unassigned';
-  
-  // Your backend ALWAYS returns officer as a string
-  // It's already formatted as: "name" or "username" or "Unassigned"
+
+  // Prefer the linked officer record: "Sergeant Ada Obi (#1042)"
+  const o = caseData.assignedOfficer;
+  if (o) {
+    return o.badge ? `${o.rank} ${o.name} (#${o.badge})` : o.name;
+  }
 
   if (typeof caseData.officer === 'string') {
     return caseData.officer;
   }
-  
-  // Fallback (should never happen with your backend)
-  return 'Unassigned';
 
+  return 'Unassigned';
 }
 
 /**
- * Sets the officer dropdown value intelligently
- * Matches against option values and text content
+ * Selects the assigned officer in the dropdown by badge number
  */
 
-function setOfficerDropdown(selectElement, officerValue) {
-  if (!selectElement || !officerValue || officerValue === 'Unassigned') {
-    selectElement.value = '';
-    return;
-  }
-  
-  // officerValue is a string name like "Rodriguez"
-  // We need to find the matching option by TEXT content
-  
-  const needle = String(officerValue).toLowerCase().trim();
-  let matchFound = false;
-  
-  Array.from(selectElement.options).forEach(opt => {
-    const optText = opt.text.toLowerCase();
-    
-    // Match if option text contains the officer name
-    if (optText.includes(needle) || needle.includes(optText.toLowerCase())) {
-      selectElement.value = opt.value;
-      matchFound = true;
-      console.log(`Matched "${officerValue}" to option:`, opt.text, 'value:', opt.value);
-    }
-  });
-  
-  if (!matchFound) {
-    console.warn(`⚠️ Could not match officer "${officerValue}" to any dropdown option`);
+function setOfficerDropdown(selectElement, caseData) {
+  if (!selectElement) return;
+
+  const badge = caseData?.assignedOfficer?.badge;
+  selectElement.value = badge ? String(badge) : '';
+
+  if (badge && selectElement.value !== String(badge)) {
+    console.warn(`⚠️ Officer #${badge} is not in the dropdown`);
   }
 }
 
@@ -784,13 +827,12 @@ async function loadCases() {
 
 async function populateOfficerDropdown() {
   try {
-    // Fetch all users with officer role
-    const users = await api.fetchUsers();
-    console.log("exact sql response:", users);
-    const officers = users.filter(u => u.role === 'officer' || u.role === 'admin');
+    // Only officers linked to a user account can be assigned cases
+    const officers = (await api.fetchOfficers()).filter(o => o.userId);
     
     const dropdown = document.getElementById('caseOfficer');
     if (!dropdown) return;
+    const selected = dropdown.value;
     
     // Clear existing options except the first one
     dropdown.innerHTML = '<option value="">Select Officer</option>';
@@ -798,10 +840,11 @@ async function populateOfficerDropdown() {
     // Add officers dynamically
     officers.forEach(officer => {
       const option = document.createElement('option');
-      option.value = officer.id; // user ID as value
-      option.textContent = officer.name || officer.username;
+      option.value = officer.badge; // badge number as value
+      option.textContent = `#${officer.badge} ${officer.rank_} ${officer.firstName} ${officer.lastName} (${officer.unit})`;
       dropdown.appendChild(option);
     });
+    dropdown.value = selected;
     
     console.log('Officer dropdown populated with', officers.length, 'officers');
     
@@ -811,6 +854,104 @@ async function populateOfficerDropdown() {
 }
 
 
+/* ------------------------------------------------------------------
+   ASSIGNMENT SUGGESTIONS
+   ------------------------------------------------------------------ */
+
+async function loadAssignmentSuggestions() {
+  const container = document.getElementById('caseOfficerSuggestions');
+  if (!container) return;
+
+  const type = document.getElementById('caseType')?.value;
+  if (!editingCaseId && !type) {
+    container.innerHTML = '';
+    return;
+  }
+
+  try {
+    const suggestions = editingCaseId
+      ? await api.fetchCaseAssignmentSuggestions(editingCaseId)
+      : await api.fetchAssignmentSuggestions(type);
+
+    if (!suggestions || suggestions.length === 0) {
+      container.innerHTML = '<span class="text-muted">No available officers to suggest</span>';
+      return;
+    }
+
+    container.innerHTML = 'Suggested: ' + suggestions.map(o => `
+      <button type="button" class="btn btn-link btn-sm p-0 me-2 suggested-officer" data-badge="${o.badge}"
+              title="${escapeHtml(o.reasons.join(' · '))}">
+        #${o.badge} ${escapeHtml(o.rank)} ${escapeHtml(o.name)}${o.current ? ' (current)' : ''}
+      </button>`).join('');
+
+    container.querySelectorAll('.suggested-officer').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.getElementById('caseOfficer').value = btn.dataset.badge;
+      });
+    });
+
+  } catch (e) {
+    console.error('Error loading assignment suggestions:', e);
+    container.innerHTML = '';
+  }
+}
+
+
+/* ------------------------------------------------------------------
+   CASE STATUS WORKFLOW
+   ------------------------------------------------------------------ */
+
+let caseWorkflow = [];
+let editingCaseStatus = null;
+let editingCaseOfficerBadge = '';
+
+async function loadCaseWorkflow() {
+  if (caseWorkflow.length > 0) return caseWorkflow;
+  try {
+    caseWorkflow = await api.fetchCaseWorkflow();
+  } catch (e) {
+    console.error('Error loading case workflow:', e);
+  }
+  return caseWorkflow;
+}
+
+/**
+ * Fill the status dropdown with the statuses the case may move to.
+ * New cases get the initial statuses, existing cases their current
+ * status plus its allowed transitions.
+ */
+async function populateStatusDropdown(currentStatus = null, allowedTransitions = []) {
+  const dropdown = document.getElementById('caseStatus');
+  if (!dropdown) return;
+
+  const statuses = await loadCaseWorkflow();
+  if (statuses.length === 0) return;
+
+  const values = currentStatus
+    ? [currentStatus, ...allowedTransitions]
+    : statuses.filter(s => s.initial).map(s => s.value);
+
+  dropdown.innerHTML = values.map(value => {
+    const def = statuses.find(s => s.value === value);
+    return `<option value="${value}">${escapeHtml(def?.label || value)}</option>`;
+  }).join('');
+
+  if (currentStatus) dropdown.value = currentStatus;
+  toggleStatusReason();
+}
+
+function toggleStatusReason() {
+  const selected = document.getElementById('caseStatus')?.value;
+  const group = document.getElementById('caseStatusReasonGroup');
+  if (!group) return;
+
+  const def = caseWorkflow.find(s => s.value === selected);
+  const needsReason = !!def?.requiresReason && selected !== editingCaseStatus;
+  group.classList.toggle('d-none', !needsReason);
+  document.getElementById('caseStatusReason').required = needsReason;
+}
+
+
 function renderCasesTable() {
   const tbody = document.querySelector("#casesTable tbody");
   if (!tbody) return;
@@ -934,7 +1075,10 @@ function renderReportsTable() {
   tbody.innerHTML = allReports.map(r => `
     <tr>
       <td>${r.reportId}</td>
-      <td>${r.type}</td>
+      <td>
+        ${r.type} <span class="badge ${REPORT_STATUS_BADGES[r.status] || 'bg-secondary'}">${escapeHtml(r.statusLabel || r.status)}</span>
+        ${r.caseId ? `<div class="small text-muted">Case ${escapeHtml(r.caseId)}</div>` : ''}
+      </td>
       <td>${r.generatedBy}</td>
       <td>${formatDate(r.date)}</td>
       <td class="action-buttons">
@@ -962,6 +1106,81 @@ async function loadUsers() {
   }
 }
 
+/**
+ * Load system settings and the user's preferences from the server and apply them
+ */
+async function loadAppSettings() {
+  try {
+    appSettings = await api.fetchSettings();
+    applyAppSettings();
+  } catch (e) {
+    console.error(e);
+    showToast("Could not load settings", "danger");
+  }
+}
+
+/**
+ * Reflect the current settings in the page and the Settings forms
+ */
+function applyAppSettings() {
+  const { system, preferences } = appSettings;
+
+  document.documentElement.lang = preferences.language || "en";
+
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && value !== undefined) el.value = value;
+  };
+  const setChecked = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && value !== undefined) el.checked = value;
+  };
+
+  setValue("prefLanguage", preferences.language);
+  setValue("prefTimezone", preferences.timezone);
+  setValue("prefDateFormat", preferences.dateFormat);
+  setChecked("notifications", preferences.notifications);
+
+  setValue("caseIdPrefix", system.caseIdPrefix);
+  setValue("defaultReportFormat", system.defaultReportFormat);
+  setChecked("autoBackup", system.autoBackup);
+
+  // New reports default to the configured format, including after the form is reset
+  document.querySelectorAll("#reportFormat option").forEach(opt => {
+    opt.defaultSelected = opt.value === system.defaultReportFormat;
+  });
+  setValue("reportFormat", system.defaultReportFormat);
+
+  // Only admins can change system configuration
+  document.querySelectorAll("#systemConfigForm select, #systemConfigForm input, #systemConfigForm button")
+    .forEach(el => { el.disabled = currentUser?.role !== "admin"; });
+
+  applyNotificationPreference();
+}
+
+/**
+ * Load the resolved-case retention policy into the Auto Archive Period dropdown
+ */
+async function loadRetentionSettings() {
+  if (currentUser?.role !== 'admin') return;
+
+  try {
+    const policies = await api.fetchRetentionPolicies();
+    const policy = policies.find(p => p.recordType === 'resolved_cases');
+    const select = document.getElementById('autoArchivePeriod');
+    if (!policy || !select) return;
+
+    const value = policy.enabled && policy.action === 'archive' ? String(policy.retentionDays) : '';
+    if (value && !select.querySelector(`option[value="${value}"]`)) {
+      select.insertAdjacentHTML('beforeend', `<option value="${value}">${value} days</option>`);
+    }
+    select.value = value;
+  } catch (e) {
+    console.error(e);
+    showToast("Could not load retention settings", "danger");
+  }
+}
+
 function renderUsersTable() {
   const tbody = document.querySelector("#settings .table tbody");
   if (!tbody) return;
@@ -1024,10 +1243,20 @@ function initializeModals() {
       description: document.getElementById('caseDescription').value,
       location: document.getElementById('caseLocation').value,
       reporter: document.getElementById('caseReporter').value,
-      officer: document.getElementById('caseOfficer').value,
-      status: document.getElementById('caseStatus').value
+      officerBadge: document.getElementById('caseOfficer').value,
+      status: document.getElementById('caseStatus').value,
+      reason: document.getElementById('caseStatusReason').value
     };
 
+    if (!editingCaseId) {
+      caseData.autoAssign = document.getElementById('caseAutoAssign').checked;
+    }
+
+    // Leave the assignment alone unless a different officer was picked
+    if (editingCaseId && caseData.officerBadge === editingCaseOfficerBadge) {
+      delete caseData.officerBadge;
+    }
+
     try {
       // CHECK GLOBAL STATE - NO dataset dependencies
       if (editingCaseId) {
@@ -1037,7 +1266,9 @@ function initializeModals() {
       } else {
         console.log('Creating new case');
         const newCase = await api.createCase(caseData);
-        showToast(`Case ${newCase.caseId} created successfully`, "success");
+        showToast(newCase.autoAssigned
+          ? `Case ${newCase.caseId} created and assigned to ${resolveOfficerName(newCase)}`
+          : `Case ${newCase.caseId} created successfully`, "success");
       }
 
       // Reset modal state
@@ -1047,6 +1278,8 @@ function initializeModals() {
       
       // CRITICAL: Clear global state
       editingCaseId = null;
+      editingCaseStatus = null;
+      editingCaseOfficerBadge = '';
       
       // Reset modal UI
       document.getElementById('newCaseModalLabel').textContent = 'Create New Case';
@@ -1068,6 +1301,10 @@ function initializeModals() {
     
     // CRITICAL: Always clear state on close
     editingCaseId = null;
+    editingCaseStatus = null;
+    editingCaseOfficerBadge = '';
+    document.getElementById('caseStatusReasonGroup')?.classList.add('d-none');
+    document.getElementById('caseOfficerSuggestions').innerHTML = '';
     
     document.getElementById('newCaseModalLabel').textContent = 'Create New Case';
     document.getElementById('saveCase').textContent = 'Create Case';
@@ -1075,6 +1312,14 @@ function initializeModals() {
 
   document.getElementById('newCaseModal')?.addEventListener('show.bs.modal', async () => {
   await populateOfficerDropdown();
+  if (!editingCaseId) await populateStatusDropdown();
+  document.getElementById('caseAutoAssignGroup')?.classList.toggle('d-none', !!editingCaseId);
+  await loadAssignmentSuggestions();
+  });
+
+  document.getElementById('caseStatus')?.addEventListener('change', toggleStatusReason);
+  document.getElementById('caseType')?.addEventListener('change', () => {
+    if (!editingCaseId) loadAssignmentSuggestions();
   });
 
 
@@ -1165,26 +1410,65 @@ function initializeModals() {
       return;
     }
 
+    const type = document.getElementById('reportType').value;
+    const startDate = document.getElementById('reportStartDate').value;
+    const endDate = document.getElementById('reportEndDate').value;
+    if (startDate > endDate) return showToast('Start date must be on or before the end date', "danger");
+
     const report = {
-      type: document.getElementById('reportType').value,
-      generatedBy: currentUser?.name || 'Unknown',
+      type,
+      startDate,
+      endDate,
       format: document.getElementById('reportFormat').value,
       notes: document.getElementById('reportNotes').value
     };
 
+    if (type === 'custom') {
+      const sections = [...document.querySelectorAll('input[name="reportSections"]:checked')].map(cb => cb.value);
+      if (sections.length === 0) return showToast('Choose at least one section for a custom report', "danger");
+      report.parameters = { sections };
+    }
+
+    const caseId = document.getElementById('reportCaseId').value.trim();
+    if (caseId) report.caseId = caseId;
+    if (type === 'case_file' && !caseId) return showToast('Enter the case ID for a case file report', "danger");
+
     try {
       const newReport = await api.generateReport(report);
       const modal = bootstrap.Modal.getInstance(document.getElementById('generateReportModal'));
       modal.hide();
       form.reset();
+      toggleReportSections();
+      toggleReportCaseField();
       await loadReports();
       showToast(`Report ${newReport.reportId} generated`, "success");
     } catch (e) {
       console.error(e);
-      showToast('Error generating report', "danger");
+      showToast(e.message || 'Error generating report', "danger");
     }
   });
 
+  document.getElementById('reportType')?.addEventListener('change', () => {
+    toggleReportSections();
+    toggleReportCaseField();
+  });
+
+  // Case file report for the case open in the view modal
+  document.getElementById('generateCaseReport')?.addEventListener('click', (e) => {
+    const { caseId, reported } = e.currentTarget.dataset;
+    bootstrap.Modal.getInstance(document.getElementById('viewCaseModal'))?.hide();
+
+    document.getElementById('reportForm').reset();
+    document.getElementById('reportType').value = 'case_file';
+    document.getElementById('reportCaseId').value = caseId;
+    document.getElementById('reportStartDate').value = reported;
+    document.getElementById('reportEndDate').value = new Date().toISOString().slice(0, 10);
+    toggleReportSections();
+    toggleReportCaseField();
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('generateReportModal')).show();
+  });
+
   // ========================================================================
   // INCIDENT MODAL
   // ========================================================================
@@ -1256,7 +1540,7 @@ function initializeModals() {
       modal.hide();
       form.reset();
       await loadUsers();
-      showToast(`User ${newUser.username} added`, "success");
+      showToast(`User ${newUser.username} added; login details emailed to ${newUser.email}`, "success");
     } catch (e) {
       console.error(e);
       showToast('Error adding user', "danger");
@@ -1281,11 +1565,158 @@ function initializeModals() {
     window.editOfficer(badge);
   });
 
+  document.getElementById('saveCaseNote')?.addEventListener('click', async () => {
+    const form = document.getElementById('caseNoteForm');
+    if (!form.checkValidity()) {
+      form.reportValidity();
+      return;
+    }
+
+    const caseId = document.getElementById('editFromView').dataset.caseId;
+    const note = {
+      type: document.getElementById('caseNoteType').value,
+      content: document.getElementById('caseNoteContent').value
+    };
+
+    try {
+      await api.createCaseNote(caseId, note);
+      form.reset();
+      showToast('Note added', "success");
+      await loadCaseTimeline(caseId);
+    } catch (e) {
+      console.error('Error adding note:', e);
+      showToast('Error adding note: ' + e.message, "danger");
+    }
+  });
+
   document.getElementById('downloadReportFromView')?.addEventListener('click', () => {
     const reportId = document.getElementById('downloadReportFromView').dataset.reportId;
     window.downloadReport(reportId);
   });
 
+  // ========================================================================
+  // LIST EXPORTS
+  // ========================================================================
+
+  document.querySelectorAll('[data-export]').forEach(link => {
+    link.addEventListener('click', async (e) => {
+      e.preventDefault();
+      const { export: resource, format } = link.dataset;
+      const filters = resource === 'cases' ? caseFilters : {};
+
+      try {
+        await api.exportRecords(resource, format, filters);
+      } catch (err) {
+        console.error(err);
+        showToast(err.message || 'Export failed', "danger");
+      }
+    });
+  });
+
+  // ========================================================================
+  // SYSTEM CONFIGURATION
+  // ========================================================================
+
+  document.getElementById('preferencesForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+      const saved = await api.updateSettings({
+        preferences: {
+          language: document.getElementById('prefLanguage').value,
+          timezone: document.getElementById('prefTimezone').value,
+          dateFormat: document.getElementById('prefDateFormat').value,
+          notifications: document.getElementById('notifications').checked
+        }
+      });
+      appSettings = { ...appSettings, ...saved };
+      applyAppSettings();
+      await loadSectionData(currentSection);
+      showToast('Preferences saved', "success");
+    } catch (e) {
+      console.error(e);
+      showToast(e.message || 'Error saving preferences', "danger");
+    }
+  });
+
+  document.getElementById('systemConfigForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const days = document.getElementById('autoArchivePeriod').value;
+
+    try {
+      const saved = await api.updateSettings({
+        system: {
+          caseIdPrefix: document.getElementById('caseIdPrefix').value,
+          defaultReportFormat: document.getElementById('defaultReportFormat').value,
+          autoBackup: document.getElementById('autoBackup').checked
+        }
+      });
+      appSettings = { ...appSettings, ...saved };
+      applyAppSettings();
+
+      await api.updateRetentionPolicy('resolved_cases', days
+        ? { enabled: true, action: 'archive', retentionDays: parseInt(days) }
+        : { enabled: false });
+      showToast('Configuration saved', "success");
+    } catch (e) {
+      console.error(e);
+      showToast(e.message || 'Error saving configuration', "danger");
+    }
+  });
+
+  document.getElementById('previewRetention')?.addEventListener('click', async () => {
+    try {
+      const run = await api.previewRetention();
+      const lines = run.summary.policies.map(p => {
+        const held = p.exempt.legalHold ? `, ${p.exempt.legalHold} on legal hold` : '';
+        return `${p.recordType}: ${p.eligible} to ${p.action}${held}`;
+      });
+      showToast(lines.length ? lines.join('; ') : 'No retention policies are enabled', "info");
+    } catch (e) {
+      console.error(e);
+      showToast(e.message || 'Error generating retention preview', "danger");
+    }
+  });
+
+  document.getElementById('dashboardFilters')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadDashboard();
+  });
+
+  document.getElementById('resetDashboardFilters')?.addEventListener('click', () => {
+    document.getElementById('dashboardFilters').reset();
+    loadDashboard();
+  });
+
+  document.getElementById('refreshAnalytics')?.addEventListener('click', loadAnalytics);
+
+  document.getElementById('analyticsTrendPeriod')?.addEventListener('change', async (e) => {
+    try {
+      renderCaseTrendsChart(await api.fetchCaseTrends(e.target.value));
+    } catch (err) {
+      console.error(err);
+      showToast(err.message || 'Could not load case trends', "danger");
+    }
+  });
+
+  document.getElementById('notificationList')?.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-notification-id]');
+    if (!item) return;
+    e.preventDefault();
+    openNotification(item.dataset);
+  });
+
+  document.getElementById('markAllNotificationsRead')?.addEventListener('click', async () => {
+    try {
+      await api.markAllNotificationsRead();
+      await loadNotifications();
+    } catch (err) {
+      console.error(err);
+      showToast(err.message || 'Could not update notifications', "danger");
+    }
+  });
+
 }
 
 
@@ -1308,6 +1739,8 @@ window.editCase = async (caseId) => {
 
     // SET GLOBAL STATE - Primary source of truth
     editingCaseId = caseId;
+    editingCaseStatus = c.status;
+    editingCaseOfficerBadge = String(c.assignedOfficer?.badge ?? '');
 
     // Populate form fields
     document.getElementById('caseType').value = c.type?.toLowerCase() || "";
@@ -1315,12 +1748,11 @@ window.editCase = async (caseId) => {
     document.getElementById('caseDescription').value = c.description || "";
     document.getElementById('caseLocation').value = c.location || "";
     document.getElementById('caseReporter').value = c.reporter || "";
-    document.getElementById('caseStatus').value = c.status || "";
+    await populateStatusDropdown(c.status, c.allowedTransitions || []);
 
     // ROBUST OFFICER SELECTION
     const officerSelect = document.getElementById('caseOfficer');
-    const officerValue = resolveOfficerName(c);
-    setOfficerDropdown(officerSelect, officerValue);
+    setOfficerDropdown(officerSelect, c);
 
     // Update modal UI
     document.getElementById('newCaseModalLabel').textContent = 'Edit Case';
@@ -1371,6 +1803,24 @@ window.viewCase = async (caseId) => {
 
     // Store case ID for edit button
     document.getElementById('editFromView').dataset.caseId = caseId;
+    Object.assign(document.getElementById('generateCaseReport').dataset, {
+      caseId: c.caseId,
+      reported: c.reported ? new Date(c.reported).toISOString().slice(0, 10) : ''
+    });
+
+    // Always open on the details tab, then load the history behind it
+    bootstrap.Tab.getOrCreateInstance(
+      document.querySelector('#viewCaseModal [data-bs-target="#viewCaseDetailsTab"]')
+    ).show();
+    loadCaseTimeline(caseId);
+    loadCaseReports(c.caseId);
+    renderCaseHistory(null);
+    api.fetchCaseHistory(caseId)
+      .then(renderCaseHistory)
+      .catch(e => {
+        console.error('Error loading case history:', e);
+        renderCaseHistory([]);
+      });
 
     // Show modal
     const modal = new bootstrap.Modal(document.getElementById('viewCaseModal'));
@@ -1382,6 +1832,184 @@ window.viewCase = async (caseId) => {
   }
 };
 
+const TIMELINE_ICONS = {
+  created: 'fa-folder-plus',
+  note: 'fa-sticky-note',
+  incident: 'fa-map-marker-alt',
+  report: 'fa-file-alt',
+  status_change: 'fa-exchange-alt'
+};
+
+const TIMELINE_ACTIVITY_TYPES = {
+  created: 'case',
+  note: 'update',
+  incident: 'alert',
+  report: 'case',
+  status_change: 'resolve'
+};
+
+async function loadCaseTimeline(caseId) {
+  const container = document.getElementById('viewCaseTimeline');
+  if (!container) return;
+
+  container.innerHTML = '<p class="text-muted mb-0"><i class="fas fa-spinner fa-spin me-2"></i>Loading timeline...</p>';
+
+  try {
+    const timeline = await api.fetchCaseTimeline(caseId);
+    renderCaseTimeline(caseId, timeline);
+  } catch (e) {
+    console.error('Error loading case timeline:', e);
+    container.innerHTML = '<p class="text-danger mb-0">Could not load timeline</p>';
+  }
+}
+
+/**
+ * Render the merged notes / incidents / reports / status timeline
+ */
+function renderCaseTimeline(caseId, timeline) {
+  const container = document.getElementById('viewCaseTimeline');
+  if (!container) return;
+
+  if (!timeline || timeline.length === 0) {
+    container.innerHTML = '<p class="text-muted mb-0">No timeline entries</p>';
+    return;
+  }
+
+  container.innerHTML = timeline.map(item => {
+    const note = item.kind === 'note' ? item.ref : null;
+    const canRedact = note && !note.redacted &&
+      (note.authorId === currentUser?.id || currentUser?.role === 'admin');
+
+    return `
+      <div class="activity-item ${TIMELINE_ACTIVITY_TYPES[item.kind] || 'update'}">
+        <div class="d-flex justify-content-between align-items-start">
+          <h6 class="mb-1" style="color: #2c3e50;">
+            <i class="fas ${TIMELINE_ICONS[item.kind] || 'fa-circle'} me-2"></i>${escapeHtml(item.title)}
+            ${note?.redacted ? '<span class="badge bg-secondary ms-2">Redacted</span>' : ''}
+            ${note?.editedAt ? '<small class="text-muted ms-2">(edited)</small>' : ''}
+          </h6>
+          <small class="text-muted">${new Date(item.timestamp).toLocaleString()}</small>
+        </div>
+        <p class="mb-1" style="white-space: pre-wrap;">${escapeHtml(item.detail)}</p>
+        ${note?.redacted && note.redactionReason ? `<p class="mb-1"><small class="text-muted">Redaction reason: ${escapeHtml(note.redactionReason)}</small></p>` : ''}
+        <div class="d-flex justify-content-between">
+          <small class="text-muted">by ${escapeHtml(item.actor)}</small>
+          ${canRedact ? `<button class="btn btn-sm btn-outline-secondary py-0" onclick="window.redactCaseNote('${caseId}', ${note.id})"><i class="fas fa-eye-slash me-1"></i>Redact</button>` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Redact a case note - author or admin
+ */
+window.redactCaseNote = async (caseId, noteId) => {
+  const reason = prompt('Reason for redacting this note:');
+  if (!reason || !reason.trim()) return;
+
+  try {
+    await api.redactCaseNoteApi(caseId, noteId, reason.trim());
+    showToast('Note redacted', "success");
+    await loadCaseTimeline(caseId);
+  } catch (e) {
+    console.error('Error redacting note:', e);
+    showToast('Error redacting note: ' + e.message, "danger");
+  }
+};
+
+const CASE_FIELD_LABELS = {
+  type: 'Type',
+  priority: 'Priority',
+  description: 'Description',
+  location: 'Location',
+  reporter: 'Reporter',
+  status: 'Status',
+  officerId: 'Assigned Officer'
+};
+
+/**
+ * Load and render the reports tab of the view case modal
+ */
+async function loadCaseReports(caseId) {
+  const container = document.getElementById('viewCaseReports');
+  if (!container) return;
+
+  container.innerHTML = '<p class="text-muted mb-0"><i class="fas fa-spinner fa-spin me-2"></i>Loading reports...</p>';
+
+  try {
+    const reports = await api.fetchReports({ caseId });
+    if (!reports?.length) {
+      container.innerHTML = '<p class="text-muted mb-0">No reports for this case</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="table table-sm table-hover mb-0">
+        <thead>
+          <tr><th>Report ID</th><th>Type</th><th>Status</th><th>Date</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${reports.map(r => `
+            <tr>
+              <td>${escapeHtml(r.reportId)}</td>
+              <td>${escapeHtml(r.type)}</td>
+              <td><span class="badge ${REPORT_STATUS_BADGES[r.status] || 'bg-secondary'}">${escapeHtml(r.statusLabel || r.status)}</span></td>
+              <td>${formatDate(r.date)}</td>
+              <td class="text-end">
+                <button class="btn btn-sm btn-info" onclick="window.viewReport('${r.reportId}')"><i class="fas fa-eye"></i></button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (e) {
+    console.error('Error loading case reports:', e);
+    container.innerHTML = '<p class="text-danger mb-0">Could not load reports</p>';
+  }
+}
+
+/**
+ * Render the revision history tab of the view case modal
+ * Passing null shows a loading state
+ */
+function renderCaseHistory(revisions) {
+  const container = document.getElementById('viewCaseHistory');
+  if (!container) return;
+
+  if (revisions === null) {
+    container.innerHTML = '<p class="text-muted mb-0"><i class="fas fa-spinner fa-spin me-2"></i>Loading history...</p>';
+    return;
+  }
+
+  if (!revisions || revisions.length === 0) {
+    container.innerHTML = '<p class="text-muted mb-0">No changes recorded</p>';
+    return;
+  }
+
+  container.innerHTML = revisions.map(rev => `
+    <div class="activity-item update">
+      <div class="d-flex justify-content-between align-items-start mb-1">
+        <strong>${escapeHtml(rev.changedBy)}</strong>
+        <small class="text-muted">${new Date(rev.changedAt).toLocaleString()}</small>
+      </div>
+      <table class="table table-sm mb-0">
+        <tbody>
+          ${rev.changes.map(c => `
+            <tr>
+              <td class="fw-bold" style="width: 30%;">${escapeHtml(CASE_FIELD_LABELS[c.field] || c.field)}</td>
+              <td><del class="text-danger">${escapeHtml(c.oldValue) || '<em>empty</em>'}</del></td>
+              <td><i class="fas fa-arrow-right text-muted"></i></td>
+              <td><ins class="text-success">${escapeHtml(c.newValue) || '<em>empty</em>'}</ins></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+}
+
 /**
  * Delete Case - Admin only
  */
@@ -1390,14 +2018,14 @@ window.deleteCase = async (caseId) => {
     return showToast('Only admins can delete cases', "danger");
   }
   
-  if (!confirm(`Are you sure you want to delete case ${caseId}? This action cannot be undone.`)) {
+  if (!confirm(`Move case ${caseId} to the recycle bin? An admin can restore it later.`)) {
     return;
   }
 
   try {
     await api.deleteCaseApi(caseId);
     await loadCases();
-    showToast(`Case ${caseId} deleted successfully`, "success");
+    showToast(`Case ${caseId} moved to the recycle bin`, "success");
   } catch (e) {
     console.error('Error deleting case:', e);
     showToast('Error deleting case: ' + e.message, "danger");
@@ -1522,11 +2150,18 @@ window.viewReport = async (reportId) => {
 
     // Populate view modal
     document.getElementById('viewReportId').textContent = report.reportId;
-    document.getElementById('viewReportType').textContent = report.type;
+    document.getElementById('viewReportType').textContent = report.case
+      ? `${report.type} (Case ${report.case.caseId})`
+      : report.type;
     document.getElementById('viewReportGeneratedBy').textContent = report.generatedBy;
     document.getElementById('viewReportDate').textContent = formatDate(report.date);
     document.getElementById('viewReportFormat').textContent = report.format || 'PDF';
     document.getElementById('viewReportNotes').textContent = report.notes || 'No notes available';
+    document.getElementById('viewReportPeriod').textContent = report.periodStart
+      ? `${report.periodStart.slice(0, 10)} to ${report.periodEnd.slice(0, 10)}`
+      : 'N/A';
+    renderReportData(report);
+    renderReportApproval(report);
 
     // Store report ID for download button
     document.getElementById('downloadReportFromView').dataset.reportId = reportId;
@@ -1541,57 +2176,162 @@ window.viewReport = async (reportId) => {
   }
 };
 
+const REPORT_STATUS_BADGES = {
+  draft: 'bg-secondary',
+  submitted: 'bg-warning text-dark',
+  approved: 'bg-success',
+  rejected: 'bg-danger'
+};
+
+const REPORT_ACTION_BUTTONS = {
+  submit: { label: 'Submit for approval', icon: 'fa-paper-plane', style: 'btn-primary', done: 'Report submitted for approval' },
+  withdraw: { label: 'Withdraw', icon: 'fa-undo', style: 'btn-outline-secondary', done: 'Report withdrawn to draft' },
+  approve: { label: 'Approve', icon: 'fa-check', style: 'btn-success', done: 'Report approved' },
+  reject: { label: 'Reject', icon: 'fa-times', style: 'btn-danger', done: 'Report rejected' }
+};
+
 /**
- * Download Report as PDF
+ * Show a report's status, approval chain and the review actions open to the user
+ */
+function renderReportApproval(report) {
+  const container = document.getElementById('viewReportApproval');
+  const actions = document.getElementById('viewReportActions');
+
+  if (container) {
+    const chain = (report.approvalChain || []).map(step => `
+      <li class="list-group-item px-0">
+        <strong>${escapeHtml(step.label)}</strong> by ${escapeHtml(step.by)}
+        <span class="text-muted small">${formatDate(step.at)}</span>
+        ${step.comment ? `<div class="small fst-italic">${escapeHtml(step.comment)}</div>` : ''}
+      </li>
+    `).join('');
+
+    container.innerHTML = `
+      <span class="badge ${REPORT_STATUS_BADGES[report.status] || 'bg-secondary'}">${escapeHtml(report.statusLabel || report.status)}</span>
+      ${report.status === 'approved' ? '<i class="fas fa-lock ms-2 text-muted" title="Approved reports are locked"></i>' : ''}
+      ${report.verificationCode ? `<div class="small mt-1">Verification code: <code>${escapeHtml(report.verificationCode)}</code></div>` : ''}
+      ${chain ? `<ul class="list-group list-group-flush mt-2">${chain}</ul>` : ''}
+    `;
+  }
+
+  if (actions) {
+    actions.innerHTML = (report.allowedActions || []).map(action => {
+      const button = REPORT_ACTION_BUTTONS[action];
+      return `<button type="button" class="btn btn-sm ${button.style} me-1"
+                onclick="window.reviewReport('${report.reportId}', '${action}')">
+                <i class="fas ${button.icon} me-1"></i>${button.label}
+              </button>`;
+    }).join('');
+  }
+}
+
+/**
+ * Submit, withdraw, approve or reject a report from the view modal
+ * Rejections need a comment; approvals may carry one.
+ */
+window.reviewReport = async (reportId, action) => {
+  let comment = '';
+  if (action === 'reject' || action === 'approve') {
+    comment = prompt(action === 'reject' ? 'Reason for rejecting this report:' : 'Approval comment (optional):');
+    if (comment === null) return;
+    if (action === 'reject' && !comment.trim()) {
+      return showToast('A reason is required to reject a report', 'warning');
+    }
+  }
+
+  try {
+    await api.reviewReport(reportId, action, comment);
+    showToast(REPORT_ACTION_BUTTONS[action].done, 'success');
+    renderReportApproval(await api.fetchReportById(reportId));
+    await loadReports();
+  } catch (e) {
+    console.error('Error reviewing report:', e);
+    showToast('Error updating report: ' + e.message, 'danger');
+  }
+};
+
+/**
+ * Show the section checkboxes only for custom reports
+ */
+function toggleReportSections() {
+  const isCustom = document.getElementById('reportType')?.value === 'custom';
+  document.getElementById('reportSectionsGroup')?.classList.toggle('d-none', !isCustom);
+}
+
+/**
+ * The case ID is required for case file reports and optional otherwise
+ */
+function toggleReportCaseField() {
+  const isCaseFile = document.getElementById('reportType')?.value === 'case_file';
+  const label = document.getElementById('reportCaseIdLabel');
+  if (label) label.textContent = isCaseFile ? 'Case ID *' : 'Case ID (optional)';
+}
+
+/**
+ * Render a report's data snapshot (summary and tables) in the view modal
+ */
+function renderReportData(report) {
+  const container = document.getElementById('viewReportData');
+  if (!container) return;
+
+  if (!report.summary?.length && !report.tables?.length) {
+    container.innerHTML = '<p class="text-muted">This report has no data snapshot.</p>';
+    return;
+  }
+
+  const summary = report.summary?.length
+    ? `<h6 class="fw-bold">Summary</h6>
+       <dl class="row mb-3">
+         ${report.summary.map(([label, value]) => `
+           <dt class="col-sm-6">${escapeHtml(label)}</dt>
+           <dd class="col-sm-6">${escapeHtml(value)}</dd>
+         `).join('')}
+       </dl>`
+    : '';
+
+  const tables = (report.tables || []).map(table => `
+    <h6 class="fw-bold mt-3">${escapeHtml(table.title)}</h6>
+    <div class="table-responsive" style="max-height: 300px;">
+      <table class="table table-sm table-bordered">
+        <thead class="table-light">
+          <tr>${table.columns.map(c => `<th>${escapeHtml(c.header)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${table.rows.length
+            ? table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')
+            : `<tr><td colspan="${table.columns.length}" class="text-muted">No records for this period</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+
+  container.innerHTML = summary + tables;
+}
+
+/**
+ * Download Report in its own format (PDF, CSV or Excel)
  */
 window.downloadReport = async (reportId) => {
+  const btn = event?.target.closest('button');
+  const originalHTML = btn?.innerHTML;
+
   try {
-    console.log('Downloading report:', reportId);
-    
-    // Show loading state
-    const btn = event?.target.closest('button');
     if (btn) {
-      const originalHTML = btn.innerHTML;
       btn.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i>Downloading...';
       btn.disabled = true;
     }
 
-    // Note: This is a placeholder for PDF generation
-    // You'll need to implement actual PDF generation on the backend
-    showToast('PDF download feature - Backend implementation required', "info");
-    
-    // Simulated download (replace with actual API call when backend is ready)
-    setTimeout(() => {
-      showToast(`Report ${reportId} download started`, "success");
-      if (btn) {
-        btn.innerHTML = originalHTML;
-        btn.disabled = false;
-      }
-    }, 1000);
-
-    /* When backend PDF route is ready, use this: */
-    const response = await fetch(`https://npf-crm.onrender.com/api/reports/${reportId}/pdf`, {
-      headers: {
-        'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-      }
-    });
-    
-    if (!response.ok) throw new Error('PDF download failed');
-    
-    const blob = await response.blob();
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${reportId}.pdf`;
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    a.remove();
-  
+    await api.downloadReportFile(reportId);
+    showToast(`Report ${reportId} downloaded`, "success");
 
   } catch (e) {
     console.error('Error downloading report:', e);
     showToast('Error downloading report: ' + e.message, "danger");
+  } finally {
+    if (btn) {
+      btn.innerHTML = originalHTML;
+      btn.disabled = false;
+    }
   }
 };
 
@@ -1603,14 +2343,14 @@ window.deleteReport = async (reportId) => {
     return showToast('Only admins can delete reports', "danger");
   }
   
-  if (!confirm(`Are you sure you want to delete report ${reportId}? This action cannot be undone.`)) {
+  if (!confirm(`Move report ${reportId} to the recycle bin? An admin can restore it later.`)) {
     return;
   }
 
   try {
     await api.deleteReportApi(reportId);
     await loadReports();
-    showToast(`Report ${reportId} deleted successfully`, "success");
+    showToast(`Report ${reportId} moved to the recycle bin`, "success");
   } catch (e) {
     console.error('Error deleting report:', e);
     showToast('Error deleting report: ' + e.message, "danger");
@@ -1692,22 +2432,310 @@ function renderIncidentsTable() {
   `).join('');
 }
 
+/* ------------------------------------------------------------------
+   NOTIFICATIONS
+   ------------------------------------------------------------------ */
+
+const NOTIFICATION_ICONS = {
+  case_assigned: 'fa-folder-open text-primary',
+  case_status_changed: 'fa-exchange-alt text-info',
+  report_submitted: 'fa-file-signature text-warning',
+  report_approved: 'fa-check-circle text-success',
+  report_rejected: 'fa-times-circle text-danger',
+  high_priority_incident: 'fa-exclamation-triangle text-danger'
+};
+
+// The Settings "Enable Notifications" toggle; on unless switched off
+function notificationsEnabled() {
+  return appSettings.preferences.notifications !== false;
+}
+
+/**
+ * Show or hide the navbar bell to match the notifications preference
+ */
+function applyNotificationPreference() {
+  document.getElementById('notificationDropdown')?.classList.toggle('d-none', !notificationsEnabled());
+  if (notificationsEnabled()) {
+    loadNotifications().catch(e => console.error('Could not load notifications:', e));
+  }
+}
+
+async function loadNotifications() {
+  if (!notificationsEnabled()) return;
+
+  const { unreadCount, notifications } = await api.fetchNotifications();
+  renderNotifications(notifications, unreadCount);
+}
+
+function renderNotifications(notifications, unreadCount) {
+  const badge = document.getElementById('notificationCount');
+  const list = document.getElementById('notificationList');
+  if (!badge || !list) return;
+
+  badge.textContent = unreadCount > 99 ? '99+' : unreadCount;
+  badge.classList.toggle('d-none', unreadCount === 0);
+
+  if (notifications.length === 0) {
+    list.innerHTML = '<div class="text-center text-muted small py-4">No notifications</div>';
+    return;
+  }
+
+  list.innerHTML = notifications.map(n => `
+    <a href="#" class="dropdown-item notification-item py-2 ${n.read ? '' : 'unread'}"
+       data-notification-id="${n.id}" data-entity-type="${escapeHtml(n.entityType || '')}"
+       data-entity-ref="${escapeHtml(n.entityRef || '')}" data-read="${n.read}">
+      <div class="d-flex">
+        <i class="fas ${NOTIFICATION_ICONS[n.type] || 'fa-bell text-secondary'} me-2 mt-1"></i>
+        <div>
+          <div class="small ${n.read ? '' : 'fw-bold'}">${escapeHtml(n.title)}</div>
+          <div class="small text-muted">${escapeHtml(n.message)}</div>
+          <div class="small text-muted">${formatDate(n.createdAt)}</div>
+        </div>
+      </div>
+    </a>
+  `).join('');
+}
+
+/**
+ * Mark a notification read and go to the case, report or incident it is about
+ */
+async function openNotification({ notificationId, entityType, entityRef, read }) {
+  bootstrap.Dropdown.getInstance(document.getElementById('notificationBell'))?.hide();
+
+  try {
+    if (read !== 'true') {
+      await api.markNotificationRead(notificationId);
+      await loadNotifications();
+    }
+
+    if (entityType === 'case') {
+      await switchSection('cases');
+      await window.viewCase(entityRef);
+    } else if (entityType === 'report') {
+      await switchSection('reports');
+      await window.viewReport(entityRef);
+    } else if (entityType === 'incident') {
+      await switchSection('map');
+    }
+  } catch (e) {
+    console.error(e);
+    showToast(e.message || 'Could not open notification', "danger");
+  }
+}
+
+/* ------------------------------------------------------------------
+   LIVE UPDATES (server-sent events)
+   ------------------------------------------------------------------ */
+
+let liveEvents = null;
+const pendingRefresh = new Map();
+
+// Bursts of events (e.g. a bulk edit) trigger one refresh
+const LIVE_REFRESH_DELAY = 1000;
+
+const LIVE_ACTIVITY_TYPES = {
+  case_created: 'case',
+  case_updated: 'update',
+  incident_created: 'alert',
+  officer_status_changed: 'update'
+};
+
+function scheduleRefresh(key, refresh) {
+  clearTimeout(pendingRefresh.get(key));
+  pendingRefresh.set(key, setTimeout(() => {
+    pendingRefresh.delete(key);
+    refresh().catch(e => console.error(`Live refresh "${key}" failed:`, e));
+  }, LIVE_REFRESH_DELAY));
+}
+
+function prependLiveActivity(type, event) {
+  recentActivity = [{
+    message: event.message,
+    user: event.by,
+    timeAgo: 'Just now',
+    type: LIVE_ACTIVITY_TYPES[type]
+  }, ...recentActivity].slice(0, 5);
+  renderRecentActivity(recentActivity);
+}
+
+async function refreshDashboardCases() {
+  const filters = getDashboardFilters();
+  if (currentSection !== 'dashboard' || (filters.to && !filters.from)) return;
+
+  const [statistics, distribution, cases] = await Promise.all([
+    api.fetchDashboardStatistics(filters),
+    api.fetchCaseDistribution(filters),
+    api.fetchRecentCases(filters)
+  ]);
+  updateStatisticsCards(statistics);
+  renderCaseDistribution(distribution);
+  renderRecentCases(cases);
+}
+
+async function refreshPersonnelStatus() {
+  const filters = getDashboardFilters();
+  if (currentSection !== 'dashboard' || (filters.to && !filters.from)) return;
+
+  renderPersonnelStatus(await api.fetchPersonnelStatus(filters));
+}
+
+async function refreshIncidents() {
+  if (currentSection !== 'map') return;
+
+  allIncidents = await api.fetchIncidents();
+  renderIncidentsTable();
+  await updateMapStatistics();
+}
+
+function startLiveUpdates() {
+  if (liveEvents || !window.EventSource) return;
+
+  const onCaseEvent = (type) => (event) => {
+    prependLiveActivity(type, event);
+    scheduleRefresh('dashboard-cases', refreshDashboardCases);
+  };
+
+  liveEvents = api.subscribeToEvents({
+    case_created: onCaseEvent('case_created'),
+    case_updated: onCaseEvent('case_updated'),
+    incident_created: (event) => {
+      prependLiveActivity('incident_created', event);
+      scheduleRefresh('incidents', refreshIncidents);
+    },
+    officer_status_changed: (event) => {
+      prependLiveActivity('officer_status_changed', event);
+      scheduleRefresh('personnel', refreshPersonnelStatus);
+    },
+    // Only sent to the notification's recipients
+    notification: (event) => {
+      if (!notificationsEnabled()) return;
+      showToast(event.title, event.type === 'high_priority_incident' ? "warning" : "info");
+      scheduleRefresh('notifications', loadNotifications);
+    }
+  });
+}
+
+function stopLiveUpdates() {
+  liveEvents?.close();
+  liveEvents = null;
+}
+
 /* ------------------------------------------------------------------
    ANALYTICS PAGE
    ------------------------------------------------------------------ */
 
+// Chart.js instances by canvas id, replaced on every render
+const analyticsCharts = {};
+
+function renderChart(canvasId, config) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas || !window.Chart) return;
+
+  analyticsCharts[canvasId]?.destroy();
+  analyticsCharts[canvasId] = new window.Chart(canvas, {
+    ...config,
+    options: { responsive: true, maintainAspectRatio: false, ...config.options }
+  });
+}
+
+function renderCaseTrendsChart(trends) {
+  renderChart('caseTrendsChart', {
+    type: 'line',
+    data: {
+      labels: trends.series.map(b => b.label),
+      datasets: [
+        { label: 'Reported', data: trends.series.map(b => b.reported), borderColor: '#4e73df', backgroundColor: 'rgba(78, 115, 223, 0.1)', fill: true, tension: 0.3 },
+        { label: 'Resolved', data: trends.series.map(b => b.resolved), borderColor: '#1cc88a', backgroundColor: 'rgba(28, 200, 138, 0.1)', fill: true, tension: 0.3 }
+      ]
+    },
+    options: { scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+  });
+}
+
+function renderCaseTypeChart(summary) {
+  const types = summary.clearanceByType;
+  renderChart('caseTypeChart', {
+    type: 'doughnut',
+    data: {
+      labels: types.map(t => t.type),
+      datasets: [{
+        data: types.map(t => t.total),
+        backgroundColor: ['#4e73df', '#1cc88a', '#36b9cc', '#f6c23e', '#e74a3b', '#858796', '#5a5c69', '#fd7e14']
+      }]
+    },
+    options: { plugins: { legend: { position: 'bottom' } } }
+  });
+}
+
+function renderResolutionChart(summary) {
+  const days = new Map(summary.resolutionByType.map(r => [r.type, r.averageDays]));
+  const types = summary.clearanceByType;
+
+  renderChart('resolutionChart', {
+    type: 'bar',
+    data: {
+      labels: types.map(t => t.type),
+      datasets: [
+        { label: 'Clearance rate (%)', data: types.map(t => t.clearanceRate ?? 0), backgroundColor: '#1cc88a', yAxisID: 'rate' },
+        { label: 'Avg. days to resolve', data: types.map(t => days.get(t.type) ?? null), backgroundColor: '#f6c23e', yAxisID: 'days' }
+      ]
+    },
+    options: {
+      scales: {
+        rate: { position: 'left', beginAtZero: true, max: 100, title: { display: true, text: '%' } },
+        days: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'Days' } }
+      },
+      plugins: {
+        subtitle: {
+          display: true,
+          text: [
+            `Overall clearance ${summary.clearanceRate ?? '-'}%, average ${summary.averageResolutionDays ?? '-'} days to resolve`,
+            'By priority: ' + summary.resolutionByPriority.map(p => `${p.priority} ${p.averageDays}d`).join(', ')
+          ]
+        }
+      }
+    }
+  });
+}
+
+function renderOfficerPerformanceChart(officers) {
+  const ranked = officers.filter(o => o.assigned > 0).sort((a, b) => b.assigned - a.assigned).slice(0, 10);
+
+  renderChart('officerPerformanceChart', {
+    type: 'bar',
+    data: {
+      labels: ranked.map(o => `${o.name} (#${o.badge})`),
+      datasets: [
+        { label: 'Resolved', data: ranked.map(o => o.resolved), backgroundColor: '#1cc88a' },
+        { label: 'Active', data: ranked.map(o => o.active), backgroundColor: '#4e73df' }
+      ]
+    },
+    options: {
+      indexAxis: 'y',
+      scales: { x: { stacked: true, beginAtZero: true, ticks: { precision: 0 } }, y: { stacked: true } },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            footer: (items) => {
+              const o = ranked[items[0].dataIndex];
+              return `Clearance ${o.clearanceRate ?? '-'}%, avg ${o.averageResolutionDays ?? '-'} days`;
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
 async function loadAnalytics() {
   try {
-    console.log('Loading analytics...');
-    
-    // Fetch case statistics for analytics
-    const caseStats = await api.fetchCaseStatistics();
-    const officerStats = await api.fetchOfficerStatistics();
-    
-    // Update analytics displays (customize based on your HTML structure)
-    console.log('Analytics data:', { caseStats, officerStats });
-    
-    showToast("Analytics loaded successfully", "success");
+    const period = document.getElementById('analyticsTrendPeriod')?.value || 'month';
+    const { summary, trends, officers } = await api.fetchAnalytics(period);
+
+    renderCaseTrendsChart(trends);
+    renderCaseTypeChart(summary);
+    renderResolutionChart(summary);
+    renderOfficerPerformanceChart(officers);
   } catch (e) {
     console.error('Error loading analytics:', e);
     showToast("Could not load analytics", "danger");
@@ -1830,11 +2858,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   initNavigation();
   initializeModals();
   updateNavbarUserInfo();
+  await loadAppSettings();
   
   await switchSection('dashboard');
   applyRoleBasedUI();
+  startLiveUpdates();
 
-  showToast(`Welcome back, ${currentUser?.name || currentUser?.username}!`, "success");
+  if (appSettings.preferences.notifications !== false) {
+    showToast(`Welcome back, ${currentUser?.name || currentUser?.username}!`, "success");
+  }
 
   console.log('✅ NPF CRM Application loaded successfully');
 });
@@ -5,6 +5,9 @@ const express = require('express');
 const cors = require('cors');
 const { connectDB } = require('./config/db');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { startScheduledJobs } = require('./jobs');
+const { checkEmailConfig } = require('./services/email');
+const { checkSigningConfig } = require('./services/reportIntegrity');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -14,6 +17,21 @@ const officerRoutes = require('./routes/officerRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const incidentRoutes = require('./routes/incidentRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
+const evidenceRoutes = require('./routes/evidenceRoutes');
+const personRoutes = require('./routes/personRoutes');
+const recycleBinRoutes = require('./routes/recycleBinRoutes');
+const retentionRoutes = require('./routes/retentionRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const reportScheduleRoutes = require('./routes/reportScheduleRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+
+// Refuse to start with an email setup that would leak or drop messages
+checkEmailConfig();
+
+// ...or without the secret that signs approved reports
+checkSigningConfig();
 
 // Initialize app
 const app = express();
@@ -54,6 +72,15 @@ app.use('/api/officers', officerRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/incidents', incidentRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/evidence', evidenceRoutes);
+app.use('/api/persons', personRoutes);
+app.use('/api/recycle-bin', recycleBinRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/report-schedules', reportScheduleRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Error handling
 app.use(notFound);
@@ -64,6 +91,7 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  startScheduledJobs();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,18 @@
+// src/config/analytics.js
+
+/**
+ * Case trend granularities and how many buckets each covers
+ * (the current bucket plus the ones before it)
+ *   day   - last 30 days
+ *   week  - last 12 weeks, starting Mondays
+ *   month - last 12 calendar months
+ */
+const TREND_PERIODS = {
+  day: { label: 'Daily', buckets: 30 },
+  week: { label: 'Weekly', buckets: 12 },
+  month: { label: 'Monthly', buckets: 12 }
+};
+
+const DEFAULT_TREND_PERIOD = 'month';
+
+module.exports = { TREND_PERIODS, DEFAULT_TREND_PERIOD };
@@ -0,0 +1,28 @@
+// src/config/assignment.js
+
+/**
+ * Units best suited to each case type
+ * Officers in one of these units rank higher in assignment suggestions.
+ */
+const CASE_TYPE_UNITS = {
+  theft: ['CID', 'Patrol'],
+  assault: ['CID', 'Patrol'],
+  vandalism: ['Patrol'],
+  traffic: ['Traffic'],
+  drug: ['CID', 'K9'],
+  other: ['Patrol']
+};
+
+/**
+ * Scoring weights for assignment suggestions
+ * Past cases of the same type only count up to `maxRelatedCases` so a long
+ * history can't outweigh a heavy current caseload.
+ */
+const SUGGESTION_WEIGHTS = {
+  unitMatch: 50,
+  perActiveCase: -10,
+  perRelatedCase: 5,
+  maxRelatedCases: 5
+};
+
+module.exports = { CASE_TYPE_UNITS, SUGGESTION_WEIGHTS };
@@ -0,0 +1,52 @@
+// src/config/caseWorkflow.js
+
+/**
+ * Case status definitions
+ *
+ * Each status lists the statuses it may move to next. `group` is the bucket
+ * the status is counted under on the dashboard (open / investigation /
+ * resolved), and `requiresReason` forces the caller to explain the change.
+ */
+const CASE_STATUSES = {
+  open: {
+    label: 'Open',
+    group: 'open',
+    initial: true,
+    transitions: ['investigation', 'closed']
+  },
+  investigation: {
+    label: 'Under Investigation',
+    group: 'investigation',
+    initial: true,
+    transitions: ['pending_prosecution', 'resolved', 'closed']
+  },
+  pending_prosecution: {
+    label: 'Pending Prosecution',
+    group: 'investigation',
+    transitions: ['investigation', 'resolved']
+  },
+  resolved: {
+    label: 'Resolved',
+    group: 'resolved',
+    transitions: ['closed', 'reopened']
+  },
+  closed: {
+    label: 'Closed',
+    group: 'resolved',
+    requiresReason: true,
+    transitions: ['reopened']
+  },
+  reopened: {
+    label: 'Reopened',
+    group: 'open',
+    requiresReason: true,
+    transitions: ['investigation', 'resolved', 'closed']
+  }
+};
+
+/**
+ * Status given to new cases when none is specified
+ */
+const DEFAULT_CASE_STATUS = 'open';
+
+module.exports = { CASE_STATUSES, DEFAULT_CASE_STATUS };
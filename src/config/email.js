@@ -0,0 +1,71 @@
+// src/config/email.js
+
+const path = require('path');
+
+/**
+ * Outbound email
+ *   transport - "smtp", "file" (writes .eml files) or "console" (logs them);
+ *               file and console are for local development and tests only.
+ *               Outside production it defaults to "console"; in production
+ *               it must be set, and the server won't start without it.
+ *   from      - sender address on every message
+ *   appUrl    - base URL of the web app, used for links in messages
+ */
+const EMAIL = {
+  transport: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console'),
+  from: process.env.EMAIL_FROM || 'NPF CRM <no-reply@npf-crm.local>',
+  appUrl: (process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '')
+};
+
+/**
+ * SMTP transport settings
+ * `secure` connects over TLS from the start (port 465); otherwise the
+ * connection is upgraded with STARTTLS when the server offers it.
+ */
+const SMTP = {
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER || null,
+  password: process.env.SMTP_PASSWORD || null,
+  timeoutMs: (parseFloat(process.env.SMTP_TIMEOUT_SECONDS) || 30) * 1000
+};
+
+/**
+ * Where the file transport writes messages
+ */
+const EMAIL_FILE_PATH = process.env.EMAIL_FILE_PATH || path.join(process.cwd(), 'storage', 'mail');
+
+/**
+ * Outbound queue: a failed send is retried after each delay in turn
+ * (minutes), and given up on once maxAttempts sends have failed.
+ * Rejections the server marks as permanent (5xx) are not retried.
+ */
+const EMAIL_QUEUE = {
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+  retryMinutes: [1, 5, 15, 60],
+  batchSize: 20
+};
+
+/**
+ * Scheduler that sends queued messages
+ */
+const EMAIL_JOB = {
+  enabled: process.env.EMAIL_JOB_ENABLED !== 'false',
+  intervalMinutes: parseFloat(process.env.EMAIL_JOB_INTERVAL_MINUTES) || 1
+};
+
+/**
+ * Password reset links
+ */
+const PASSWORD_RESET = {
+  ttlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+};
+
+/**
+ * Transports that don't deliver mail: they would leave passwords and reset
+ * links in logs or on disk, so production refuses them
+ */
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+module.exports = { EMAIL, DEVELOPMENT_TRANSPORTS, SMTP, EMAIL_FILE_PATH, EMAIL_QUEUE, EMAIL_JOB, PASSWORD_RESET };
@@ -0,0 +1,25 @@
+// src/config/reportSchedules.js
+
+/**
+ * Reporting windows a schedule can cover, ending the day before each run
+ *   day   - the previous day
+ *   week  - the previous seven days
+ *   month - the previous calendar month
+ */
+const SCHEDULE_PERIODS = {
+  day: { label: 'Previous day' },
+  week: { label: 'Previous 7 days' },
+  month: { label: 'Previous calendar month' }
+};
+
+const SCHEDULE_STATUSES = ['active', 'paused'];
+
+/**
+ * Scheduler that generates due reports
+ */
+const REPORT_SCHEDULE_JOB = {
+  enabled: process.env.REPORT_SCHEDULE_JOB_ENABLED !== 'false',
+  intervalMinutes: parseFloat(process.env.REPORT_SCHEDULE_JOB_INTERVAL_MINUTES) || 1
+};
+
+module.exports = { SCHEDULE_PERIODS, SCHEDULE_STATUSES, REPORT_SCHEDULE_JOB };
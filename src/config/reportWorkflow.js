@@ -0,0 +1,34 @@
+// src/config/reportWorkflow.js
+
+/**
+ * Report approval statuses
+ *
+ * New reports start as drafts (the column default). `editable` statuses may still be changed by
+ * their author; an approved report is `locked` for good.
+ */
+const REPORT_STATUSES = {
+  draft: { label: 'Draft', editable: true },
+  submitted: { label: 'Submitted for approval' },
+  approved: { label: 'Approved', locked: true },
+  rejected: { label: 'Rejected', editable: true }
+};
+
+/**
+ * Review actions and who may take them
+ *
+ * `actor` is 'author' (the generating user, or an admin) or 'reviewer' (a
+ * reviewer role other than the author). Rejections must say why.
+ */
+const REPORT_ACTIONS = {
+  submit: { label: 'Submitted', from: ['draft', 'rejected'], to: 'submitted', actor: 'author' },
+  withdraw: { label: 'Withdrawn', from: ['submitted'], to: 'draft', actor: 'author' },
+  approve: { label: 'Approved', from: ['submitted'], to: 'approved', actor: 'reviewer' },
+  reject: { label: 'Rejected', from: ['submitted'], to: 'rejected', actor: 'reviewer', requiresComment: true }
+};
+
+/**
+ * Roles that can sign off reports
+ */
+const REPORT_REVIEWER_ROLES = ['supervisor', 'admin'];
+
+module.exports = { REPORT_STATUSES, REPORT_ACTIONS, REPORT_REVIEWER_ROLES };
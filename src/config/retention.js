@@ -0,0 +1,32 @@
+// src/config/retention.js
+
+const path = require('path');
+
+/**
+ * Record types a retention policy can cover, and what it may do to them
+ * Activity logs have no archived state, so they can only be purged.
+ */
+const RETENTION_RECORD_TYPES = {
+  activity_logs: { label: 'Activity logs', actions: ['purge'] },
+  resolved_cases: { label: 'Resolved and closed cases', actions: ['archive', 'purge'] },
+  incidents: { label: 'Incidents', actions: ['archive', 'purge'] },
+  reports: { label: 'Reports', actions: ['archive', 'purge'] }
+};
+
+/**
+ * Scheduled retention job
+ */
+const RETENTION_JOB = {
+  enabled: process.env.RETENTION_JOB_ENABLED !== 'false',
+  intervalHours: parseFloat(process.env.RETENTION_JOB_INTERVAL_HOURS) || 24
+};
+
+/**
+ * Purged records are written here as JSON first when the autoBackup system
+ * setting is on
+ */
+const RETENTION_BACKUP = {
+  path: process.env.RETENTION_BACKUP_PATH || path.join(process.cwd(), 'storage', 'backups')
+};
+
+module.exports = { RETENTION_RECORD_TYPES, RETENTION_JOB, RETENTION_BACKUP };
@@ -0,0 +1,30 @@
+// src/config/sequences.js
+
+/**
+ * Formats for generated record IDs
+ *
+ * An ID is `<prefix>[-<year>]-<number>`, with the number zero-padded to
+ * `padding` digits and counting from `start`. With `yearlyReset` the year is
+ * part of the ID and numbering restarts each January (CA-2026-00042).
+ * `departmentPrefixes` replaces the prefix for records created by users in
+ * that department; each prefix keeps its own counter. The case prefix can
+ * be changed from the Settings page (the caseIdPrefix system setting).
+ */
+const SEQUENCES = {
+  case: {
+    prefix: 'CA',
+    padding: 4,
+    start: 1,
+    yearlyReset: false,
+    departmentPrefixes: {}
+  },
+  report: {
+    prefix: 'RPT',
+    padding: 4,
+    start: 1026,
+    yearlyReset: false,
+    departmentPrefixes: {}
+  }
+};
+
+module.exports = { SEQUENCES };
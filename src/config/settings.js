@@ -0,0 +1,24 @@
+// src/config/settings.js
+
+/**
+ * Typed settings keys
+ *
+ * `system` settings apply to everyone and only admins may change them;
+ * `user` preferences are per account. Each key has a type ('enum', 'boolean'
+ * or 'timezone'), a default, and for enums the allowed values.
+ */
+const SETTINGS = {
+  system: {
+    caseIdPrefix: { type: 'enum', values: ['CA', 'PD', 'C'], default: 'CA' },
+    defaultReportFormat: { type: 'enum', values: ['pdf', 'excel', 'csv'], default: 'pdf' },
+    autoBackup: { type: 'boolean', default: true }
+  },
+  user: {
+    language: { type: 'enum', values: ['en', 'es', 'fr'], default: 'en' },
+    timezone: { type: 'timezone', default: 'Africa/Lagos' },
+    dateFormat: { type: 'enum', values: ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'], default: 'MM/DD/YYYY' },
+    notifications: { type: 'boolean', default: true }
+  }
+};
+
+module.exports = { SETTINGS };
@@ -0,0 +1,121 @@
+// src/controllers/analytics.controller.js
+
+const { prisma } = require('../config/db');
+const analytics = require('../services/analytics');
+const { TREND_PERIODS, DEFAULT_TREND_PERIOD } = require('../config/analytics');
+
+/**
+ * Read the trend period from the query string
+ * Returns the period or sends the error response and returns null.
+ */
+const readTrendPeriod = (req, res) => {
+  const { period = DEFAULT_TREND_PERIOD } = req.query;
+
+  if (!TREND_PERIODS[period]) {
+    res.status(400).json({
+      success: false,
+      error: `Period must be one of: ${Object.keys(TREND_PERIODS).join(', ')}`,
+      code: 'INVALID_PERIOD'
+    });
+    return null;
+  }
+
+  return period;
+};
+
+/**
+ * @route   GET /api/analytics
+ * @desc    Summary, case trends (?period=day|week|month) and officer performance in one call
+ * @access  Private
+ */
+const getAnalytics = async (req, res, next) => {
+  try {
+    const period = readTrendPeriod(req, res);
+    if (!period) return;
+
+    // The summary and the officer table share one resolution time query
+    const times = analytics.resolutionTimes(prisma);
+
+    const [summary, trends, officers] = await Promise.all([
+      analytics.caseSummary(prisma, times),
+      analytics.caseTrends(prisma, period),
+      analytics.officerPerformance(prisma, times)
+    ]);
+
+    res.json({
+      success: true,
+      data: { summary, trends, officers }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/analytics/summary
+ * @desc    Clearance rates and average time to resolution by type and priority
+ * @access  Private
+ */
+const getAnalyticsSummary = async (req, res, next) => {
+  try {
+    const summary = await analytics.caseSummary(prisma);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/analytics/case-trends
+ * @desc    Cases reported and resolved per day, week or month (?period=)
+ * @access  Private
+ */
+const getCaseTrends = async (req, res, next) => {
+  try {
+    const period = readTrendPeriod(req, res);
+    if (!period) return;
+
+    const trends = await analytics.caseTrends(prisma, period);
+
+    res.json({
+      success: true,
+      data: trends
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/analytics/officer-performance
+ * @desc    Assigned, active and resolved cases, clearance rate and resolution time per officer
+ * @access  Private
+ */
+const getOfficerPerformance = async (req, res, next) => {
+  try {
+    const officers = await analytics.officerPerformance(prisma);
+
+    res.json({
+      success: true,
+      count: officers.length,
+      data: officers
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAnalytics,
+  getAnalyticsSummary,
+  getCaseTrends,
+  getOfficerPerformance
+};
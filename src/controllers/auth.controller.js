@@ -4,6 +4,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { requestPasswordReset, findValidReset } = require('../services/passwordReset');
 
 /**
  * Generate JWT token
@@ -305,10 +306,138 @@ const changePassword = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link to the account with this email address.
+ *          The response is the same whether or not the account exists.
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const email = req.body?.email ? String(req.body.email).trim() : '';
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const user = await prisma.user.findFirst({
+      where: { email, status: 'active' }
+    });
+
+    if (user) {
+      await requestPasswordReset(prisma, user);
+
+      await prisma.activitylog.create({
+        data: {
+          message: `Password reset requested for ${user.name || user.username}`,
+          action: 'request_password_reset',
+          userId: user.id
+        }
+      }).catch(err => console.error('Failed to log activity:', err));
+    }
+
+    res.json({
+      success: true,
+      message: 'If an active account uses that email address, a reset link has been sent to it'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from a reset link
+ * @access  Public
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token and new password are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password must be at least 6 characters',
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
+    const reset = await findValidReset(prisma, token);
+
+    if (!reset || reset.user.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'This reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    const hashedNewPassword = await bcrypt.hash(newPassword, 10);
+
+    // Claiming the token and changing the password happen together, so a
+    // link can't be used twice
+    const used = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.passwordReset.updateMany({
+        where: { id: reset.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+      if (count === 0) return false;
+
+      await tx.user.update({
+        where: { id: reset.userId },
+        data: { password: hashedNewPassword }
+      });
+      return true;
+    });
+
+    if (!used) {
+      return res.status(400).json({
+        success: false,
+        error: 'This reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `${reset.user.name || reset.user.username} reset their password`,
+        action: 'reset_password',
+        userId: reset.userId
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. You can now log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
   getCurrentUser,
   logout,
-  changePassword
+  changePassword,
+  forgotPassword,
+  resetPassword
 };
\ No newline at end of file
@@ -3,20 +3,86 @@
 
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const workflow = require('../services/caseWorkflow');
+const caseHistory = require('../services/caseHistory');
+const officers = require('../services/officers');
+const caseload = require('../services/caseload');
+const { suggestOfficers } = require('../services/assignment');
+const { nextSequenceId } = require('../services/sequences');
+const { getSystemSetting } = require('../services/settings');
+const lifecycle = require('../services/recordLifecycle');
+const { normalizeExportFormat, exportList } = require('../services/tabularExport');
+const { caseCounters } = require('../services/dashboard');
+const { publishEvent, caseEventData } = require('../services/events');
+const notifications = require('../services/notifications');
+const { CASE_STATUSES } = require('../config/caseWorkflow');
 
 /**
- * Generate unique case ID
+ * Build the case list filter from query parameters (shared by list and export)
  */
-const generateCaseId = async () => {
-  const lastCase = await prisma.caseFile.findFirst({
-    orderBy: { id: 'desc' },
-    select: { caseId: true }
+const buildCaseFilter = async (query) => {
+  const { status, type, priority, officer, officerBadge, search, archived } = query;
+
+  // Archived cases only when asked for
+  const where = lifecycle.listingFilter(archived);
+  if (status) where.status = status;
+  if (type) where.type = { contains: type, mode: 'insensitive' };
+  if (priority) where.priority = priority;
+  
+  if (officer) {
+    const officerUser = await prisma.user.findFirst({
+      where: {
+        OR: [
+          { username: { contains: officer  } },
+          { name: { contains: officer } }
+        ]
+      }
+    });
+    if (officerUser) where.officerId = officerUser.id;
+  }
+
+  if (officerBadge && !isNaN(officerBadge)) {
+    where.officer = { officerProfile: { badge: parseInt(officerBadge) } };
+  }
+
+  if (search) {
+    where.OR = [
+      { caseId: { contains: search, mode: 'insensitive' } },
+      { type: { contains: search, mode: 'insensitive' } },
+      { location: { contains: search, mode: 'insensitive' } },
+      { description: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  return where;
+};
+
+/**
+ * Write a case change and run the rest of its transaction, in one go
+ * The write only applies while the case still has the status, officer and
+ * recycle-bin state it was checked against, so two concurrent requests can't
+ * both move the officer caseload counters. Resolves with the result of
+ * `then(tx)`, or null when the case had already changed.
+ */
+const changeCase = (existingCase, data, then) => prisma.$transaction(async (tx) => {
+  const { count } = await tx.caseFile.updateMany({
+    where: {
+      id: existingCase.id,
+      status: existingCase.status,
+      officerId: existingCase.officerId,
+      deletedAt: existingCase.deletedAt
+    },
+    data
   });
+  if (count !== 1) return null;
 
-  if (!lastCase) return 'CA-0001';
+  return then(tx);
+});
 
-  const lastNumber = parseInt(lastCase.caseId.split('-')[1]);
-  return `CA-${lastNumber + 1}`;
+const CASE_CHANGED = {
+  success: false,
+  error: 'Case changed while this request was being handled; reload and try again',
+  code: 'CASE_CHANGED'
 };
 
 /**
@@ -26,45 +92,14 @@ const generateCaseId = async () => {
  */
 const getCases = async (req, res, next) => {
   try {
-    const { status, type, priority, officer, search, page = 1, limit = 50 } = req.query;
-
-    // Build filter
-    const where = {};
-    if (status) where.status = status;
-    if (type) where.type = { contains: type, mode: 'insensitive' };
-    if (priority) where.priority = priority;
-    
-    if (officer) {
-      const officerUser = await prisma.user.findFirst({
-        where: {
-          OR: [
-            { username: { contains: officer  } },
-            { name: { contains: officer } }
-          ]
-        }
-      });
-      if (officerUser) where.officerId = officerUser.id;
-    }
+    const { page = 1, limit = 50 } = req.query;
 
-    if (search) {
-      where.OR = [
-        { caseId: { contains: search, mode: 'insensitive' } },
-        { type: { contains: search, mode: 'insensitive' } },
-        { location: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } }
-      ];
-    }
+    const where = await buildCaseFilter(req.query);
 
     const cases = await prisma.caseFile.findMany({
       where,
       include: {
-        officer: {
-          select: {
-            id: true,
-            username: true,
-            name: true
-          }
-        }
+        officer: { select: officers.ASSIGNED_OFFICER_SELECT }
       },
       orderBy: { reported: 'desc' },
       skip: (page - 1) * limit,
@@ -80,8 +115,10 @@ const getCases = async (req, res, next) => {
       status: c.status,
       priority: c.priority,
       officer: c.officer?.name || c.officer?.username || 'Unassigned',
+      assignedOfficer: officers.formatAssignedOfficer(c.officer),
       description: c.description,
-      reporter: c.reporter
+      reporter: c.reporter,
+      archivedAt: c.archivedAt
     }));
 
     const total = await prisma.caseFile.count({ where });
@@ -111,19 +148,15 @@ const getCaseById = async (req, res, next) => {
 
     const caseData = await prisma.caseFile.findFirst({
       where: {
+        ...lifecycle.NOT_DELETED,
         OR: [
           { id: isNaN(id) ? undefined : parseInt(id) },
           { caseId: id }
         ]
       },
       include: {
-        officer: {
-          select: {
-            id: true,
-            username: true,
-            name: true
-          }
-        }
+        officer: { select: officers.ASSIGNED_OFFICER_SELECT },
+        legalHoldBy: { select: { username: true, name: true } }
       }
     });
 
@@ -144,8 +177,18 @@ const getCaseById = async (req, res, next) => {
       status: caseData.status,
       priority: caseData.priority,
       officer: caseData.officer?.name || caseData.officer?.username || 'Unassigned',
+      assignedOfficer: officers.formatAssignedOfficer(caseData.officer),
       description: caseData.description,
-      reporter: caseData.reporter
+      reporter: caseData.reporter,
+      archivedAt: caseData.archivedAt,
+      legalHold: caseData.legalHold
+        ? {
+            reason: caseData.legalHoldReason,
+            placedAt: caseData.legalHoldAt,
+            placedBy: caseData.legalHoldBy?.name || caseData.legalHoldBy?.username || null
+          }
+        : null,
+      allowedTransitions: workflow.getAllowedTransitions(caseData.status)
     };
 
     res.json({
@@ -161,12 +204,12 @@ const getCaseById = async (req, res, next) => {
 
 /**
  * @route   POST /api/cases
- * @desc    Create new case
+ * @desc    Create new case; with `autoAssign` and no badge, the top suggested officer is assigned
  * @access  Private
  */
 const createCase = async (req, res, next) => {
   try {
-    const { type, priority, description, location, reporter, officer, status } = req.body;
+    const { type, priority, description, location, reporter, officerBadge, status, autoAssign } = req.body;
 
     // Validation
     if (!type || !location) {
@@ -177,80 +220,86 @@ const createCase = async (req, res, next) => {
       });
     }
 
+    // Validate starting status
+    const statusError = workflow.validateInitialStatus(status);
+    if (statusError) {
+      const { statusCode, ...body } = statusError;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
     // Generate case ID
-    const caseId = await generateCaseId();
+    const caseId = await nextSequenceId(prisma, 'case', {
+      department: req.user.department,
+      format: { prefix: await getSystemSetting(prisma, 'caseIdPrefix') }
+    });
 
-    // Find officer if specified
-  // UPDATED OFFICER ASSIGNMENT LOGIC
+    // Officers are assigned by badge; the case records their user account
     let officerId = null;
-    if (officer) {
-      // If officer is a number, treat it as user ID
-      if (!isNaN(officer) && officer !== '') {
-        const userId = parseInt(officer);
-        const userExists = await prisma.user.findUnique({
-          where: { id: userId },
-          select: { id: true, role: true }
-        });
-        
-        if (userExists) {
-          officerId = userId;
-          console.log('Officer assigned by ID:', officerId);
-        } else {
-          console.warn('User ID not found:', userId);
-        }
-      } else {
-        // Otherwise, search by username or name
-        const officerUser = await prisma.user.findFirst({
-          where: {
-            OR: [
-              { username: officer },
-              { name: { contains: officer } }
-            ]
-          }
-        });
-        
-        if (officerUser) {
-          officerId = officerUser.id;
-          console.log('Officer assigned by name:', officerId);
-        }
+    if (officerBadge !== undefined) {
+      const assignment = await officers.resolveOfficerBadge(prisma, officerBadge);
+      if (assignment.error) {
+        const { statusCode, ...body } = assignment.error;
+        return res.status(statusCode).json({ success: false, ...body });
       }
+      officerId = assignment.userId;
     }
 
-    // Create case
-    const newCase = await prisma.caseFile.create({
-      data: {
-        caseId,
-        type,
-        priority: priority || 'medium',
-        description,
-        location,
-        reporter,
-        status: status || 'open',
-        officerId,
-        createdById: req.user.id
-      },
-      include: {
-        officer: {
-          select: {
-            username: true,
-            name: true
-          }
-        }
+    // Auto-assign to the best available officer when none was picked
+    let autoAssignedTo = null;
+    if (!officerId && (autoAssign === true || autoAssign === 'true')) {
+      const [best] = await suggestOfficers(prisma, { type, limit: 1 });
+      if (best) {
+        officerId = best.userId;
+        autoAssignedTo = best.badge;
       }
-    });
+    }
+
+    const initialStatus = status || workflow.DEFAULT_CASE_STATUS;
+
+    // Create case and count it against the assigned officer's caseload
+    const [newCase] = await prisma.$transaction([
+      prisma.caseFile.create({
+        data: {
+          caseId,
+          type,
+          priority: priority || 'medium',
+          description,
+          location,
+          reporter,
+          status: initialStatus,
+          officerId,
+          createdById: req.user.id
+        },
+        include: {
+          officer: { select: officers.ASSIGNED_OFFICER_SELECT }
+        }
+      }),
+      ...caseload.caseloadUpdates(prisma, null, { officerId, status: initialStatus })
+    ]);
 
     console.log('Case created:', newCase.caseId);
 
+    const message = autoAssignedTo
+      ? `New case ${newCase.caseId} created: ${newCase.type} at ${newCase.location} (auto-assigned to officer ${autoAssignedTo})`
+      : `New case ${newCase.caseId} created: ${newCase.type} at ${newCase.location}`;
+
     // Log activity
     await prisma.activitylog.create({
       data: {
-        message: `New case ${newCase.caseId} created: ${newCase.type} at ${newCase.location}`,
+        message,
         action: 'create_case',
         userId: req.user.id,
-        metadata: JSON.stringify({ caseId: newCase.caseId, type: newCase.type })
+        metadata: JSON.stringify({ caseId: newCase.caseId, type: newCase.type, autoAssignedTo })
       }
     }).catch(err => console.error('Failed to log activity:', err));
 
+    publishEvent('case_created', { ...caseEventData(newCase), message }, req.user);
+
+    if (newCase.officerId) {
+      await notifications.notifyCaseAssigned(prisma, newCase, req.user)
+        .catch(err => console.error('Failed to send notifications:', err));
+    }
+
     // Format response
     const formatted = {
       caseId: newCase.caseId,
@@ -260,8 +309,10 @@ const createCase = async (req, res, next) => {
       status: newCase.status,
       priority: newCase.priority,
       officer: newCase.officer?.name || newCase.officer?.username || 'Unassigned',
+      assignedOfficer: officers.formatAssignedOfficer(newCase.officer),
       description: newCase.description,
-      reporter: newCase.reporter
+      reporter: newCase.reporter,
+      autoAssigned: autoAssignedTo !== null
     };
 
     res.status(201).json({
@@ -284,11 +335,12 @@ const createCase = async (req, res, next) => {
 const updateCase = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { type, priority, description, location, reporter, officer, status } = req.body;
+    const { type, priority, description, location, reporter, officerBadge, status, reason } = req.body;
 
     // Find case
     const existingCase = await prisma.caseFile.findFirst({
       where: {
+        ...lifecycle.NOT_DELETED,
         OR: [
           { id: isNaN(id) ? undefined : parseInt(id) },
           { caseId: id }
@@ -311,70 +363,102 @@ const updateCase = async (req, res, next) => {
     if (description !== undefined) data.description = description;
     if (location) data.location = location;
     if (reporter !== undefined) data.reporter = reporter;
-    if (status) data.status = status;
 
-    // Find officer if specified
-  // UPDATED OFFICER ASSIGNMENT LOGIC
-    let officerId = null;
-    if (officer) {
-      // If officer is a number, treat it as user ID
-      if (!isNaN(officer) && officer !== '') {
-        const userId = parseInt(officer);
-        const userExists = await prisma.user.findUnique({
-          where: { id: userId },
-          select: { id: true, role: true }
-        });
-        
-        if (userExists) {
-          officerId = userId;
-          console.log('Officer assigned by ID:', officerId);
-        } else {
-          console.warn('User ID not found:', userId);
-        }
-      } else {
-        // Otherwise, search by username or name
-        const officerUser = await prisma.user.findFirst({
-          where: {
-            OR: [
-              { username: officer },
-              { name: { contains: officer } }
-            ]
-          }
-        });
-        
-        if (officerUser) {
-          officerId = officerUser.id;
-          console.log('Officer assigned by name:', officerId);
-        }
+    // Status changes must follow the case workflow
+    const statusChanged = status && status !== existingCase.status;
+    if (statusChanged) {
+      const transitionError = workflow.validateTransition(existingCase.status, status, reason);
+      if (transitionError) {
+        const { statusCode, ...body } = transitionError;
+        return res.status(statusCode).json({ success: false, ...body });
       }
+      data.status = status;
     }
 
-    // Update case
-    const updatedCase = await prisma.caseFile.update({
-      where: { id: existingCase.id },
-      data,
-      include: {
-        officer: {
-          select: {
-            username: true,
-            name: true
+    // Officers are assigned by badge; an empty badge unassigns the case
+    if (officerBadge !== undefined) {
+      const assignment = await officers.resolveOfficerBadge(prisma, officerBadge);
+      if (assignment.error) {
+        const { statusCode, ...body } = assignment.error;
+        return res.status(statusCode).json({ success: false, ...body });
+      }
+      data.officerId = assignment.userId;
+    }
+
+    // Field-level changes for the revision history
+    const changes = caseHistory.diffCaseFields(existingCase, data);
+
+    // Update case and record its revision, status transition and caseload changes together
+    const updatedCase = await changeCase(existingCase, data, async (tx) => {
+      if (changes.length > 0) {
+        await tx.caseRevision.create({
+          data: {
+            caseId: existingCase.id,
+            userId: req.user.id,
+            changes: { create: changes }
           }
-        }
+        });
       }
+      if (statusChanged) {
+        await tx.activitylog.create({
+          data: workflow.buildTransitionLog({
+            caseId: existingCase.caseId,
+            from: existingCase.status,
+            to: status,
+            reason,
+            userId: req.user.id
+          })
+        });
+      }
+      await Promise.all(caseload.caseloadUpdates(
+        tx,
+        { officerId: existingCase.officerId, status: existingCase.status },
+        {
+          officerId: data.officerId !== undefined ? data.officerId : existingCase.officerId,
+          status: data.status || existingCase.status
+        }
+      ));
+
+      return tx.caseFile.findUnique({
+        where: { id: existingCase.id },
+        include: {
+          officer: { select: officers.ASSIGNED_OFFICER_SELECT }
+        }
+      });
     });
 
+    if (!updatedCase) {
+      return res.status(409).json(CASE_CHANGED);
+    }
+
     console.log('Case updated:', updatedCase.caseId);
 
+    const fields = changes.map(c => c.field);
+    const message = fields.length > 0
+      ? `Case ${updatedCase.caseId} updated (${fields.join(', ')})`
+      : `Case ${updatedCase.caseId} updated`;
+
     // Log activity
     await prisma.activitylog.create({
       data: {
-        message: `Case ${updatedCase.caseId} updated`,
+        message,
         action: 'update_case',
         userId: req.user.id,
-        metadata: JSON.stringify({ caseId: updatedCase.caseId })
+        metadata: JSON.stringify({ caseId: updatedCase.caseId, fields })
       }
     }).catch(err => console.error('Failed to log activity:', err));
 
+    publishEvent('case_updated', { ...caseEventData(updatedCase), fields, message }, req.user);
+
+    if (updatedCase.officerId && updatedCase.officerId !== existingCase.officerId) {
+      await notifications.notifyCaseAssigned(prisma, updatedCase, req.user)
+        .catch(err => console.error('Failed to send notifications:', err));
+    }
+    if (statusChanged) {
+      await notifications.notifyCaseStatusChanged(prisma, updatedCase, existingCase.status, req.user)
+        .catch(err => console.error('Failed to send notifications:', err));
+    }
+
     // Format response
     const formatted = {
       caseId: updatedCase.caseId,
@@ -384,8 +468,10 @@ const updateCase = async (req, res, next) => {
       status: updatedCase.status,
       priority: updatedCase.priority,
       officer: updatedCase.officer?.name || updatedCase.officer?.username || 'Unassigned',
+      assignedOfficer: officers.formatAssignedOfficer(updatedCase.officer),
       description: updatedCase.description,
-      reporter: updatedCase.reporter
+      reporter: updatedCase.reporter,
+      allowedTransitions: workflow.getAllowedTransitions(updatedCase.status)
     };
 
     res.json({
@@ -400,9 +486,154 @@ const updateCase = async (req, res, next) => {
   }
 };
 
+/**
+ * Strip internal fields from an assignment suggestion
+ */
+const formatSuggestion = ({ userId, ...suggestion }) => suggestion;
+
+/**
+ * @route   GET /api/cases/assignment-suggestions
+ * @desc    Rank available officers for a new case of the given type (?type=)
+ * @access  Private
+ */
+const getNewCaseAssignmentSuggestions = async (req, res, next) => {
+  try {
+    const { type, limit = 3 } = req.query;
+
+    const suggestions = await suggestOfficers(prisma, { type, limit: parseInt(limit) || 3 });
+
+    res.json({
+      success: true,
+      data: suggestions.map(formatSuggestion)
+    });
+
+  } catch (error) {
+    console.error('Get assignment suggestions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/cases/:id/assignment-suggestions
+ * @desc    Rank available officers for an existing case
+ * @access  Private
+ */
+const getAssignmentSuggestions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit = 3 } = req.query;
+
+    const caseData = await prisma.caseFile.findFirst({
+      where: {
+        ...lifecycle.NOT_DELETED,
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { caseId: id }
+        ]
+      },
+      select: { id: true, type: true, officerId: true }
+    });
+
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const suggestions = await suggestOfficers(prisma, { type: caseData.type, limit: parseInt(limit) || 3 });
+
+    res.json({
+      success: true,
+      data: suggestions.map(s => ({
+        ...formatSuggestion(s),
+        current: s.userId === caseData.officerId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get assignment suggestions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/cases/:id/history
+ * @desc    Get field-level revision history of a case
+ * @access  Private
+ */
+const getCaseHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const caseData = await prisma.caseFile.findFirst({
+      where: {
+        ...lifecycle.NOT_DELETED,
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { caseId: id }
+        ]
+      },
+      select: { id: true, caseId: true }
+    });
+
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const revisions = await prisma.caseRevision.findMany({
+      where: { caseId: caseData.id },
+      include: {
+        user: {
+          select: {
+            username: true,
+            name: true
+          }
+        },
+        changes: true
+      },
+      orderBy: { id: 'desc' }
+    });
+
+    // Show assigned officers by badge and name rather than account ID
+    const officerUserIds = new Set();
+    revisions.forEach(r => r.changes
+      .filter(c => c.field === 'officerId')
+      .forEach(c => [c.oldValue, c.newValue].filter(Boolean).forEach(v => officerUserIds.add(parseInt(v)))));
+
+    const officerUsers = officerUserIds.size > 0
+      ? await prisma.user.findMany({
+          where: { id: { in: [...officerUserIds] } },
+          select: officers.ASSIGNED_OFFICER_SELECT
+        })
+      : [];
+
+    const officerLabels = {};
+    officerUsers.forEach(u => {
+      const o = officers.formatAssignedOfficer(u);
+      officerLabels[u.id] = o.badge ? `${o.rank} ${o.name} (#${o.badge})` : o.name;
+    });
+
+    res.json({
+      success: true,
+      data: revisions.map(r => caseHistory.formatRevision(r, { officerId: officerLabels })),
+      total: revisions.length
+    });
+
+  } catch (error) {
+    console.error('Get case history error:', error);
+    next(error);
+  }
+};
+
 /**
  * @route   DELETE /api/cases/:id
- * @desc    Delete case
+ * @desc    Soft-delete case (restorable from the recycle bin)
  * @access  Private (Admin)
  */
 const deleteCase = async (req, res, next) => {
@@ -412,6 +643,7 @@ const deleteCase = async (req, res, next) => {
     // Find case
     const existingCase = await prisma.caseFile.findFirst({
       where: {
+        ...lifecycle.NOT_DELETED,
         OR: [
           { id: isNaN(id) ? undefined : parseInt(id) },
           { caseId: id }
@@ -427,15 +659,32 @@ const deleteCase = async (req, res, next) => {
       });
     }
 
-    await prisma.caseFile.delete({
-      where: { id: existingCase.id }
+    if (existingCase.legalHold) {
+      return res.status(409).json({
+        success: false,
+        error: 'Case is under legal hold and cannot be deleted',
+        code: 'LEGAL_HOLD'
+      });
+    }
+
+    // Move case to the recycle bin and release it from the assigned officer's caseload
+    const deleted = await changeCase(existingCase, lifecycle.softDeleteData(req.user.id), async (tx) => {
+      await Promise.all(caseload.caseloadUpdates(tx, { officerId: existingCase.officerId, status: existingCase.status }, null));
+      await tx.activitylog.create({
+        data: lifecycle.buildLifecycleLog({ entity: 'case', ref: existingCase.caseId, action: 'delete', userId: req.user.id })
+      });
+      return true;
     });
 
+    if (!deleted) {
+      return res.status(409).json(CASE_CHANGED);
+    }
+
     console.log('Case deleted:', existingCase.caseId);
 
     res.json({
       success: true,
-      message: 'Case deleted successfully'
+      message: 'Case moved to the recycle bin'
     });
 
   } catch (error) {
@@ -444,6 +693,308 @@ const deleteCase = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   POST /api/cases/:id/archive
+ * @desc    Archive case; archived cases are left out of default listings
+ * @access  Private (Admin)
+ */
+const archiveCase = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingCase = await prisma.caseFile.findFirst({
+      where: {
+        ...lifecycle.NOT_DELETED,
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { caseId: id }
+        ]
+      }
+    });
+
+    if (!existingCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (existingCase.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Case is already archived',
+        code: 'ALREADY_ARCHIVED'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.caseFile.update({
+        where: { id: existingCase.id },
+        data: { archivedAt: new Date() }
+      }),
+      prisma.activitylog.create({
+        data: lifecycle.buildLifecycleLog({ entity: 'case', ref: existingCase.caseId, action: 'archive', userId: req.user.id })
+      })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Case archived successfully'
+    });
+
+  } catch (error) {
+    console.error('Archive case error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/cases/:id/restore
+ * @desc    Restore a case from the recycle bin or the archive
+ * @access  Private (Admin)
+ */
+const restoreCase = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingCase = await prisma.caseFile.findFirst({
+      where: {
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { caseId: id }
+        ]
+      }
+    });
+
+    if (!existingCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (!existingCase.deletedAt && !existingCase.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Case is neither deleted nor archived',
+        code: 'NOTHING_TO_RESTORE'
+      });
+    }
+
+    const wasDeleted = !!existingCase.deletedAt;
+
+    // A case back from the recycle bin counts against its officer's caseload again
+    const restored = await changeCase(existingCase, lifecycle.restoreData(existingCase), async (tx) => {
+      if (wasDeleted) {
+        await Promise.all(caseload.caseloadUpdates(tx, null, { officerId: existingCase.officerId, status: existingCase.status }));
+      }
+      await tx.activitylog.create({
+        data: lifecycle.buildLifecycleLog({ entity: 'case', ref: existingCase.caseId, action: 'restore', userId: req.user.id, wasDeleted })
+      });
+      return true;
+    });
+
+    if (!restored) {
+      return res.status(409).json(CASE_CHANGED);
+    }
+
+    res.json({
+      success: true,
+      message: wasDeleted ? 'Case restored from the recycle bin' : 'Case restored from the archive'
+    });
+
+  } catch (error) {
+    console.error('Restore case error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/cases/:id/legal-hold
+ * @desc    Place case under legal hold; held cases and their incidents and reports are exempt from retention and deletion
+ * @access  Private (Admin)
+ */
+const placeLegalHold = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to place a legal hold',
+        code: 'REASON_REQUIRED'
+      });
+    }
+
+    const existingCase = await prisma.caseFile.findFirst({
+      where: {
+        ...lifecycle.NOT_DELETED,
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { caseId: id }
+        ]
+      }
+    });
+
+    if (!existingCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (existingCase.legalHold) {
+      return res.status(409).json({
+        success: false,
+        error: 'Case is already under legal hold',
+        code: 'ALREADY_ON_HOLD'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.caseFile.update({
+        where: { id: existingCase.id },
+        data: {
+          legalHold: true,
+          legalHoldReason: String(reason).trim(),
+          legalHoldById: req.user.id,
+          legalHoldAt: new Date()
+        }
+      }),
+      prisma.activitylog.create({
+        data: {
+          message: `Legal hold placed on case ${existingCase.caseId}`,
+          action: 'place_legal_hold',
+          userId: req.user.id,
+          metadata: JSON.stringify({ caseId: existingCase.caseId, reason: String(reason).trim() })
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Legal hold placed successfully'
+    });
+
+  } catch (error) {
+    console.error('Place legal hold error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/cases/:id/legal-hold
+ * @desc    Release a case from legal hold
+ * @access  Private (Admin)
+ */
+const releaseLegalHold = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingCase = await prisma.caseFile.findFirst({
+      where: {
+        ...lifecycle.NOT_DELETED,
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { caseId: id }
+        ]
+      }
+    });
+
+    if (!existingCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (!existingCase.legalHold) {
+      return res.status(409).json({
+        success: false,
+        error: 'Case is not under legal hold',
+        code: 'NOT_ON_HOLD'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.caseFile.update({
+        where: { id: existingCase.id },
+        data: { legalHold: false, legalHoldReason: null, legalHoldById: null, legalHoldAt: null }
+      }),
+      prisma.activitylog.create({
+        data: {
+          message: `Legal hold released on case ${existingCase.caseId}`,
+          action: 'release_legal_hold',
+          userId: req.user.id,
+          metadata: JSON.stringify({ caseId: existingCase.caseId, reason: existingCase.legalHoldReason })
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Legal hold released successfully'
+    });
+
+  } catch (error) {
+    console.error('Release legal hold error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/cases/export
+ * @desc    Export the case list as CSV or Excel (?format=csv|excel, same filters as GET /api/cases)
+ * @access  Private
+ */
+const exportCases = async (req, res, next) => {
+  try {
+    const format = normalizeExportFormat(req.query.format || 'csv');
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be one of: csv, excel',
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    const where = await buildCaseFilter(req.query);
+
+    await exportList(res, {
+      format,
+      filename: `cases-${new Date().toISOString().slice(0, 10)}`,
+      delegate: prisma.caseFile,
+      args: {
+        where,
+        include: { officer: { select: officers.ASSIGNED_OFFICER_SELECT } },
+        orderBy: [{ reported: 'desc' }, { id: 'desc' }]
+      },
+      columns: [
+        { header: 'Case ID', value: c => c.caseId },
+        { header: 'Type', value: c => c.type },
+        { header: 'Status', value: c => workflow.getStatusLabel(c.status) },
+        { header: 'Priority', value: c => c.priority },
+        { header: 'Officer', value: c => officers.formatAssignedOfficer(c.officer)?.name || 'Unassigned' },
+        { header: 'Officer badge', value: c => officers.formatAssignedOfficer(c.officer)?.badge ?? '' },
+        { header: 'Location', value: c => c.location },
+        { header: 'Reporter', value: c => c.reporter },
+        { header: 'Description', value: c => c.description },
+        { header: 'Reported', value: c => c.reported },
+        { header: 'Archived', value: c => c.archivedAt }
+      ]
+    });
+
+  } catch (error) {
+    console.error('Export cases error:', error);
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/cases/statistics
  * @desc    Get case statistics
@@ -451,23 +1002,11 @@ const deleteCase = async (req, res, next) => {
  */
 const getCaseStatistics = async (req, res, next) => {
   try {
-    const [total, open, investigation, resolved, priority] = await Promise.all([
-      prisma.caseFile.count(),
-      prisma.caseFile.count({ where: { status: 'open' } }),
-      prisma.caseFile.count({ where: { status: 'investigation' } }),
-      prisma.caseFile.count({ where: { status: 'resolved' } }),
-      prisma.caseFile.count({ where: { priority: 'high' } })
-    ]);
+    const statistics = await caseCounters(prisma);
 
     res.json({
       success: true,
-      data: {
-        total,
-        open,
-        investigation,
-        resolved,
-        priority
-      }
+      data: statistics
     });
 
   } catch (error) {
@@ -476,12 +1015,47 @@ const getCaseStatistics = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/cases/workflow
+ * @desc    Get case statuses and their allowed transitions
+ * @access  Private
+ */
+const getCaseWorkflow = async (req, res, next) => {
+  try {
+    const statuses = Object.entries(CASE_STATUSES).map(([value, def]) => ({
+      value,
+      label: def.label,
+      group: def.group,
+      initial: !!def.initial,
+      requiresReason: !!def.requiresReason,
+      transitions: def.transitions
+    }));
+
+    res.json({
+      success: true,
+      data: statuses
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getCases,
+  exportCases,
   getCaseById,
   createCase,
   updateCase,
+  getCaseHistory,
   deleteCase,
-  getCaseStatistics
+  archiveCase,
+  restoreCase,
+  placeLegalHold,
+  releaseLegalHold,
+  getCaseStatistics,
+  getCaseWorkflow,
+  getNewCaseAssignmentSuggestions,
+  getAssignmentSuggestions
 
 };
\ No newline at end of file
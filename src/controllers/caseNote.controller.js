@@ -0,0 +1,455 @@
+// src/controllers/caseNote.controller.js
+
+const { prisma } = require('../config/db');
+const { NOT_DELETED } = require('../services/recordLifecycle');
+const { getStatusLabel } = require('../services/caseWorkflow');
+
+const NOTE_TYPES = ['interview', 'lead', 'update'];
+
+// Authors may correct their own notes for this long after writing them
+const NOTE_EDIT_WINDOW_HOURS = 24;
+
+/**
+ * Find a case by numeric ID or case ID
+ */
+const findCase = (id) => {
+  return prisma.caseFile.findFirst({
+    where: {
+      ...NOT_DELETED,
+      OR: [
+        { id: isNaN(id) ? undefined : parseInt(id) },
+        { caseId: id }
+      ]
+    },
+    select: { id: true, caseId: true }
+  });
+};
+
+/**
+ * Format a note for the response, hiding redacted content from non-admins
+ */
+const formatNote = (note, viewer) => {
+  const canSeeRedacted = viewer.role === 'admin';
+
+  return {
+    id: note.id,
+    type: note.type,
+    content: note.redacted && !canSeeRedacted ? '[REDACTED]' : note.content,
+    author: note.author?.name || note.author?.username || 'Unknown',
+    authorId: note.authorId,
+    redacted: note.redacted,
+    redactionReason: note.redacted ? note.redactionReason : null,
+    redactedBy: note.redactedBy?.name || note.redactedBy?.username || null,
+    redactedAt: note.redactedAt,
+    editedAt: note.editedAt,
+    createdAt: note.createdAt
+  };
+};
+
+const noteInclude = {
+  author: { select: { username: true, name: true } },
+  redactedBy: { select: { username: true, name: true } }
+};
+
+/**
+ * @route   GET /api/cases/:id/notes
+ * @desc    Get notes for a case
+ * @access  Private
+ */
+const getCaseNotes = async (req, res, next) => {
+  try {
+    const { type } = req.query;
+
+    const caseData = await findCase(req.params.id);
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const where = { caseId: caseData.id };
+    if (type) where.type = type;
+
+    const notes = await prisma.caseNote.findMany({
+      where,
+      include: noteInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: notes.map(n => formatNote(n, req.user)),
+      total: notes.length
+    });
+
+  } catch (error) {
+    console.error('Get case notes error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/cases/:id/notes
+ * @desc    Add a note to a case
+ * @access  Private
+ */
+const createCaseNote = async (req, res, next) => {
+  try {
+    const { type, content } = req.body;
+
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note content is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (type && !NOTE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Note type must be one of: ${NOTE_TYPES.join(', ')}`,
+        code: 'INVALID_NOTE_TYPE'
+      });
+    }
+
+    const caseData = await findCase(req.params.id);
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const note = await prisma.caseNote.create({
+      data: {
+        caseId: caseData.id,
+        authorId: req.user.id,
+        type: type || 'update',
+        content: String(content).trim()
+      },
+      include: noteInclude
+    });
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `New ${note.type} note added to case ${caseData.caseId}`,
+        action: 'create_case_note',
+        userId: req.user.id,
+        metadata: JSON.stringify({ caseId: caseData.caseId, noteId: note.id })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.status(201).json({
+      success: true,
+      data: formatNote(note, req.user),
+      message: 'Note added successfully'
+    });
+
+  } catch (error) {
+    console.error('Create case note error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   PATCH /api/cases/:id/notes/:noteId
+ * @desc    Edit a note (author only, within the edit window)
+ * @access  Private
+ */
+const updateCaseNote = async (req, res, next) => {
+  try {
+    const { type, content } = req.body;
+
+    const caseData = await findCase(req.params.id);
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const note = await prisma.caseNote.findFirst({
+      where: { id: parseInt(req.params.noteId), caseId: caseData.id }
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found',
+        code: 'NOTE_NOT_FOUND'
+      });
+    }
+
+    if (note.authorId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can edit a note',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (note.redacted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Redacted notes cannot be edited',
+        code: 'NOTE_REDACTED'
+      });
+    }
+
+    const ageHours = (Date.now() - new Date(note.createdAt).getTime()) / 3600000;
+    if (ageHours > NOTE_EDIT_WINDOW_HOURS) {
+      return res.status(409).json({
+        success: false,
+        error: `Notes can only be edited within ${NOTE_EDIT_WINDOW_HOURS} hours of being written`,
+        code: 'EDIT_WINDOW_EXPIRED'
+      });
+    }
+
+    if (type && !NOTE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Note type must be one of: ${NOTE_TYPES.join(', ')}`,
+        code: 'INVALID_NOTE_TYPE'
+      });
+    }
+
+    const data = { editedAt: new Date() };
+    if (type) data.type = type;
+    if (content && String(content).trim()) data.content = String(content).trim();
+
+    const updated = await prisma.caseNote.update({
+      where: { id: note.id },
+      data,
+      include: noteInclude
+    });
+
+    // Log activity, keeping the previous text for the record
+    await prisma.activitylog.create({
+      data: {
+        message: `Note on case ${caseData.caseId} edited`,
+        action: 'update_case_note',
+        userId: req.user.id,
+        metadata: JSON.stringify({ caseId: caseData.caseId, noteId: note.id, previousContent: note.content })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.json({
+      success: true,
+      data: formatNote(updated, req.user),
+      message: 'Note updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update case note error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/cases/:id/notes/:noteId/redact
+ * @desc    Redact a note (author or admin); content stays visible to admins
+ * @access  Private
+ */
+const redactCaseNote = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to redact a note',
+        code: 'REASON_REQUIRED'
+      });
+    }
+
+    const caseData = await findCase(req.params.id);
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const note = await prisma.caseNote.findFirst({
+      where: { id: parseInt(req.params.noteId), caseId: caseData.id }
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found',
+        code: 'NOTE_NOT_FOUND'
+      });
+    }
+
+    if (note.authorId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author or an admin can redact a note',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (note.redacted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Note is already redacted',
+        code: 'NOTE_REDACTED'
+      });
+    }
+
+    const updated = await prisma.caseNote.update({
+      where: { id: note.id },
+      data: {
+        redacted: true,
+        redactionReason: String(reason).trim(),
+        redactedById: req.user.id,
+        redactedAt: new Date()
+      },
+      include: noteInclude
+    });
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `Note on case ${caseData.caseId} redacted`,
+        action: 'redact_case_note',
+        userId: req.user.id,
+        metadata: JSON.stringify({ caseId: caseData.caseId, noteId: note.id, reason: updated.redactionReason })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.json({
+      success: true,
+      data: formatNote(updated, req.user),
+      message: 'Note redacted successfully'
+    });
+
+  } catch (error) {
+    console.error('Redact case note error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/cases/:id/timeline
+ * @desc    Unified investigation timeline: notes, incidents, reports and status changes
+ * @access  Private
+ */
+const getCaseTimeline = async (req, res, next) => {
+  try {
+    const caseData = await prisma.caseFile.findFirst({
+      where: {
+        ...NOT_DELETED,
+        OR: [
+          { id: isNaN(req.params.id) ? undefined : parseInt(req.params.id) },
+          { caseId: req.params.id }
+        ]
+      },
+      include: {
+        createdBy: { select: { username: true, name: true } }
+      }
+    });
+
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const [notes, incidents, reports, statusChanges] = await Promise.all([
+      prisma.caseNote.findMany({
+        where: { caseId: caseData.id },
+        include: noteInclude
+      }),
+      prisma.incident.findMany({
+        where: { ...NOT_DELETED, caseId: caseData.id }
+      }),
+      prisma.report.findMany({
+        where: { ...NOT_DELETED, caseId: caseData.id },
+        include: { generatedBy: { select: { username: true, name: true } } }
+      }),
+      prisma.caseRevisionChange.findMany({
+        where: { field: 'status', revision: { caseId: caseData.id } },
+        include: {
+          revision: {
+            include: { user: { select: { username: true, name: true } } }
+          }
+        }
+      })
+    ]);
+
+    const timeline = [
+      {
+        kind: 'created',
+        timestamp: caseData.createdAt,
+        title: `Case ${caseData.caseId} opened`,
+        detail: `${caseData.type} at ${caseData.location}`,
+        actor: caseData.createdBy?.name || caseData.createdBy?.username || 'Unknown'
+      },
+      ...notes.map(n => {
+        const note = formatNote(n, req.user);
+        return {
+          kind: 'note',
+          timestamp: note.createdAt,
+          title: `${note.type.charAt(0).toUpperCase() + note.type.slice(1)} note`,
+          detail: note.content,
+          actor: note.author,
+          ref: note
+        };
+      }),
+      ...incidents.map(i => ({
+        kind: 'incident',
+        timestamp: i.timestamp,
+        title: `Incident #${i.id} linked: ${i.type}`,
+        detail: `${i.address} (${i.priority} priority, ${i.status})`,
+        actor: i.reporter || 'Unknown',
+        ref: { id: i.id }
+      })),
+      ...reports.map(r => ({
+        kind: 'report',
+        timestamp: r.date,
+        title: `Report ${r.reportId} generated`,
+        detail: r.type,
+        actor: r.generatedBy?.name || r.generatedBy?.username || 'Unknown',
+        ref: { reportId: r.reportId }
+      })),
+      ...statusChanges.map(c => ({
+        kind: 'status_change',
+        timestamp: c.revision.createdAt,
+        title: `Status changed to ${getStatusLabel(c.newValue)}`,
+        detail: `From ${getStatusLabel(c.oldValue)}`,
+        actor: c.revision.user?.name || c.revision.user?.username || 'System'
+      }))
+    ];
+
+    timeline.sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+
+    res.json({
+      success: true,
+      data: timeline,
+      total: timeline.length
+    });
+
+  } catch (error) {
+    console.error('Get case timeline error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getCaseNotes,
+  createCaseNote,
+  updateCaseNote,
+  redactCaseNote,
+  getCaseTimeline
+};
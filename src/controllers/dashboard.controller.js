@@ -5,31 +5,53 @@
 
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const lifecycle = require('../services/recordLifecycle');
+const dashboard = require('../services/dashboard');
+
+/**
+ * Read the department / unit / date range filters shared by the dashboard panels
+ * Returns the filters or sends the error response and returns null.
+ */
+const readFilters = (req, res) => {
+  const result = dashboard.parseDashboardFilters(req.query);
+  if (result.error) {
+    const { statusCode, ...body } = result.error;
+    res.status(statusCode).json({ success: false, ...body });
+    return null;
+  }
+  return result.filters;
+};
 
 /**
  * @route   GET /api/dashboard/statistics
- * @desc    Get comprehensive dashboard statistics
+ * @desc    Get comprehensive dashboard statistics (?department=&unit=&from=&to=)
+ *          With a date range, `previous` holds the counters for the window before it.
  * @access  Private
  */
 const getDashboardStatistics = async (req, res, next) => {
   try {
-    // Get case statistics
-    const [total, open, resolved, investigation, priority] = await Promise.all([
-      prisma.caseFile.count(),
-      prisma.caseFile.count({ where: { status: 'open' } }),
-      prisma.caseFile.count({ where: { status: 'resolved' } }),
-      prisma.caseFile.count({ where: { status: 'investigation' } }),
-      prisma.caseFile.count({ where: { priority: 'high' } })
+    const filters = readFilters(req, res);
+    if (!filters) return;
+
+    if (!filters.window) {
+      const statistics = await dashboard.caseCounters(prisma, dashboard.caseScope(filters));
+      return res.json({
+        success: true,
+        data: statistics
+      });
+    }
+
+    const [statistics, previous] = await Promise.all([
+      dashboard.caseCounters(prisma, dashboard.caseScope(filters, filters.window)),
+      dashboard.caseCounters(prisma, dashboard.caseScope(filters, filters.previous))
     ]);
 
     res.json({
       success: true,
       data: {
-        total,
-        open,
-        resolved,
-        investigation,
-        priority
+        ...statistics,
+        period: { from: filters.window.from, to: filters.window.to },
+        previous: { ...previous, from: filters.previous.from, to: filters.previous.to }
       }
     });
 
@@ -90,85 +112,16 @@ const getRecentActivity = async (req, res, next) => {
 
 /**
  * @route   GET /api/dashboard/case-distribution
- * @desc    Get case distribution by type with statistics
+ * @desc    Get case distribution by type with statistics (?department=&unit=&from=&to=)
+ *          The trend is month over month, or against the previous window when a date range is given.
  * @access  Private
  */
 const getCaseDistribution = async (req, res, next) => {
   try {
-    // Get all cases
-    const allCases = await prisma.caseFile.findMany({
-      select: {
-        type: true,
-        status: true,
-        createdAt: true
-      }
-    });
+    const filters = readFilters(req, res);
+    if (!filters) return;
 
-    // Calculate current period (this month)
-    const now = new Date();
-    const thisMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-    const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
-
-    // Group by type and calculate statistics
-    const caseTypes = {};
-    
-    allCases.forEach(c => {
-      const type = c.type;
-      if (!caseTypes[type]) {
-        caseTypes[type] = {
-          total: 0,
-          resolved: 0,
-          thisMonth: 0,
-          lastMonth: 0
-        };
-      }
-      
-      caseTypes[type].total++;
-      
-      if (c.status === 'resolved') {
-        caseTypes[type].resolved++;
-      }
-      
-      const caseDate = new Date(c.createdAt);
-      if (caseDate >= thisMonthStart) {
-        caseTypes[type].thisMonth++;
-      }
-      if (caseDate >= lastMonthStart && caseDate <= lastMonthEnd) {
-        caseTypes[type].lastMonth++;
-      }
-    });
-
-    // Format for frontend
-    const distribution = Object.entries(caseTypes).map(([type, stats]) => {
-      // Calculate trend
-      let trend = 0;
-      let trendDirection = 'stable';
-      
-      if (stats.lastMonth > 0) {
-        trend = Math.round(((stats.thisMonth - stats.lastMonth) / stats.lastMonth) * 100);
-        trendDirection = trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable';
-      } else if (stats.thisMonth > 0) {
-        trend = 100;
-        trendDirection = 'up';
-      }
-
-      // Calculate resolution rate
-      const resolutionRate = stats.total > 0 
-        ? Math.round((stats.resolved / stats.total) * 100) 
-        : 0;
-
-      return {
-        type: formatCaseType(type),
-        count: stats.total,
-        trend: Math.abs(trend),
-        trendDirection,
-        resolutionRate
-      };
-    });
-
-    // Sort by count (descending)
-    distribution.sort((a, b) => b.count - a.count);
+    const distribution = await dashboard.caseDistribution(prisma, { filters });
 
     res.json({
       success: true,
@@ -183,13 +136,17 @@ const getCaseDistribution = async (req, res, next) => {
 
 /**
  * @route   GET /api/dashboard/recent-cases
- * @desc    Get 5 most recent cases
+ * @desc    Get the most recent cases (?limit=5&department=&unit=&from=&to=)
  * @access  Private
  */
 const getRecentCases = async (req, res, next) => {
   try {
+    const filters = readFilters(req, res);
+    if (!filters) return;
+
     const recentCases = await prisma.caseFile.findMany({
-      take: 5,
+      where: { ...dashboard.caseScope(filters, filters.window), ...lifecycle.listingFilter() },
+      take: dashboard.parseListLimit(req.query.limit, 5),
       orderBy: { createdAt: 'desc' },
       include: {
         officer: {
@@ -224,23 +181,40 @@ const getRecentCases = async (req, res, next) => {
 
 /**
  * @route   GET /api/dashboard/personnel-status
- * @desc    Get personnel status overview
+ * @desc    Get personnel status overview (?limit=4&department=&unit=&from=&to=)
+ *          With a date range, `casesInPeriod` counts cases assigned to each officer in the window.
  * @access  Private
  */
 const getPersonnelStatus = async (req, res, next) => {
   try {
+    const filters = readFilters(req, res);
+    if (!filters) return;
+
     const officers = await prisma.officer.findMany({
-      take: 4,
+      where: dashboard.officerScope(filters),
+      take: dashboard.parseListLimit(req.query.limit, 4),
       orderBy: { activeCases: 'desc' },
       select: {
         badge: true,
         firstName: true,
         lastName: true,
         status: true,
-        activeCases: true
+        activeCases: true,
+        userId: true
       }
     });
 
+    const casesInPeriod = new Map();
+    const userIds = officers.map(o => o.userId).filter(Boolean);
+    if (filters.window && userIds.length > 0) {
+      const counts = await prisma.caseFile.groupBy({
+        by: ['officerId'],
+        where: { ...dashboard.caseScope(filters, filters.window), officerId: { in: userIds } },
+        _count: { _all: true }
+      });
+      counts.forEach(row => casesInPeriod.set(row.officerId, row._count._all));
+    }
+
     // Format for frontend
     const formattedOfficers = officers.map(o => ({
       badge: o.badge,
@@ -248,7 +222,8 @@ const getPersonnelStatus = async (req, res, next) => {
       firstName: o.firstName,
       lastName: o.lastName,
       status: o.status,
-      activeCases: o.activeCases
+      activeCases: o.activeCases,
+      ...(filters.window && { casesInPeriod: casesInPeriod.get(o.userId) || 0 })
     }));
 
     res.json({
@@ -266,22 +241,6 @@ const getPersonnelStatus = async (req, res, next) => {
 // HELPER FUNCTIONS
 // ============================================================================
 
-/**
- * Format case type for display
- */
-function formatCaseType(type) {
-  const typeMap = {
-    'theft': 'Theft/Burglary',
-    'assault': 'Assault',
-    'vandalism': 'Vandalism',
-    'traffic': 'Traffic Incidents',
-    'drug': 'Drug-Related',
-    'other': 'Other'
-  };
-  
-  return typeMap[type] || type.charAt(0).toUpperCase() + type.slice(1);
-}
-
 /**
  * Get activity type for styling
  */
@@ -0,0 +1,85 @@
+// src/controllers/events.controller.js
+
+const { prisma } = require('../config/db');
+const { subscribe, eventsSince, isAudience } = require('../services/events');
+
+// Comment line sent while idle so proxies don't close the connection
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long the browser waits before reconnecting after the stream drops
+const RETRY_MS = 5000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+};
+
+/**
+ * Whether a stream may stay open: its token hasn't expired and the user is
+ * still active. The token is only checked when the stream opens, so this
+ * runs on every heartbeat.
+ */
+const isSessionValid = async (req) => {
+  if (req.tokenExpiresAt && Date.now() >= req.tokenExpiresAt) return false;
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { status: true }
+  });
+  return user?.status === 'active';
+};
+
+/**
+ * @route   GET /api/events
+ * @desc    Server-sent event stream of case, incident and officer changes,
+ *          and of the user's own notifications.
+ *          A reconnecting client gets the events it missed (Last-Event-ID).
+ *          The stream closes once the token expires or the user is
+ *          deactivated; reconnecting then needs a valid token.
+ * @access  Private (token may be passed as ?token=)
+ */
+const streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'));
+  if (!Number.isNaN(lastEventId)) {
+    eventsSince(lastEventId)
+      .filter(event => isAudience(event, req.user.id))
+      .forEach(event => writeEvent(res, event));
+  }
+
+  const unsubscribe = subscribe(event => {
+    if (isAudience(event, req.user.id)) writeEvent(res, event);
+  });
+  let heartbeat = null;
+  let closed = false;
+  const stop = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  heartbeat = setInterval(async () => {
+    const valid = await isSessionValid(req).catch(err => {
+      console.error('Event stream session check failed:', err);
+      return false;
+    });
+    if (closed) return;
+    if (valid) {
+      res.write(': ping\n\n');
+    } else {
+      stop();
+      res.end();
+    }
+  }, HEARTBEAT_MS);
+
+  req.on('close', stop);
+};
+
+module.exports = { streamEvents };
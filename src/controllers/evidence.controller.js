@@ -0,0 +1,564 @@
+// src/controllers/evidence.controller.js
+
+const crypto = require('crypto');
+const path = require('path');
+const { prisma } = require('../config/db');
+const { NOT_DELETED } = require('../services/recordLifecycle');
+const { getStorage } = require('../services/storage');
+
+const EVIDENCE_CATEGORIES = ['photo', 'statement', 'document', 'video', 'audio', 'other'];
+
+const evidenceInclude = {
+  case: { select: { caseId: true } },
+  uploadedBy: { select: { username: true, name: true } },
+  custodian: { select: { id: true, username: true, name: true } }
+};
+
+/**
+ * Format evidence for the response
+ */
+const formatEvidence = (item) => ({
+  id: item.id,
+  caseId: item.case?.caseId,
+  category: item.category,
+  description: item.description,
+  fileName: item.fileName,
+  mimeType: item.mimeType,
+  size: item.size,
+  sha256: item.sha256,
+  status: item.status,
+  custodian: item.custodian
+    ? { id: item.custodian.id, name: item.custodian.name || item.custodian.username }
+    : null,
+  uploadedBy: item.uploadedBy?.name || item.uploadedBy?.username || 'Unknown',
+  createdAt: item.createdAt
+});
+
+/**
+ * Content-Disposition for a download that keeps the original file name
+ * Older clients get an ASCII-only `filename`; the rest read the exact
+ * UTF-8 name from `filename*` (RFC 6266).
+ */
+const contentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Fields of a chain-of-custody event
+ */
+const custodyEventData = (evidenceId, action, req, extra = {}) => ({
+  evidenceId,
+  action,
+  userId: req.user.id,
+  ipAddress: req.ip,
+  ...extra
+});
+
+/**
+ * Record a chain-of-custody event
+ */
+const recordCustody = (evidenceId, action, req, extra = {}) => {
+  return prisma.custodyEvent.create({
+    data: custodyEventData(evidenceId, action, req, extra)
+  });
+};
+
+/**
+ * Move evidence to a new custody state and record the event, in one transaction
+ * `expected` is the state the change was checked against; the update only
+ * applies while the evidence is still in it, so two concurrent requests can't
+ * both succeed. Resolves with the updated evidence, or null when it had
+ * already changed.
+ */
+const changeCustody = (item, expected, data, event) => prisma.$transaction(async (tx) => {
+  const { count } = await tx.evidence.updateMany({
+    where: { id: item.id, ...expected },
+    data
+  });
+  if (count === 0) return null;
+
+  await tx.custodyEvent.create({
+    data: custodyEventData(item.id, event.action, event.req, event.extra)
+  });
+  return tx.evidence.findUnique({ where: { id: item.id }, include: evidenceInclude });
+});
+
+const CUSTODY_CHANGED = {
+  success: false,
+  error: 'Evidence custody changed while this request was being handled; reload and try again',
+  code: 'CUSTODY_CHANGED'
+};
+
+/**
+ * Find evidence by ID, responding 404 when missing
+ */
+const findEvidence = async (req, res) => {
+  const item = await prisma.evidence.findUnique({
+    where: { id: parseInt(req.params.id) || 0 },
+    include: evidenceInclude
+  });
+
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      error: 'Evidence not found',
+      code: 'EVIDENCE_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return item;
+};
+
+/**
+ * @route   POST /api/cases/:id/evidence
+ * @desc    Upload an evidence file to a case
+ * @access  Private
+ */
+const uploadEvidence = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { category, description } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'An evidence file is required',
+        code: 'MISSING_FILE'
+      });
+    }
+
+    if (category && !EVIDENCE_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        error: `Category must be one of: ${EVIDENCE_CATEGORIES.join(', ')}`,
+        code: 'INVALID_CATEGORY'
+      });
+    }
+
+    const caseData = await prisma.caseFile.findFirst({
+      where: {
+        ...NOT_DELETED,
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { caseId: id }
+        ]
+      },
+      select: { id: true, caseId: true }
+    });
+
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    // Hash on ingest so later copies can be proven identical
+    const sha256 = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    const storageKey = `${caseData.caseId}/${crypto.randomUUID()}${extension}`;
+
+    const storage = getStorage();
+    await storage.put(storageKey, req.file.buffer);
+
+    const item = await prisma.evidence.create({
+      data: {
+        caseId: caseData.id,
+        category: category || 'document',
+        description,
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype || 'application/octet-stream',
+        size: req.file.size,
+        sha256,
+        storageKey,
+        uploadedById: req.user.id,
+        custody: {
+          create: {
+            action: 'ingest',
+            userId: req.user.id,
+            ipAddress: req.ip,
+            notes: `SHA-256 ${sha256}`
+          }
+        }
+      },
+      include: evidenceInclude
+    }).catch(async (err) => {
+      // Don't leave an unreferenced file behind
+      await storage.remove(storageKey).catch(() => {});
+      throw err;
+    });
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `Evidence "${item.fileName}" added to case ${caseData.caseId}`,
+        action: 'create_evidence',
+        userId: req.user.id,
+        metadata: JSON.stringify({ caseId: caseData.caseId, evidenceId: item.id, sha256 })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.status(201).json({
+      success: true,
+      data: formatEvidence(item),
+      message: 'Evidence uploaded successfully'
+    });
+
+  } catch (error) {
+    console.error('Upload evidence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/cases/:id/evidence
+ * @desc    List evidence attached to a case
+ * @access  Private
+ */
+const getCaseEvidence = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const caseData = await prisma.caseFile.findFirst({
+      where: {
+        ...NOT_DELETED,
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { caseId: id }
+        ]
+      },
+      select: { id: true }
+    });
+
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const items = await prisma.evidence.findMany({
+      where: { caseId: caseData.id },
+      include: evidenceInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: items.map(formatEvidence),
+      total: items.length
+    });
+
+  } catch (error) {
+    console.error('Get case evidence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/evidence/:id
+ * @desc    Get evidence details with its chain of custody
+ * @access  Private
+ */
+const getEvidenceById = async (req, res, next) => {
+  try {
+    const item = await findEvidence(req, res);
+    if (!item) return;
+
+    await recordCustody(item.id, 'view', req);
+
+    const custody = await prisma.custodyEvent.findMany({
+      where: { evidenceId: item.id },
+      include: {
+        user: { select: { username: true, name: true } },
+        toUser: { select: { username: true, name: true } }
+      },
+      orderBy: { timestamp: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...formatEvidence(item),
+        custody: custody.map(e => ({
+          action: e.action,
+          user: e.user?.name || e.user?.username || 'System',
+          toUser: e.toUser ? (e.toUser.name || e.toUser.username) : null,
+          notes: e.notes,
+          ipAddress: e.ipAddress,
+          timestamp: e.timestamp
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get evidence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/evidence/:id/download
+ * @desc    Download the evidence file
+ * @access  Private
+ */
+const downloadEvidence = async (req, res, next) => {
+  try {
+    const item = await findEvidence(req, res);
+    if (!item) return;
+
+    const storage = getStorage();
+    if (!(await storage.exists(item.storageKey))) {
+      return res.status(410).json({
+        success: false,
+        error: 'Evidence file is missing from storage',
+        code: 'EVIDENCE_FILE_MISSING'
+      });
+    }
+
+    await recordCustody(item.id, 'download', req);
+
+    res.setHeader('Content-Type', item.mimeType);
+    res.setHeader('Content-Length', item.size);
+    res.setHeader('Content-Disposition', contentDisposition(item.fileName));
+    res.setHeader('X-Evidence-SHA256', item.sha256);
+
+    storage.createReadStream(item.storageKey)
+      .on('error', next)
+      .pipe(res);
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `Evidence "${item.fileName}" downloaded from case ${item.case?.caseId}`,
+        action: 'download_evidence',
+        userId: req.user.id,
+        metadata: JSON.stringify({ caseId: item.case?.caseId, evidenceId: item.id })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+  } catch (error) {
+    console.error('Download evidence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/evidence/:id/verify
+ * @desc    Re-hash the stored file and compare with the ingest hash
+ * @access  Private
+ */
+const verifyEvidence = async (req, res, next) => {
+  try {
+    const item = await findEvidence(req, res);
+    if (!item) return;
+
+    const hash = crypto.createHash('sha256');
+    await new Promise((resolve, reject) => {
+      getStorage().createReadStream(item.storageKey)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+
+    const currentHash = hash.digest('hex');
+    const intact = currentHash === item.sha256;
+
+    await recordCustody(item.id, 'verify', req, { notes: intact ? 'Hash matched' : `Hash mismatch: ${currentHash}` });
+
+    res.json({
+      success: true,
+      data: {
+        intact,
+        expected: item.sha256,
+        actual: currentHash
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify evidence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/evidence/:id/checkout
+ * @desc    Check evidence out of storage into the requesting user's custody
+ * @access  Private
+ */
+const checkOutEvidence = async (req, res, next) => {
+  try {
+    const { purpose } = req.body;
+
+    const item = await findEvidence(req, res);
+    if (!item) return;
+
+    if (item.status === 'checked_out') {
+      return res.status(409).json({
+        success: false,
+        error: `Evidence is already checked out to ${item.custodian?.name || item.custodian?.username || 'another user'}`,
+        code: 'ALREADY_CHECKED_OUT'
+      });
+    }
+
+    const updated = await changeCustody(
+      item,
+      { status: { not: 'checked_out' } },
+      { status: 'checked_out', custodianId: req.user.id },
+      { action: 'check_out', req, extra: { toUserId: req.user.id, notes: purpose } }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'Evidence was checked out by another user',
+        code: 'ALREADY_CHECKED_OUT'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatEvidence(updated),
+      message: 'Evidence checked out successfully'
+    });
+
+  } catch (error) {
+    console.error('Check out evidence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/evidence/:id/checkin
+ * @desc    Return checked-out evidence to storage
+ * @access  Private (Custodian or Admin)
+ */
+const checkInEvidence = async (req, res, next) => {
+  try {
+    const { notes } = req.body;
+
+    const item = await findEvidence(req, res);
+    if (!item) return;
+
+    if (item.status !== 'checked_out') {
+      return res.status(409).json({
+        success: false,
+        error: 'Evidence is not checked out',
+        code: 'NOT_CHECKED_OUT'
+      });
+    }
+
+    if (item.custodianId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the current custodian can check this evidence in',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const updated = await changeCustody(
+      item,
+      { status: 'checked_out', custodianId: item.custodianId },
+      { status: 'in_storage', custodianId: null },
+      { action: 'check_in', req, extra: { notes } }
+    );
+
+    if (!updated) return res.status(409).json(CUSTODY_CHANGED);
+
+    res.json({
+      success: true,
+      data: formatEvidence(updated),
+      message: 'Evidence checked in successfully'
+    });
+
+  } catch (error) {
+    console.error('Check in evidence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/evidence/:id/transfer
+ * @desc    Hand checked-out evidence to another user
+ * @access  Private (Custodian or Admin)
+ */
+const transferEvidence = async (req, res, next) => {
+  try {
+    const { toUserId, notes } = req.body;
+
+    if (!toUserId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Recipient user is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const item = await findEvidence(req, res);
+    if (!item) return;
+
+    if (item.status !== 'checked_out') {
+      return res.status(409).json({
+        success: false,
+        error: 'Evidence must be checked out before it can be transferred',
+        code: 'NOT_CHECKED_OUT'
+      });
+    }
+
+    if (item.custodianId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the current custodian can transfer this evidence',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const recipient = await prisma.user.findUnique({
+      where: { id: parseInt(toUserId) },
+      select: { id: true, status: true }
+    });
+
+    if (!recipient || recipient.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Recipient must be an active user',
+        code: 'INVALID_RECIPIENT'
+      });
+    }
+
+    const updated = await changeCustody(
+      item,
+      { status: 'checked_out', custodianId: item.custodianId },
+      { custodianId: recipient.id },
+      { action: 'transfer', req, extra: { toUserId: recipient.id, notes } }
+    );
+
+    if (!updated) return res.status(409).json(CUSTODY_CHANGED);
+
+    res.json({
+      success: true,
+      data: formatEvidence(updated),
+      message: 'Evidence transferred successfully'
+    });
+
+  } catch (error) {
+    console.error('Transfer evidence error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadEvidence,
+  getCaseEvidence,
+  getEvidenceById,
+  downloadEvidence,
+  verifyEvidence,
+  checkOutEvidence,
+  checkInEvidence,
+  transferEvidence
+};
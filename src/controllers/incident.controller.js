@@ -2,6 +2,31 @@
 
 
 const { prisma } = require('../config/db');
+const lifecycle = require('../services/recordLifecycle');
+const { normalizeExportFormat, exportList } = require('../services/tabularExport');
+const { publishEvent } = require('../services/events');
+const { notifyHighPriorityIncident } = require('../services/notifications');
+
+/**
+ * Build the incident list filter from query parameters (shared by list and export)
+ */
+const buildIncidentFilter = (query) => {
+  const { status, priority, search, archived } = query;
+
+  // Archived incidents only when asked for
+  const where = lifecycle.listingFilter(archived);
+  if (status) where.status = status;
+  if (priority) where.priority = priority;
+  if (search) {
+    where.OR = [
+      { type: { contains: search, mode: 'insensitive' } },
+      { address: { contains: search, mode: 'insensitive' } },
+      { description: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  return where;
+};
 
 /**
  * @route   GET /api/incidents
@@ -11,19 +36,7 @@ const { prisma } = require('../config/db');
 
 const getIncidents = async (req, res, next) => {
   try {
-    const { status, priority, search } = req.query;
-
-    // Build filter
-    const where = {};
-    if (status) where.status = status;
-    if (priority) where.priority = priority;
-    if (search) {
-      where.OR = [
-        { type: { contains: search, mode: 'insensitive' } },
-        { address: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } }
-      ];
-    }
+    const where = buildIncidentFilter(req.query);
 
     const incidents = await prisma.incident.findMany({
       where,
@@ -41,6 +54,51 @@ const getIncidents = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/incidents/export
+ * @desc    Export the incident list as CSV or Excel (?format=csv|excel, same filters as GET /api/incidents)
+ * @access  Private
+ */
+const exportIncidents = async (req, res, next) => {
+  try {
+    const format = normalizeExportFormat(req.query.format || 'csv');
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be one of: csv, excel',
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    await exportList(res, {
+      format,
+      filename: `incidents-${new Date().toISOString().slice(0, 10)}`,
+      delegate: prisma.incident,
+      args: {
+        where: buildIncidentFilter(req.query),
+        include: { case: { select: { caseId: true } } },
+        orderBy: [{ timestamp: 'desc' }, { id: 'desc' }]
+      },
+      columns: [
+        { header: 'ID', value: i => i.id },
+        { header: 'Type', value: i => i.type },
+        { header: 'Priority', value: i => i.priority },
+        { header: 'Status', value: i => i.status },
+        { header: 'Address', value: i => i.address },
+        { header: 'Coordinates', value: i => i.coordinates },
+        { header: 'Reporter', value: i => i.reporter },
+        { header: 'Case', value: i => i.case?.caseId },
+        { header: 'Description', value: i => i.description },
+        { header: 'Reported', value: i => i.timestamp },
+        { header: 'Archived', value: i => i.archivedAt }
+      ]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/incidents/:id
  * @desc    Get incident by ID
@@ -50,8 +108,8 @@ const getIncidentById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const incident = await prisma.incident.findUnique({
-      where: { id: parseInt(id) }
+    const incident = await prisma.incident.findFirst({
+      where: { ...lifecycle.NOT_DELETED, id: parseInt(id) || 0 }
     });
 
     if (!incident) {
@@ -103,6 +161,20 @@ const createIncident = async (req, res, next) => {
       }
     });
 
+    publishEvent('incident_created', {
+      id: incident.id,
+      type: incident.type,
+      priority: incident.priority,
+      status: incident.status,
+      address: incident.address,
+      message: `New ${incident.priority} priority incident: ${incident.type} at ${incident.address}`
+    }, req.user);
+
+    if (incident.priority === 'high') {
+      await notifyHighPriorityIncident(prisma, incident, req.user)
+        .catch(err => console.error('Failed to send notifications:', err));
+    }
+
     res.status(201).json({
       success: true,
       data: incident,
@@ -134,8 +206,21 @@ const updateIncident = async (req, res, next) => {
     if (reporter !== undefined) data.reporter = reporter;
     if (status) data.status = status;
 
+    const existing = await prisma.incident.findFirst({
+      where: { ...lifecycle.NOT_DELETED, id: parseInt(id) || 0 },
+      select: { id: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found',
+        code: 'INCIDENT_NOT_FOUND'
+      });
+    }
+
     const incident = await prisma.incident.update({
-      where: { id: parseInt(id) },
+      where: { id: existing.id },
       data
     });
 
@@ -152,20 +237,138 @@ const updateIncident = async (req, res, next) => {
 
 /**
  * @route   DELETE /api/incidents/:id
- * @desc    Delete incident
+ * @desc    Soft-delete incident (restorable from the recycle bin)
  * @access  Private (Admin)
  */
 const deleteIncident = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    await prisma.incident.delete({
-      where: { id: parseInt(id) }
+    const incident = await prisma.incident.findFirst({
+      where: { ...lifecycle.NOT_DELETED, id: parseInt(id) || 0 }
     });
 
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found',
+        code: 'INCIDENT_NOT_FOUND'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.incident.update({
+        where: { id: incident.id },
+        data: lifecycle.softDeleteData(req.user.id)
+      }),
+      prisma.activitylog.create({
+        data: lifecycle.buildLifecycleLog({ entity: 'incident', ref: `#${incident.id}`, action: 'delete', userId: req.user.id })
+      })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Incident moved to the recycle bin'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/incidents/:id/archive
+ * @desc    Archive incident; archived incidents are left out of default listings
+ * @access  Private (Admin)
+ */
+const archiveIncident = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const incident = await prisma.incident.findFirst({
+      where: { ...lifecycle.NOT_DELETED, id: parseInt(id) || 0 }
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found',
+        code: 'INCIDENT_NOT_FOUND'
+      });
+    }
+
+    if (incident.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Incident is already archived',
+        code: 'ALREADY_ARCHIVED'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.incident.update({
+        where: { id: incident.id },
+        data: { archivedAt: new Date() }
+      }),
+      prisma.activitylog.create({
+        data: lifecycle.buildLifecycleLog({ entity: 'incident', ref: `#${incident.id}`, action: 'archive', userId: req.user.id })
+      })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Incident archived successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/incidents/:id/restore
+ * @desc    Restore an incident from the recycle bin or the archive
+ * @access  Private (Admin)
+ */
+const restoreIncident = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const incident = await prisma.incident.findUnique({
+      where: { id: parseInt(id) || 0 }
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found',
+        code: 'INCIDENT_NOT_FOUND'
+      });
+    }
+
+    if (!incident.deletedAt && !incident.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Incident is neither deleted nor archived',
+        code: 'NOTHING_TO_RESTORE'
+      });
+    }
+
+    const wasDeleted = !!incident.deletedAt;
+
+    await prisma.$transaction([
+      prisma.incident.update({
+        where: { id: incident.id },
+        data: lifecycle.restoreData(incident)
+      }),
+      prisma.activitylog.create({
+        data: lifecycle.buildLifecycleLog({ entity: 'incident', ref: `#${incident.id}`, action: 'restore', userId: req.user.id, wasDeleted })
+      })
+    ]);
+
     res.json({
       success: true,
-      message: 'Incident deleted successfully'
+      message: wasDeleted ? 'Incident restored from the recycle bin' : 'Incident restored from the archive'
     });
 
   } catch (error) {
@@ -181,9 +384,9 @@ const deleteIncident = async (req, res, next) => {
 const getIncidentStatistics = async (req, res, next) => {
   try {
     const [priority, active, resolved] = await Promise.all([
-      prisma.incident.count({ where: { priority: 'high' } }),
-      prisma.incident.count({ where: { status: 'active' } }),
-      prisma.incident.count({ where: { status: 'resolved' } })
+      prisma.incident.count({ where: { ...lifecycle.NOT_DELETED, priority: 'high' } }),
+      prisma.incident.count({ where: { ...lifecycle.NOT_DELETED, status: 'active' } }),
+      prisma.incident.count({ where: { ...lifecycle.NOT_DELETED, status: 'resolved' } })
     ]);
 
     res.json({
@@ -203,9 +406,12 @@ const getIncidentStatistics = async (req, res, next) => {
 
 module.exports = {
   getIncidents,
+  exportIncidents,
   getIncidentById,
   createIncident,
   updateIncident,
   deleteIncident,
+  archiveIncident,
+  restoreIncident,
   getIncidentStatistics
 };
\ No newline at end of file
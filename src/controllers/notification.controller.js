@@ -0,0 +1,108 @@
+// src/controllers/notification.controller.js
+
+const { prisma } = require('../config/db');
+const { formatNotification } = require('../services/notifications');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * @route   GET /api/notifications
+ * @desc    The user's notifications, newest first (?unread=true, ?limit=)
+ * @access  Private
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const { unread, limit } = req.query;
+    const take = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const where = { userId: req.user.id, ...(unread === 'true' && { readAt: null }) };
+
+    const [notifications, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take
+      }),
+      prisma.notification.count({ where: { userId: req.user.id, readAt: null } })
+    ]);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      data: {
+        unreadCount,
+        notifications: notifications.map(formatNotification)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/notifications/:id/read
+ * @desc    Mark one of the user's notifications as read
+ * @access  Private
+ */
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const notification = isNaN(id) ? null : await prisma.notification.findFirst({
+      where: { id, userId: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found',
+        code: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+
+    // Already read: keep the original read time
+    const updated = notification.readAt ? notification : await prisma.notification.update({
+      where: { id: notification.id },
+      data: { readAt: new Date() }
+    });
+
+    res.json({
+      success: true,
+      data: formatNotification(updated)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all of the user's unread notifications as read
+ * @access  Private
+ */
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    res.json({
+      success: true,
+      message: `${count} notification${count === 1 ? '' : 's'} marked as read`,
+      data: { updated: count }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -1,6 +1,35 @@
 
 
 const { prisma } = require('../config/db');
+const { recomputeCaseloads } = require('../services/caseload');
+const { normalizeExportFormat, exportList } = require('../services/tabularExport');
+const { publishEvent } = require('../services/events');
+
+// Linked user account returned with each officer
+const linkedUserSelect = {
+  select: { id: true, username: true, name: true, role: true }
+};
+
+/**
+ * Build the officer list filter from query parameters (shared by list and export)
+ */
+const buildOfficerFilter = (query) => {
+  const { status, unit, search } = query;
+
+  const where = {};
+  if (status) where.status = status;
+  if (unit) where.unit = { contains: unit, mode: 'insensitive' };
+  if (search) {
+    where.OR = [
+      { firstName: { contains: search, mode: 'insensitive' } },
+      { lastName: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+      { badge: isNaN(search) ? undefined : parseInt(search) }
+    ].filter(Boolean);
+  }
+
+  return where;
+};
 
 /**
  * @route   GET /api/officers
@@ -9,23 +38,11 @@ const { prisma } = require('../config/db');
  */
 const getOfficers = async (req, res, next) => {
   try {
-    const { status, unit, search } = req.query;
-
-    // Build filter
-    const where = {};
-    if (status) where.status = status;
-    if (unit) where.unit = { contains: unit, mode: 'insensitive' };
-    if (search) {
-      where.OR = [
-        { firstName: { contains: search, mode: 'insensitive' } },
-        { lastName: { contains: search, mode: 'insensitive' } },
-        { email: { contains: search, mode: 'insensitive' } },
-        { badge: isNaN(search) ? undefined : parseInt(search) }
-      ].filter(Boolean);
-    }
+    const where = buildOfficerFilter(req.query);
 
     const officers = await prisma.officer.findMany({
       where,
+      include: { user: linkedUserSelect },
       orderBy: { badge: 'asc' }
     });
 
@@ -40,6 +57,53 @@ const getOfficers = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/officers/export
+ * @desc    Export the officer list as CSV or Excel (?format=csv|excel, same filters as GET /api/officers)
+ * @access  Private
+ */
+const exportOfficers = async (req, res, next) => {
+  try {
+    const format = normalizeExportFormat(req.query.format || 'csv');
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be one of: csv, excel',
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    await exportList(res, {
+      format,
+      filename: `officers-${new Date().toISOString().slice(0, 10)}`,
+      delegate: prisma.officer,
+      args: {
+        where: buildOfficerFilter(req.query),
+        include: { user: linkedUserSelect },
+        orderBy: [{ badge: 'asc' }, { id: 'asc' }]
+      },
+      columns: [
+        { header: 'Badge', value: o => o.badge },
+        { header: 'First name', value: o => o.firstName },
+        { header: 'Last name', value: o => o.lastName },
+        { header: 'Rank', value: o => o.rank_ },
+        { header: 'Unit', value: o => o.unit },
+        { header: 'Department', value: o => o.department },
+        { header: 'Email', value: o => o.email },
+        { header: 'Phone', value: o => o.phone },
+        { header: 'Status', value: o => o.status },
+        { header: 'Active cases', value: o => o.activeCases },
+        { header: 'Total cases', value: o => o.totalCases },
+        { header: 'User account', value: o => o.user?.username },
+        { header: 'Hired', value: o => o.hiredAt }
+      ]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/officers/:badge
  * @desc    Get officer by badge number
@@ -51,7 +115,8 @@ const getOfficerByBadge = async (req, res, next) => {
     const { badge } = req.params;
 
     const officer = await prisma.officer.findUnique({
-      where: { badge: parseInt(badge) }
+      where: { badge: parseInt(badge) },
+      include: { user: linkedUserSelect }
     });
 
     if (!officer) {
@@ -100,8 +165,14 @@ const createOfficer = async (req, res, next) => {
       });
     }
 
+    // Link to the user account with the same email, unless it already has an officer
+    const account = await prisma.user.findFirst({
+      where: { email, officerProfile: null },
+      select: { id: true }
+    });
+
     // Create officer
-    const officer = await prisma.officer.create({
+    let officer = await prisma.officer.create({
       data: {
         badge: parseInt(badge),
         firstName,
@@ -109,10 +180,21 @@ const createOfficer = async (req, res, next) => {
         rank_,
         unit,
         status: status || 'available',
-        email
-      }
+        email,
+        userId: account?.id ?? null
+      },
+      include: { user: linkedUserSelect }
     });
 
+    // Count any cases the linked account already holds
+    if (officer.userId) {
+      await recomputeCaseloads(prisma);
+      officer = await prisma.officer.findUnique({
+        where: { id: officer.id },
+        include: { user: linkedUserSelect }
+      });
+    }
+
     res.status(201).json({
       success: true,
       data: officer,
@@ -126,13 +208,13 @@ const createOfficer = async (req, res, next) => {
 
 /**
  * @route   PATCH /api/officers/:badge
- * @desc    Update officer
+ * @desc    Update officer (caseload counters are maintained by the case endpoints)
  * @access  Private (Admin)
  */
 const updateOfficer = async (req, res, next) => {
   try {
     const { badge } = req.params;
-    const { firstName, lastName, rank_, unit, status, email, activeCases } = req.body;
+    const { firstName, lastName, rank_, unit, status, email, userId } = req.body;
 
     // Build update data
     const data = {};
@@ -152,13 +234,68 @@ const updateOfficer = async (req, res, next) => {
       }
       data.email = email;
     }
-    if (activeCases !== undefined) data.activeCases = parseInt(activeCases);
 
-    const officer = await prisma.officer.update({
+    // Link or unlink (null) the officer's user account
+    if (userId !== undefined) {
+      if (userId === null || userId === '') {
+        data.userId = null;
+      } else {
+        const account = await prisma.user.findUnique({
+          where: { id: parseInt(userId) || 0 },
+          include: { officerProfile: { select: { badge: true } } }
+        });
+
+        if (!account) {
+          return res.status(404).json({
+            success: false,
+            error: 'User not found',
+            code: 'USER_NOT_FOUND'
+          });
+        }
+
+        if (account.officerProfile && account.officerProfile.badge !== parseInt(badge)) {
+          return res.status(409).json({
+            success: false,
+            error: `User is already linked to officer ${account.officerProfile.badge}`,
+            code: 'USER_ALREADY_LINKED'
+          });
+        }
+
+        data.userId = account.id;
+      }
+    }
+
+    // Status before the update, to announce a change
+    const previous = data.status
+      ? await prisma.officer.findUnique({ where: { badge: parseInt(badge) }, select: { status: true } })
+      : null;
+
+    let officer = await prisma.officer.update({
       where: { badge: parseInt(badge) },
-      data
+      data,
+      include: { user: linkedUserSelect }
     });
 
+    if (previous && previous.status !== officer.status) {
+      const name = `${officer.firstName} ${officer.lastName}`;
+      publishEvent('officer_status_changed', {
+        badge: officer.badge,
+        name,
+        from: previous.status,
+        to: officer.status,
+        message: `Officer ${name} (#${officer.badge}) is now ${officer.status.replace(/_/g, ' ')}`
+      }, req.user);
+    }
+
+    // A new account link brings that account's cases with it
+    if (userId !== undefined) {
+      await recomputeCaseloads(prisma);
+      officer = await prisma.officer.findUnique({
+        where: { id: officer.id },
+        include: { user: linkedUserSelect }
+      });
+    }
+
     res.json({
       success: true,
       data: officer,
@@ -222,12 +359,44 @@ const getOfficerStatistics = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   POST /api/officers/recompute-caseloads
+ * @desc    Recompute every officer's active / total case counters from the cases table
+ * @access  Private (Admin)
+ */
+const recomputeOfficerCaseloads = async (req, res, next) => {
+  try {
+    const result = await recomputeCaseloads(prisma);
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `Officer caseloads recomputed (${result.corrections.length} of ${result.checked} corrected)`,
+        action: 'recompute_caseloads',
+        userId: req.user.id,
+        metadata: JSON.stringify({ corrected: result.corrections.map(c => c.badge) })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.corrections.length} officer caseload(s) corrected`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 
 module.exports = {
   getOfficers,
+  exportOfficers,
   getOfficerByBadge,
   createOfficer,
   updateOfficer,
   deleteOfficer,
-  getOfficerStatistics
+  getOfficerStatistics,
+  recomputeOfficerCaseloads
 };
\ No newline at end of file
@@ -0,0 +1,491 @@
+// src/controllers/person.controller.js
+
+const { prisma } = require('../config/db');
+const { NOT_DELETED } = require('../services/recordLifecycle');
+const { PERSON_ROLES, getPersonName } = require('../services/persons');
+
+const PERSON_FIELDS = ['firstName', 'lastName', 'otherNames', 'gender', 'nationalId', 'phone', 'email', 'address', 'notes'];
+
+/**
+ * Format a person for the response
+ */
+const formatPerson = (p) => ({
+  id: p.id,
+  name: getPersonName(p),
+  firstName: p.firstName,
+  lastName: p.lastName,
+  otherNames: p.otherNames,
+  dateOfBirth: p.dateOfBirth,
+  gender: p.gender,
+  nationalId: p.nationalId,
+  phone: p.phone,
+  email: p.email,
+  address: p.address,
+  notes: p.notes,
+  aliases: (p.aliases || []).map(a => a.alias),
+  caseCount: p._count?.cases,
+  createdAt: p.createdAt
+});
+
+/**
+ * Normalize an aliases array from the request body
+ */
+const parseAliases = (aliases) => {
+  if (!Array.isArray(aliases)) return [];
+  return [...new Set(aliases.map(a => String(a).trim()).filter(Boolean))];
+};
+
+/**
+ * Find a case by numeric ID or case ID
+ */
+const findCase = (id) => {
+  return prisma.caseFile.findFirst({
+    where: {
+      ...NOT_DELETED,
+      OR: [
+        { id: isNaN(id) ? undefined : parseInt(id) },
+        { caseId: id }
+      ]
+    },
+    select: { id: true, caseId: true }
+  });
+};
+
+/**
+ * @route   GET /api/persons
+ * @desc    Search persons by name, alias, national ID, phone or email
+ * @access  Private
+ */
+const getPersons = async (req, res, next) => {
+  try {
+    const { search, role, page = 1, limit = 50 } = req.query;
+
+    const where = {};
+    if (search) {
+      where.OR = [
+        { firstName: { contains: search } },
+        { lastName: { contains: search } },
+        { otherNames: { contains: search } },
+        { nationalId: { contains: search } },
+        { phone: { contains: search } },
+        { email: { contains: search } },
+        { aliases: { some: { alias: { contains: search } } } }
+      ];
+    }
+    if (role) where.cases = { some: { role } };
+
+    const [persons, total] = await Promise.all([
+      prisma.person.findMany({
+        where,
+        include: {
+          aliases: true,
+          _count: { select: { cases: { where: { case: NOT_DELETED } } } }
+        },
+        orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }],
+        skip: (page - 1) * limit,
+        take: parseInt(limit)
+      }),
+      prisma.person.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: persons.map(formatPerson),
+      total,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Get persons error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/persons/:id
+ * @desc    Get person by ID
+ * @access  Private
+ */
+const getPersonById = async (req, res, next) => {
+  try {
+    const person = await prisma.person.findUnique({
+      where: { id: parseInt(req.params.id) || 0 },
+      include: {
+        aliases: true,
+        _count: { select: { cases: { where: { case: NOT_DELETED } } } }
+      }
+    });
+
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person not found',
+        code: 'PERSON_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatPerson(person)
+    });
+
+  } catch (error) {
+    console.error('Get person error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/persons/:id/cases
+ * @desc    Get every case a person has appeared in, with their role
+ * @access  Private
+ */
+const getPersonCases = async (req, res, next) => {
+  try {
+    const personId = parseInt(req.params.id) || 0;
+
+    const person = await prisma.person.findUnique({
+      where: { id: personId },
+      select: { id: true }
+    });
+
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person not found',
+        code: 'PERSON_NOT_FOUND'
+      });
+    }
+
+    const links = await prisma.casePerson.findMany({
+      where: { personId, case: NOT_DELETED },
+      include: {
+        case: {
+          select: {
+            caseId: true,
+            type: true,
+            status: true,
+            priority: true,
+            location: true,
+            reported: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: links.map(l => ({
+        role: l.role,
+        notes: l.notes,
+        linkedAt: l.createdAt,
+        ...l.case
+      })),
+      total: links.length
+    });
+
+  } catch (error) {
+    console.error('Get person cases error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/persons
+ * @desc    Create a person record
+ * @access  Private
+ */
+const createPerson = async (req, res, next) => {
+  try {
+    const { firstName, dateOfBirth, email, aliases } = req.body;
+
+    if (!firstName) {
+      return res.status(400).json({
+        success: false,
+        error: 'First name is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email format',
+        code: 'INVALID_EMAIL'
+      });
+    }
+
+    const data = { firstName: String(firstName).trim(), createdById: req.user.id };
+    PERSON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && req.body[field] !== '') data[field] = req.body[field];
+    });
+    if (dateOfBirth) data.dateOfBirth = new Date(dateOfBirth);
+
+    const person = await prisma.person.create({
+      data: {
+        ...data,
+        aliases: { create: parseAliases(aliases).map(alias => ({ alias })) }
+      },
+      include: { aliases: true }
+    });
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `Person record created: ${getPersonName(person)}`,
+        action: 'create_person',
+        userId: req.user.id,
+        metadata: JSON.stringify({ personId: person.id })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.status(201).json({
+      success: true,
+      data: formatPerson(person),
+      message: 'Person created successfully'
+    });
+
+  } catch (error) {
+    console.error('Create person error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   PATCH /api/persons/:id
+ * @desc    Update a person record; a supplied aliases array replaces the existing aliases
+ * @access  Private
+ */
+const updatePerson = async (req, res, next) => {
+  try {
+    const personId = parseInt(req.params.id) || 0;
+    const { dateOfBirth, email, aliases } = req.body;
+
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email format',
+        code: 'INVALID_EMAIL'
+      });
+    }
+
+    const data = {};
+    PERSON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field] === '' ? null : req.body[field];
+    });
+    if (data.firstName === null) delete data.firstName;
+    if (dateOfBirth !== undefined) data.dateOfBirth = dateOfBirth ? new Date(dateOfBirth) : null;
+
+    if (aliases !== undefined) {
+      data.aliases = {
+        deleteMany: {},
+        create: parseAliases(aliases).map(alias => ({ alias }))
+      };
+    }
+
+    const person = await prisma.person.update({
+      where: { id: personId },
+      data,
+      include: {
+        aliases: true,
+        _count: { select: { cases: { where: { case: NOT_DELETED } } } }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: formatPerson(person),
+      message: 'Person updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update person error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/cases/:id/persons
+ * @desc    Get persons linked to a case
+ * @access  Private
+ */
+const getCasePersons = async (req, res, next) => {
+  try {
+    const caseData = await findCase(req.params.id);
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const links = await prisma.casePerson.findMany({
+      where: { caseId: caseData.id },
+      include: { person: { include: { aliases: true } } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: links.map(l => ({
+        linkId: l.id,
+        role: l.role,
+        notes: l.notes,
+        person: formatPerson(l.person)
+      })),
+      total: links.length
+    });
+
+  } catch (error) {
+    console.error('Get case persons error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/cases/:id/persons
+ * @desc    Link a person to a case with a role
+ * @access  Private
+ */
+const addCasePerson = async (req, res, next) => {
+  try {
+    const { personId, role, notes } = req.body;
+
+    if (!personId || !role) {
+      return res.status(400).json({
+        success: false,
+        error: 'Person and role are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (!PERSON_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${PERSON_ROLES.join(', ')}`,
+        code: 'INVALID_ROLE'
+      });
+    }
+
+    const caseData = await findCase(req.params.id);
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const person = await prisma.person.findUnique({
+      where: { id: parseInt(personId) || 0 }
+    });
+
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person not found',
+        code: 'PERSON_NOT_FOUND'
+      });
+    }
+
+    const link = await prisma.casePerson.create({
+      data: {
+        caseId: caseData.id,
+        personId: person.id,
+        role,
+        notes
+      }
+    });
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `${getPersonName(person)} added to case ${caseData.caseId} as ${role}`,
+        action: 'link_case_person',
+        userId: req.user.id,
+        metadata: JSON.stringify({ caseId: caseData.caseId, personId: person.id, role })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.status(201).json({
+      success: true,
+      data: {
+        linkId: link.id,
+        role: link.role,
+        notes: link.notes,
+        person: formatPerson(person)
+      },
+      message: 'Person linked to case successfully'
+    });
+
+  } catch (error) {
+    console.error('Add case person error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/cases/:id/persons/:linkId
+ * @desc    Remove a person from a case
+ * @access  Private
+ */
+const removeCasePerson = async (req, res, next) => {
+  try {
+    const caseData = await findCase(req.params.id);
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const link = await prisma.casePerson.findFirst({
+      where: { id: parseInt(req.params.linkId) || 0, caseId: caseData.id },
+      include: { person: true }
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person is not linked to this case',
+        code: 'LINK_NOT_FOUND'
+      });
+    }
+
+    await prisma.casePerson.delete({ where: { id: link.id } });
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `${getPersonName(link.person)} removed from case ${caseData.caseId} (${link.role})`,
+        action: 'unlink_case_person',
+        userId: req.user.id,
+        metadata: JSON.stringify({ caseId: caseData.caseId, personId: link.personId, role: link.role })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.json({
+      success: true,
+      message: 'Person removed from case successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove case person error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getPersons,
+  getPersonById,
+  getPersonCases,
+  createPerson,
+  updatePerson,
+  getCasePersons,
+  addCasePerson,
+  removeCasePerson
+};
@@ -0,0 +1,79 @@
+// src/controllers/recycleBin.controller.js
+
+const { prisma } = require('../config/db');
+
+const RECORD_TYPES = ['case', 'incident', 'report'];
+
+const deletedBySelect = { select: { username: true, name: true } };
+
+/**
+ * @route   GET /api/recycle-bin
+ * @desc    List soft-deleted cases, incidents and reports (?type= to narrow)
+ * @access  Private (Admin)
+ */
+const getRecycleBin = async (req, res, next) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !RECORD_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Type must be one of: ${RECORD_TYPES.join(', ')}`,
+        code: 'INVALID_TYPE'
+      });
+    }
+
+    const wants = (t) => !type || type === t;
+    const where = { deletedAt: { not: null } };
+
+    const [cases, incidents, reports] = await Promise.all([
+      wants('case')
+        ? prisma.caseFile.findMany({ where, include: { deletedBy: deletedBySelect } })
+        : [],
+      wants('incident')
+        ? prisma.incident.findMany({ where, include: { deletedBy: deletedBySelect } })
+        : [],
+      wants('report')
+        ? prisma.report.findMany({ where, include: { deletedBy: deletedBySelect } })
+        : []
+    ]);
+
+    const deletedByName = (r) => r.deletedBy?.name || r.deletedBy?.username || 'Unknown';
+
+    const items = [
+      ...cases.map(c => ({
+        type: 'case',
+        id: c.caseId,
+        summary: `${c.type} at ${c.location}`,
+        deletedAt: c.deletedAt,
+        deletedBy: deletedByName(c)
+      })),
+      ...incidents.map(i => ({
+        type: 'incident',
+        id: i.id,
+        summary: `${i.type} at ${i.address}`,
+        deletedAt: i.deletedAt,
+        deletedBy: deletedByName(i)
+      })),
+      ...reports.map(r => ({
+        type: 'report',
+        id: r.reportId,
+        summary: r.type,
+        deletedAt: r.deletedAt,
+        deletedBy: deletedByName(r)
+      }))
+    ].sort((a, b) => new Date(b.deletedAt).getTime() - new Date(a.deletedAt).getTime());
+
+    res.json({
+      success: true,
+      data: items,
+      total: items.length
+    });
+
+  } catch (error) {
+    console.error('Get recycle bin error:', error);
+    next(error);
+  }
+};
+
+module.exports = { getRecycleBin };
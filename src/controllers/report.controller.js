@@ -2,35 +2,138 @@
 
 
 const { prisma } = require('../config/db');
+const { buildReportContent, hashReportContent, parseReportData } = require('../services/reportContent');
+const { validateReportRequest, generateReportData, createReportRecord } = require('../services/reportData');
+const { renderReportPdf } = require('../services/reportPdf');
+const { EXPORT_FORMATS, normalizeExportFormat, exportReport, renderReportExport } = require('../services/tabularExport');
+const lifecycle = require('../services/recordLifecycle');
+const reportWorkflow = require('../services/reportWorkflow');
+const { notifyReportReview } = require('../services/notifications');
+const integrity = require('../services/reportIntegrity');
+const { getStorage } = require('../services/storage');
 
 /**
- * Generate unique report ID
+ * Load a report with everything its documents print
  */
-const generateReportId = async () => {
-  const lastReport = await prisma.report.findFirst({
-    orderBy: { id: 'desc' },
-    select: { reportId: true }
+const findReportForDocument = (where) => prisma.report.findFirst({
+  where,
+  include: {
+    generatedBy: {
+      select: {
+        username: true,
+        name: true
+      }
+    },
+    case: {
+      select: { caseId: true, type: true, status: true, priority: true, location: true, reported: true }
+    },
+    reviews: {
+      include: { user: { select: { username: true, name: true } } },
+      orderBy: { id: 'asc' }
+    },
+    exports: true
+  }
+});
+
+/**
+ * Remove documents from storage, logging any that can't be removed
+ */
+const removeDocuments = async (keys) => {
+  for (const key of keys) {
+    await getStorage().remove(key).catch(err => console.error('Failed to remove unused report document:', err));
+  }
+};
+
+/**
+ * Remove the documents issued for an approval that didn't go through
+ */
+const discardIssuedDocuments = (issued) => removeDocuments([
+  issued.fields.documentKey,
+  ...issued.exports.map(e => e.documentKey)
+]);
+
+/**
+ * Finalize a report as it is approved: hash and sign its content, render
+ * the PDF, CSV and Excel documents that are issued from now on and keep them
+ * in storage
+ * The approval is included as if already recorded, so the documents carry it.
+ * Issuing the exports now means they, like the PDF, always show the report as
+ * approved and can be checked against their stored hashes later.
+ * Returns { fields } to store on the report and the report_exports rows.
+ * If a document fails to render or store, the ones already stored are removed.
+ */
+const issueReport = async (reportRowId, approver, comment, signedAt) => {
+  const report = await findReportForDocument({ id: reportRowId });
+
+  const approved = {
+    ...report,
+    status: 'approved',
+    reviews: [
+      ...report.reviews,
+      { action: 'approve', toStatus: 'approved', comment, user: approver, createdAt: signedAt }
+    ]
+  };
+
+  const content = buildReportContent(approved);
+  const signed = integrity.signReport({
+    reportId: report.reportId,
+    contentHash: hashReportContent(content),
+    signedAt
+  });
+
+  const pdf = await renderReportPdf(content, {
+    generatedBy: report.generatedBy?.name || report.generatedBy?.username || 'Unknown',
+    generatedAt: report.date,
+    hash: signed.contentHash,
+    verificationCode: signed.verificationCode
   });
 
-  if (!lastReport) return 'RPT-1026';
+  const storage = getStorage();
+  const documentKey = `reports/${report.reportId}/${signed.verificationCode}.pdf`;
+  const stored = [];
+  const exports = [];
+
+  try {
+    await storage.put(documentKey, pdf);
+    stored.push(documentKey);
+
+    for (const format of Object.keys(EXPORT_FORMATS)) {
+      const file = await renderReportExport(format, {
+        content,
+        hash: signed.contentHash,
+        verificationCode: signed.verificationCode
+      });
+      const key = `reports/${report.reportId}/${signed.verificationCode}.${EXPORT_FORMATS[format].extension}`;
+      await storage.put(key, file);
+      stored.push(key);
+      exports.push({ format, documentKey: key, documentHash: integrity.hashFile(file) });
+    }
+  } catch (error) {
+    await removeDocuments(stored);
+    throw error;
+  }
 
-  const lastNumber = parseInt(lastReport.reportId.split('-')[1]);
-  return `RPT-${lastNumber + 1}`;
+  return {
+    fields: { ...signed, documentHash: integrity.hashFile(pdf), documentKey },
+    exports
+  };
 };
 
 /**
  * @route   GET /api/reports
- * @desc    Get all reports
+ * @desc    Get all reports (?type=&format=&status=&caseId=&search=&archived=)
  * @access  Private
  */
 const getReports = async (req, res, next) => {
   try {
-    const { type, format, search } = req.query;
+    const { type, format, status, caseId, search, archived } = req.query;
 
-    // Build filter
-    const where = {};
+    // Build filter (archived reports only when asked for)
+    const where = lifecycle.listingFilter(archived);
     if (type) where.type = { contains: type, mode: 'insensitive' };
     if (format) where.format = format;
+    if (status) where.status = status;
+    if (caseId) where.case = { caseId };
     if (search) {
       where.OR = [
         { reportId: { contains: search, mode: 'insensitive' } },
@@ -47,6 +150,9 @@ const getReports = async (req, res, next) => {
             username: true,
             name: true
           }
+        },
+        case: {
+          select: { caseId: true }
         }
       },
       orderBy: { date: 'desc' }
@@ -58,8 +164,14 @@ const getReports = async (req, res, next) => {
       type: r.type,
       generatedBy: r.generatedBy?.name || r.generatedBy?.username || 'Unknown',
       date: r.date,
+      periodStart: r.periodStart,
+      periodEnd: r.periodEnd,
+      caseId: r.case?.caseId || null,
       format: r.format,
-      notes: r.notes
+      notes: r.notes,
+      status: r.status,
+      statusLabel: reportWorkflow.getReportStatusLabel(r.status),
+      archivedAt: r.archivedAt
     }));
 
     res.json({
@@ -84,6 +196,7 @@ const getReportById = async (req, res, next) => {
 
     const report = await prisma.report.findFirst({
       where: {
+        ...lifecycle.NOT_DELETED,
         OR: [
           { id: isNaN(id) ? undefined : parseInt(id) },
           { reportId: id }
@@ -95,6 +208,25 @@ const getReportById = async (req, res, next) => {
             username: true,
             name: true
           }
+        },
+        schedule: {
+          select: {
+            id: true,
+            name: true
+          }
+        },
+        case: {
+          select: { caseId: true, type: true, status: true }
+        },
+        approvedBy: {
+          select: {
+            username: true,
+            name: true
+          }
+        },
+        reviews: {
+          include: { user: { select: { username: true, name: true } } },
+          orderBy: { id: 'asc' }
         }
       }
     });
@@ -107,14 +239,32 @@ const getReportById = async (req, res, next) => {
       });
     }
 
+    const snapshot = parseReportData(report);
+
     // Format response
     const formatted = {
       reportId: report.reportId,
       type: report.type,
       generatedBy: report.generatedBy?.name || report.generatedBy?.username || 'Unknown',
       date: report.date,
+      periodStart: report.periodStart,
+      periodEnd: report.periodEnd,
+      parameters: report.parameters ? JSON.parse(report.parameters) : null,
+      schedule: report.schedule,
+      case: report.case,
       format: report.format,
-      notes: report.notes
+      notes: report.notes,
+      status: report.status,
+      statusLabel: reportWorkflow.getReportStatusLabel(report.status),
+      approvedBy: report.approvedBy ? (report.approvedBy.name || report.approvedBy.username) : null,
+      approvedAt: report.approvedAt,
+      approvalChain: reportWorkflow.formatApprovalChain(report.reviews),
+      verificationCode: report.verificationCode,
+      contentHash: report.contentHash,
+      signedAt: report.signedAt,
+      allowedActions: reportWorkflow.getAllowedReportActions(report, req.user),
+      summary: snapshot?.summary || [],
+      tables: snapshot?.tables || []
     };
 
     res.json({
@@ -129,12 +279,15 @@ const getReportById = async (req, res, next) => {
 
 /**
  * @route   POST /api/reports
- * @desc    Generate new report
+ * @desc    Generate new report: runs the type's queries for startDate..endDate and snapshots the result.
+ *          With caseId the report is linked to that case; for a case the period
+ *          defaults to the day it was reported through today.
  * @access  Private
  */
 const createReport = async (req, res, next) => {
   try {
-    const { type, format, notes } = req.body;
+    const { type, format, notes, parameters, caseId } = req.body;
+    let { startDate, endDate } = req.body;
 
     // Validation
     if (!type) {
@@ -145,26 +298,44 @@ const createReport = async (req, res, next) => {
       });
     }
 
-    // Generate report ID
-    const reportId = await generateReportId();
+    let linkedCase = null;
+    if (caseId) {
+      linkedCase = await prisma.caseFile.findFirst({
+        where: {
+          ...lifecycle.NOT_DELETED,
+          OR: [
+            { id: isNaN(caseId) ? undefined : parseInt(caseId) },
+            { caseId: String(caseId) }
+          ]
+        },
+        select: { id: true, caseId: true, reported: true }
+      });
 
-    // Create report
-    const report = await prisma.report.create({
-      data: {
-        reportId,
-        type,
-        format: format || 'PDF',
-        notes,
-        generatedById: req.user.id
-      },
-      include: {
-        generatedBy: {
-          select: {
-            username: true,
-            name: true
-          }
-        }
+      if (!linkedCase) {
+        return res.status(404).json({
+          success: false,
+          error: 'Case not found',
+          code: 'CASE_NOT_FOUND'
+        });
       }
+
+      startDate = startDate || linkedCase.reported.toISOString().slice(0, 10);
+      endDate = endDate || new Date().toISOString().slice(0, 10);
+    }
+
+    const request = validateReportRequest({ type, startDate, endDate, parameters, caseId: linkedCase?.id });
+    if (request.error) {
+      const { statusCode, ...body } = request.error;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const { report, data } = await createReportRecord(prisma, {
+      type,
+      request,
+      format,
+      notes,
+      user: req.user,
+      caseId: linkedCase?.id
     });
 
     // Format response
@@ -173,8 +344,13 @@ const createReport = async (req, res, next) => {
       type: report.type,
       generatedBy: report.generatedBy?.name || report.generatedBy?.username || 'Unknown',
       date: report.date,
+      periodStart: report.periodStart,
+      periodEnd: report.periodEnd,
+      caseId: report.case?.caseId || null,
       format: report.format,
-      notes: report.notes
+      notes: report.notes,
+      status: report.status,
+      summary: data.summary
     };
 
     res.status(201).json({
@@ -188,9 +364,242 @@ const createReport = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   PUT /api/reports/:id
+ * @desc    Edit a draft or rejected report (notes, startDate, endDate, parameters);
+ *          changing the period or parameters regenerates the data snapshot
+ * @access  Private (Author or Admin)
+ */
+const updateReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { notes, startDate, endDate, parameters } = req.body;
+
+    const existingReport = await prisma.report.findFirst({
+      where: {
+        ...lifecycle.NOT_DELETED,
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { reportId: id }
+        ]
+      }
+    });
+
+    if (!existingReport) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        code: 'REPORT_NOT_FOUND'
+      });
+    }
+
+    const editError = reportWorkflow.validateReportEdit(existingReport, req.user);
+    if (editError) {
+      const { statusCode, ...body } = editError;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const data = {};
+    if (notes !== undefined) data.notes = notes;
+
+    if (startDate !== undefined || endDate !== undefined || parameters !== undefined) {
+      const day = (value) => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+      const request = validateReportRequest({
+        type: existingReport.type,
+        startDate: startDate ?? day(existingReport.periodStart),
+        endDate: endDate ?? day(existingReport.periodEnd),
+        parameters: parameters ?? (existingReport.parameters ? JSON.parse(existingReport.parameters) : {}),
+        caseId: existingReport.caseId
+      });
+      if (request.error) {
+        const { statusCode, ...body } = request.error;
+        return res.status(statusCode).json({ success: false, ...body });
+      }
+
+      data.periodStart = request.period.start;
+      data.periodEnd = request.period.end;
+      data.parameters = JSON.stringify(request.parameters);
+      data.data = JSON.stringify(await generateReportData(prisma, existingReport.type, { ...request, caseId: existingReport.caseId }));
+    }
+
+    // Only applies while the report is still editable, in case it was submitted meanwhile
+    const { count } = await prisma.report.updateMany({
+      where: { id: existingReport.id, status: existingReport.status },
+      data
+    });
+
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Report status changed while it was being edited',
+        code: 'REPORT_CHANGED'
+      });
+    }
+
+    await prisma.activitylog.create({
+      data: {
+        message: `Report ${existingReport.reportId} edited`,
+        action: 'update_report',
+        userId: req.user.id,
+        metadata: JSON.stringify({ reportId: existingReport.reportId, fields: Object.keys(data) })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.json({
+      success: true,
+      message: 'Report updated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shared handler for the review actions (submit, withdraw, approve, reject)
+ * The status only moves if it is still what was checked, so two reviewers
+ * acting at once can't both succeed.
+ */
+const reviewReport = (action) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const comment = req.body?.comment ? String(req.body.comment).trim() : null;
+
+    const existingReport = await prisma.report.findFirst({
+      where: {
+        ...lifecycle.NOT_DELETED,
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { reportId: id }
+        ]
+      }
+    });
+
+    if (!existingReport) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        code: 'REPORT_NOT_FOUND'
+      });
+    }
+
+    const actionError = reportWorkflow.validateReportAction(action, existingReport, req.user, comment);
+    if (actionError) {
+      const { statusCode, ...body } = actionError;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    // Whole seconds, as stored, so the signature can be checked against the saved time
+    const now = new Date(Math.floor(Date.now() / 1000) * 1000);
+    const data = reportWorkflow.buildStatusData(action, req.user, now);
+
+    // Documents issued for an approval that doesn't go through are removed
+    // again, whichever step fails
+    let issued = null;
+    let moved = false;
+    try {
+      issued = action === 'approve'
+        ? await issueReport(existingReport.id, req.user, comment, now)
+        : null;
+      if (issued) Object.assign(data, issued.fields);
+
+      moved = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.report.updateMany({
+          where: { id: existingReport.id, status: existingReport.status },
+          data
+        });
+        if (count === 0) return false;
+
+        if (issued) {
+          await tx.reportExport.createMany({
+            data: issued.exports.map(e => ({ reportId: existingReport.id, ...e }))
+          });
+        }
+
+        await tx.reportReview.create({
+          data: {
+            reportId: existingReport.id,
+            action,
+            fromStatus: existingReport.status,
+            toStatus: data.status,
+            comment,
+            userId: req.user.id,
+            createdAt: now
+          }
+        });
+        return true;
+      });
+    } finally {
+      if (issued && !moved) await discardIssuedDocuments(issued);
+    }
+
+    if (!moved) {
+      return res.status(409).json({
+        success: false,
+        error: 'Report status changed while it was being reviewed',
+        code: 'REPORT_CHANGED'
+      });
+    }
+
+    await prisma.activitylog.create({
+      data: {
+        message: `Report ${existingReport.reportId} ${reportWorkflow.getReportStatusLabel(data.status).toLowerCase()}${comment ? `: ${comment}` : ''}`,
+        action: `${action}_report`,
+        userId: req.user.id,
+        metadata: JSON.stringify({ reportId: existingReport.reportId, from: existingReport.status, to: data.status, comment })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    await notifyReportReview(prisma, existingReport, action, comment, req.user)
+      .catch(err => console.error('Failed to send notifications:', err));
+
+    res.json({
+      success: true,
+      message: `Report ${reportWorkflow.getReportStatusLabel(data.status).toLowerCase()}`,
+      data: {
+        reportId: existingReport.reportId,
+        status: data.status,
+        statusLabel: reportWorkflow.getReportStatusLabel(data.status),
+        verificationCode: issued?.fields.verificationCode || null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/reports/:id/submit
+ * @desc    Submit a draft or rejected report for approval
+ * @access  Private (Author or Admin)
+ */
+const submitReport = reviewReport('submit');
+
+/**
+ * @route   POST /api/reports/:id/withdraw
+ * @desc    Take a submitted report back to draft
+ * @access  Private (Author or Admin)
+ */
+const withdrawReport = reviewReport('withdraw');
+
+/**
+ * @route   POST /api/reports/:id/approve
+ * @desc    Sign off a submitted report (optional comment); approved reports are locked
+ * @access  Private (Supervisor or Admin, not the author)
+ */
+const approveReport = reviewReport('approve');
+
+/**
+ * @route   POST /api/reports/:id/reject
+ * @desc    Send a submitted report back to its author (comment required)
+ * @access  Private (Supervisor or Admin, not the author)
+ */
+const rejectReport = reviewReport('reject');
+
 /**
  * @route   DELETE /api/reports/:id
- * @desc    Delete report
+ * @desc    Soft-delete report (restorable from the recycle bin)
  * @access  Private (Admin)
  */
 const deleteReport = async (req, res, next) => {
@@ -200,6 +609,7 @@ const deleteReport = async (req, res, next) => {
     // Find report
     const existingReport = await prisma.report.findFirst({
       where: {
+        ...lifecycle.NOT_DELETED,
         OR: [
           { id: isNaN(id) ? undefined : parseInt(id) },
           { reportId: id }
@@ -215,13 +625,19 @@ const deleteReport = async (req, res, next) => {
       });
     }
 
-    await prisma.report.delete({
-      where: { id: existingReport.id }
-    });
+    await prisma.$transaction([
+      prisma.report.update({
+        where: { id: existingReport.id },
+        data: lifecycle.softDeleteData(req.user.id)
+      }),
+      prisma.activitylog.create({
+        data: lifecycle.buildLifecycleLog({ entity: 'report', ref: existingReport.reportId, action: 'delete', userId: req.user.id })
+      })
+    ]);
 
     res.json({
       success: true,
-      message: 'Report deleted successfully'
+      message: 'Report moved to the recycle bin'
     });
 
   } catch (error) {
@@ -231,31 +647,134 @@ const deleteReport = async (req, res, next) => {
 
 
 /**
- * @route   GET /api/reports/:id/pdf
- * @desc    Download report as PDF
- * @access  Private
+ * @route   POST /api/reports/:id/archive
+ * @desc    Archive report; archived reports are left out of default listings
+ * @access  Private (Admin)
  */
-const downloadReportPDF = async (req, res, next) => {
+const archiveReport = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const report = await prisma.report.findFirst({
+    const existingReport = await prisma.report.findFirst({
       where: {
+        ...lifecycle.NOT_DELETED,
         OR: [
           { id: isNaN(id) ? undefined : parseInt(id) },
           { reportId: id }
         ]
-      },
-      include: {
-        generatedBy: {
-          select: {
-            username: true,
-            name: true
-          }
-        }
       }
     });
 
+    if (!existingReport) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        code: 'REPORT_NOT_FOUND'
+      });
+    }
+
+    if (existingReport.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Report is already archived',
+        code: 'ALREADY_ARCHIVED'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.report.update({
+        where: { id: existingReport.id },
+        data: { archivedAt: new Date() }
+      }),
+      prisma.activitylog.create({
+        data: lifecycle.buildLifecycleLog({ entity: 'report', ref: existingReport.reportId, action: 'archive', userId: req.user.id })
+      })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Report archived successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/reports/:id/restore
+ * @desc    Restore a report from the recycle bin or the archive
+ * @access  Private (Admin)
+ */
+const restoreReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingReport = await prisma.report.findFirst({
+      where: {
+        OR: [
+          { id: isNaN(id) ? undefined : parseInt(id) },
+          { reportId: id }
+        ]
+      }
+    });
+
+    if (!existingReport) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        code: 'REPORT_NOT_FOUND'
+      });
+    }
+
+    if (!existingReport.deletedAt && !existingReport.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Report is neither deleted nor archived',
+        code: 'NOTHING_TO_RESTORE'
+      });
+    }
+
+    const wasDeleted = !!existingReport.deletedAt;
+
+    await prisma.$transaction([
+      prisma.report.update({
+        where: { id: existingReport.id },
+        data: lifecycle.restoreData(existingReport)
+      }),
+      prisma.activitylog.create({
+        data: lifecycle.buildLifecycleLog({ entity: 'report', ref: existingReport.reportId, action: 'restore', userId: req.user.id, wasDeleted })
+      })
+    ]);
+
+    res.json({
+      success: true,
+      message: wasDeleted ? 'Report restored from the recycle bin' : 'Report restored from the archive'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+
+/**
+ * Shared handler for report downloads
+ * `fixedFormat` pins the format (the /pdf route); otherwise ?format= is used,
+ * falling back to the format the report was generated in.
+ */
+const reportDownload = (fixedFormat) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const report = await findReportForDocument({
+      ...lifecycle.NOT_DELETED,
+      OR: [
+        { id: isNaN(id) ? undefined : parseInt(id) },
+        { reportId: id }
+      ]
+    });
+
     if (!report) {
       return res.status(404).json({
         success: false,
@@ -264,52 +783,192 @@ const downloadReportPDF = async (req, res, next) => {
       });
     }
 
-    // SIMPLE PDF GENERATION (requires no additional packages)
-    // For production, consider using packages like 'pdfkit' or 'puppeteer'
-    
-    const pdfContent = `
-    NPF CRM - Report Document
-    ========================
-
-    Report ID: ${report.reportId}
-    Type: ${report.type}
-    Generated By: ${report.generatedBy?.name || 'Unknown'}
-    Date: ${new Date(report.date).toLocaleDateString()}
-    Format: ${report.format}
-
-    Notes:
-    ${report.notes || 'No notes'}
-
-    ---
-    This is a simplified PDF representation.
-    It can be customized to suite client's needs.
-        `;
-
-        // Set headers for PDF download
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${report.reportId}.pdf"`);
-        
-        // Send as plain text (replace with actual PDF generation)
-        res.send(pdfContent);
-
-        // Log activity
-        await prisma.activitylog.create({
-          data: {
-            message: `Report ${report.reportId} downloaded`,
-            action: 'download_report',
-            userId: req.user.id,
-            metadata: JSON.stringify({ reportId: report.reportId })
-          }
-        }).catch(err => console.error('Failed to log activity:', err));
+    const requested = String(fixedFormat || req.query.format || report.format || 'pdf').toLowerCase();
+    const format = requested === 'pdf' ? 'pdf' : normalizeExportFormat(requested);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be one of: pdf, csv, excel',
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    const content = buildReportContent(report);
+    const hash = hashReportContent(content);
+
+    const issuedKey = format === 'pdf'
+      ? report.documentKey
+      : report.exports.find(e => e.format === format)?.documentKey;
+
+    if (issuedKey) {
+      // Approved reports are always served as the documents that were issued
+      const storage = getStorage();
+      if (!(await storage.exists(issuedKey))) {
+        return res.status(410).json({
+          success: false,
+          error: 'The issued document for this report is missing from storage',
+          code: 'REPORT_DOCUMENT_MISSING'
+        });
+      }
+
+      const { contentType, extension } = format === 'pdf'
+        ? { contentType: 'application/pdf', extension: 'pdf' }
+        : EXPORT_FORMATS[format];
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${report.reportId}.${extension}"`);
+      res.setHeader('X-Report-Verification-Code', report.verificationCode);
+      storage.createReadStream(issuedKey)
+        .on('error', next)
+        .pipe(res);
+    } else if (format === 'pdf') {
+      const pdf = await renderReportPdf(content, {
+        generatedBy: report.generatedBy?.name || report.generatedBy?.username || 'Unknown',
+        generatedAt: report.date,
+        hash
+      });
 
-      } catch (error) {
-        console.error('Download PDF error:', error);
-        next(error);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${report.reportId}.pdf"`);
+      res.setHeader('Content-Length', pdf.length);
+      res.send(pdf);
+    } else {
+      // Reports approved before exports were issued only have an issued PDF.
+      // Their CSV and Excel copies are built from live content, which no longer
+      // matches what was signed, so they carry no code or hash to verify.
+      await exportReport(res, {
+        format,
+        filename: report.reportId,
+        content,
+        hash: report.signature ? null : hash
+      });
+    }
+
+    // Log activity
+    await prisma.activitylog.create({
+      data: {
+        message: `Report ${report.reportId} downloaded`,
+        action: 'download_report',
+        userId: req.user.id,
+        metadata: JSON.stringify({ reportId: report.reportId, format })
       }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+  } catch (error) {
+    console.error('Download report error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/reports/:id/pdf
+ * @desc    Download report as PDF
+ * @access  Private
+ */
+const downloadReportPDF = reportDownload('pdf');
+
+/**
+ * @route   GET /api/reports/:id/download
+ * @desc    Download report as PDF, CSV or Excel (?format=, defaults to the report's format)
+ * @access  Private
+ */
+const downloadReport = reportDownload(null);
+
+/**
+ * @route   POST /api/reports/verify
+ * @desc    Check an uploaded document ("file") or a verification code ("code")
+ *          against the reports issued on approval. Issued documents are the
+ *          PDF and, for reports approved since they were introduced, the CSV
+ *          and Excel copies.
+ * @access  Private
+ */
+const verifyReport = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.file && !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a report file or enter a verification code',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const include = {
+      approvedBy: { select: { username: true, name: true } },
+      exports: { select: { format: true } }
     };
+    let report = null;
+    let matchedBy = null;
+    let codeInFile = null;
+
+    if (req.file) {
+      // The issued PDF, or a CSV / Excel copy issued with it
+      const fileHash = integrity.hashFile(req.file.buffer);
+      report = await prisma.report.findFirst({
+        where: { OR: [{ documentHash: fileHash }, { exports: { some: { documentHash: fileHash } } }] },
+        include
+      });
+      if (report) matchedBy = 'file';
+      else codeInFile = integrity.findVerificationCode(req.file.buffer);
+    }
+
+    const lookupCode = report ? null : integrity.normalizeVerificationCode(code || codeInFile);
+    if (lookupCode) {
+      report = await prisma.report.findUnique({ where: { verificationCode: lookupCode }, include });
+      if (report) matchedBy = 'code';
+    }
 
+    const signatureValid = report ? integrity.isSignatureValid(report) : false;
+    // A file that only carries a valid code is not the issued document
+    const verified = signatureValid && !(req.file && matchedBy === 'code');
+
+    let message;
+    if (!report) {
+      message = req.file ? 'This file does not match any issued report' : 'No issued report has this verification code';
+    } else if (!signatureValid) {
+      message = `The stored signature for report ${report.reportId} is invalid; its record may have been tampered with`;
+    } else if (!verified && report.exports.length === 0) {
+      // Approved before CSV and Excel copies were issued: there is nothing to compare the file with
+      message = `This file carries the code of report ${report.reportId}, but only its issued PDF can be verified; compare the file with that PDF`;
+    } else if (!verified) {
+      message = `This file carries the code of report ${report.reportId} but is not one of the documents issued for it; it may have been altered`;
+    } else {
+      message = `Matches report ${report.reportId}, issued ${report.signedAt.toISOString()}`;
+    }
+
+    await prisma.activitylog.create({
+      data: {
+        message: `Report verification: ${message}`,
+        action: 'verify_report',
+        userId: req.user.id,
+        metadata: JSON.stringify({ reportId: report?.reportId || null, matchedBy, verified })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
 
+    res.json({
+      success: true,
+      data: {
+        verified,
+        matchedBy,
+        message,
+        report: report ? {
+          reportId: report.reportId,
+          type: report.type,
+          periodStart: report.periodStart,
+          periodEnd: report.periodEnd,
+          approvedBy: report.approvedBy ? (report.approvedBy.name || report.approvedBy.username) : null,
+          signedAt: report.signedAt,
+          contentHash: report.contentHash,
+          verificationCode: report.verificationCode,
+          deleted: !!report.deletedAt
+        } : null
+      }
+    });
 
+  } catch (error) {
+    next(error);
+  }
+};
 
 // ============================================================================
 //  MODULE EXPORTS
@@ -319,7 +978,16 @@ module.exports = {
   getReports,
   getReportById,
   createReport,
+  updateReport,
+  submitReport,
+  withdrawReport,
+  approveReport,
+  rejectReport,
   deleteReport,
-  downloadReportPDF 
+  archiveReport,
+  restoreReport,
+  downloadReportPDF,
+  downloadReport,
+  verifyReport
 };
 // ============================================================================
\ No newline at end of file
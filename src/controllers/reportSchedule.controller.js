@@ -0,0 +1,206 @@
+// src/controllers/reportSchedule.controller.js
+
+const { prisma } = require('../config/db');
+const { SCHEDULE_STATUSES } = require('../config/reportSchedules');
+const { nextCronRun } = require('../services/cron');
+const { validateSchedule, formatSchedule } = require('../services/reportSchedules');
+
+const ownerSelect = { select: { username: true, name: true } };
+
+/**
+ * Find a schedule the user may manage: their own, or any for admins
+ * Returns the schedule or sends the error response and returns null.
+ */
+const findManagedSchedule = async (req, res) => {
+  const schedule = await prisma.reportSchedule.findUnique({
+    where: { id: parseInt(req.params.id) || 0 },
+    include: { owner: ownerSelect }
+  });
+
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      error: 'Report schedule not found',
+      code: 'SCHEDULE_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (schedule.ownerId !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Only the schedule owner or an admin can change this schedule',
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return schedule;
+};
+
+/**
+ * @route   GET /api/report-schedules
+ * @desc    List report schedules (own schedules; admins see all) (?status=)
+ * @access  Private
+ */
+const getSchedules = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const where = {};
+    if (req.user.role !== 'admin') where.ownerId = req.user.id;
+    if (status && SCHEDULE_STATUSES.includes(status)) where.status = status;
+
+    const schedules = await prisma.reportSchedule.findMany({
+      where,
+      include: { owner: ownerSelect },
+      orderBy: { id: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      data: schedules.map(formatSchedule)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/report-schedules
+ * @desc    Create a schedule (name, reportType, recurrence, period, format, parameters, recipients)
+ * @access  Private
+ */
+const createSchedule = async (req, res, next) => {
+  try {
+    const result = validateSchedule(req.body);
+    if (result.error) {
+      const { statusCode, ...body } = result.error;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const schedule = await prisma.reportSchedule.create({
+      data: { ...result.data, ownerId: req.user.id },
+      include: { owner: ownerSelect }
+    });
+
+    await prisma.activitylog.create({
+      data: {
+        message: `Report schedule "${schedule.name}" created (${schedule.reportType}, ${schedule.recurrence})`,
+        action: 'create_report_schedule',
+        userId: req.user.id,
+        metadata: JSON.stringify({ scheduleId: schedule.id })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.status(201).json({
+      success: true,
+      message: 'Report schedule created successfully',
+      data: formatSchedule(schedule)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shared handler for pause and resume
+ * Resuming picks the next occurrence from now, so runs missed while paused are skipped.
+ */
+const setScheduleStatus = (status) => async (req, res, next) => {
+  try {
+    const existing = await findManagedSchedule(req, res);
+    if (!existing) return;
+
+    if (existing.status === status) {
+      return res.status(400).json({
+        success: false,
+        error: `Schedule is already ${status}`,
+        code: status === 'paused' ? 'ALREADY_PAUSED' : 'ALREADY_ACTIVE'
+      });
+    }
+
+    const schedule = await prisma.reportSchedule.update({
+      where: { id: existing.id },
+      data: {
+        status,
+        nextRunAt: status === 'active' ? nextCronRun(existing.recurrence) : existing.nextRunAt
+      },
+      include: { owner: ownerSelect }
+    });
+
+    await prisma.activitylog.create({
+      data: {
+        message: `Report schedule "${schedule.name}" ${status === 'paused' ? 'paused' : 'resumed'}`,
+        action: status === 'paused' ? 'pause_report_schedule' : 'resume_report_schedule',
+        userId: req.user.id,
+        metadata: JSON.stringify({ scheduleId: schedule.id })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.json({
+      success: true,
+      message: `Report schedule ${status === 'paused' ? 'paused' : 'resumed'}`,
+      data: formatSchedule(schedule)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/report-schedules/:id/pause
+ * @desc    Stop a schedule from running until it is resumed
+ * @access  Private (Owner or Admin)
+ */
+const pauseSchedule = setScheduleStatus('paused');
+
+/**
+ * @route   POST /api/report-schedules/:id/resume
+ * @desc    Resume a paused schedule
+ * @access  Private (Owner or Admin)
+ */
+const resumeSchedule = setScheduleStatus('active');
+
+/**
+ * @route   DELETE /api/report-schedules/:id
+ * @desc    Delete a schedule (reports it already generated are kept)
+ * @access  Private (Owner or Admin)
+ */
+const deleteSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findManagedSchedule(req, res);
+    if (!schedule) return;
+
+    await prisma.reportSchedule.delete({ where: { id: schedule.id } });
+
+    await prisma.activitylog.create({
+      data: {
+        message: `Report schedule "${schedule.name}" deleted`,
+        action: 'delete_report_schedule',
+        userId: req.user.id,
+        metadata: JSON.stringify({ scheduleId: schedule.id })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.json({
+      success: true,
+      message: 'Report schedule deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSchedules,
+  createSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule
+};
@@ -0,0 +1,175 @@
+// src/controllers/retention.controller.js
+
+const { prisma } = require('../config/db');
+const { validatePolicy, formatPolicy, runRetention } = require('../services/retention');
+
+const updatedBySelect = { select: { username: true, name: true } };
+
+/**
+ * Format a retention run for the API response
+ */
+const formatRun = (run) => ({
+  id: run.id,
+  dryRun: run.dryRun,
+  triggeredBy: run.triggeredBy ? (run.triggeredBy.name || run.triggeredBy.username) : 'Scheduled job',
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  summary: typeof run.summary === 'string' ? JSON.parse(run.summary) : run.summary
+});
+
+/**
+ * @route   GET /api/retention/policies
+ * @desc    List retention policies
+ * @access  Private (Admin)
+ */
+const getPolicies = async (req, res, next) => {
+  try {
+    const policies = await prisma.retentionPolicy.findMany({
+      include: { updatedBy: updatedBySelect },
+      orderBy: { id: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      count: policies.length,
+      data: policies.map(formatPolicy)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/retention/policies/:recordType
+ * @desc    Update a retention policy (action, retentionDays, enabled)
+ * @access  Private (Admin)
+ */
+const updatePolicy = async (req, res, next) => {
+  try {
+    const { recordType } = req.params;
+    const { action, retentionDays, enabled } = req.body;
+
+    const invalid = validatePolicy(recordType, { action, retentionDays });
+    if (invalid) {
+      const { statusCode, ...body } = invalid;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const existing = await prisma.retentionPolicy.findUnique({ where: { recordType } });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Retention policy not found',
+        code: 'POLICY_NOT_FOUND'
+      });
+    }
+
+    const data = { updatedById: req.user.id };
+    if (action !== undefined) data.action = action;
+    if (retentionDays !== undefined) data.retentionDays = parseInt(retentionDays);
+    if (enabled !== undefined) data.enabled = Boolean(enabled);
+
+    const policy = await prisma.retentionPolicy.update({
+      where: { recordType },
+      data,
+      include: { updatedBy: updatedBySelect }
+    });
+
+    await prisma.activitylog.create({
+      data: {
+        message: `Retention policy for ${recordType} updated: ${policy.enabled ? `${policy.action} after ${policy.retentionDays} days` : 'disabled'}`,
+        action: 'update_retention_policy',
+        userId: req.user.id,
+        metadata: JSON.stringify({
+          recordType,
+          before: { action: existing.action, retentionDays: existing.retentionDays, enabled: existing.enabled },
+          after: { action: policy.action, retentionDays: policy.retentionDays, enabled: policy.enabled }
+        })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    res.json({
+      success: true,
+      message: 'Retention policy updated successfully',
+      data: formatPolicy(policy)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shared handler for preview and run
+ */
+const startRun = (dryRun) => async (req, res, next) => {
+  try {
+    const run = await runRetention(prisma, { dryRun, userId: req.user.id });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'A retention run is already in progress',
+        code: 'RETENTION_RUNNING'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Retention preview generated' : 'Retention run completed',
+      data: formatRun(run)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/retention/preview
+ * @desc    Dry run: report what the enabled policies would archive or purge
+ * @access  Private (Admin)
+ */
+const previewRetention = startRun(true);
+
+/**
+ * @route   POST /api/retention/run
+ * @desc    Apply the enabled retention policies now
+ * @access  Private (Admin)
+ */
+const runRetentionNow = startRun(false);
+
+/**
+ * @route   GET /api/retention/runs
+ * @desc    Recent retention runs and previews (?limit=)
+ * @access  Private (Admin)
+ */
+const getRuns = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const runs = await prisma.retentionRun.findMany({
+      include: { triggeredBy: updatedBySelect },
+      orderBy: { startedAt: 'desc' },
+      take: limit
+    });
+
+    res.json({
+      success: true,
+      count: runs.length,
+      data: runs.map(formatRun)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPolicies,
+  updatePolicy,
+  previewRetention,
+  runRetentionNow,
+  getRuns
+};
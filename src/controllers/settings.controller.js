@@ -0,0 +1,131 @@
+// src/controllers/settings.controller.js
+
+const { prisma } = require('../config/db');
+const { SETTINGS } = require('../config/settings');
+const {
+  validateSettings,
+  getSystemSettings,
+  getUserPreferences,
+  settingsUpserts
+} = require('../services/settings');
+
+/**
+ * Allowed values for each key, so the Settings page can build its controls
+ */
+const describeScope = (scope) => Object.fromEntries(
+  Object.entries(SETTINGS[scope]).map(([key, def]) => [key, {
+    type: def.type,
+    default: def.default,
+    ...(def.values ? { values: def.values } : {})
+  }])
+);
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get system settings and the current user's preferences
+ * @access  Private
+ */
+const getSettings = async (req, res, next) => {
+  try {
+    const [system, preferences] = await Promise.all([
+      getSystemSettings(prisma),
+      getUserPreferences(prisma, req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        system,
+        preferences,
+        definitions: {
+          system: describeScope('system'),
+          user: describeScope('user')
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/settings
+ * @desc    Update settings: { system: {...} } (admin only) and/or { preferences: {...} }
+ * @access  Private
+ */
+const updateSettings = async (req, res, next) => {
+  try {
+    const { system, preferences } = req.body;
+
+    if (system === undefined && preferences === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update',
+        code: 'NO_CHANGES'
+      });
+    }
+
+    if (system !== undefined && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required to change system settings',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const invalid = (system !== undefined && validateSettings('system', system))
+      || (preferences !== undefined && validateSettings('user', preferences));
+    if (invalid) {
+      const { statusCode, ...body } = invalid;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const before = system ? await getSystemSettings(prisma) : null;
+
+    await prisma.$transaction([
+      ...(system ? settingsUpserts(prisma, 'system', system, req.user.id) : []),
+      ...(preferences ? settingsUpserts(prisma, 'user', preferences, req.user.id) : [])
+    ]);
+
+    const changed = system
+      ? Object.keys(system).filter(key => before[key] !== system[key])
+      : [];
+
+    if (changed.length > 0) {
+      await prisma.activitylog.create({
+        data: {
+          message: `System settings updated: ${changed.join(', ')}`,
+          action: 'update_settings',
+          userId: req.user.id,
+          metadata: JSON.stringify({
+            before: Object.fromEntries(changed.map(key => [key, before[key]])),
+            after: Object.fromEntries(changed.map(key => [key, system[key]]))
+          })
+        }
+      }).catch(err => console.error('Failed to log activity:', err));
+    }
+
+    const [updatedSystem, updatedPreferences] = await Promise.all([
+      getSystemSettings(prisma),
+      getUserPreferences(prisma, req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Settings saved successfully',
+      data: {
+        system: updatedSystem,
+        preferences: updatedPreferences
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings
+};
@@ -3,6 +3,9 @@
 const bcrypt = require('bcryptjs');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const officers = require('../services/officers');
+const { queueEmail } = require('../services/email');
+const { normalizeExportFormat, exportList } = require('../services/tabularExport');
 
 /**
  * Generate random password
@@ -16,6 +19,26 @@ const generateRandomPassword = (length = 10) => {
   return password;
 };
 
+/**
+ * Build the user list filter from query parameters (shared by list and export)
+ */
+const buildUserFilter = (query) => {
+  const { role, status, search } = query;
+
+  const where = {};
+  if (role) where.role = role;
+  if (status) where.status = status;
+  if (search) {
+    where.OR = [
+      { username: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+      { name: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  return where;
+};
+
 /**
  * @route   GET /api/users
  * @desc    Get all users
@@ -23,19 +46,7 @@ const generateRandomPassword = (length = 10) => {
  */
 const getUsers = async (req, res, next) => {
   try {
-    const { role, status, search } = req.query;
-
-    // Build filter
-    const where = {};
-    if (role) where.role = role;
-    if (status) where.status = status;
-    if (search) {
-      where.OR = [
-        { username: { contains: search, mode: 'insensitive' } },
-        { email: { contains: search, mode: 'insensitive' } },
-        { name: { contains: search, mode: 'insensitive' } }
-      ];
-    }
+    const where = buildUserFilter(req.query);
 
     const users = await prisma.user.findMany({
       where,
@@ -65,6 +76,59 @@ const getUsers = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/users/export
+ * @desc    Export the user list as CSV or Excel (?format=csv|excel, same filters as GET /api/users)
+ * @access  Private (Admin)
+ */
+const exportUsers = async (req, res, next) => {
+  try {
+    const format = normalizeExportFormat(req.query.format || 'csv');
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be one of: csv, excel',
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    await exportList(res, {
+      format,
+      filename: `users-${new Date().toISOString().slice(0, 10)}`,
+      delegate: prisma.user,
+      args: {
+        where: buildUserFilter(req.query),
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          role: true,
+          name: true,
+          department: true,
+          status: true,
+          lastLogin: true,
+          createdAt: true
+        },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+      },
+      columns: [
+        { header: 'Username', value: u => u.username },
+        { header: 'Name', value: u => u.name },
+        { header: 'Email', value: u => u.email },
+        { header: 'Role', value: u => u.role },
+        { header: 'Department', value: u => u.department },
+        { header: 'Status', value: u => u.status },
+        { header: 'Last login', value: u => u.lastLogin },
+        { header: 'Created', value: u => u.createdAt }
+      ]
+    });
+
+  } catch (error) {
+    console.error('Export users error:', error);
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
@@ -110,7 +174,7 @@ const getUserById = async (req, res, next) => {
 
 /**
  * @route   POST /api/users
- * @desc    Create new user (Admin creates user with auto-generated password)
+ * @desc    Create new user (Admin creates user with auto-generated password, emailed to them)
  * @access  Private (Admin)
  */
 const createUser = async (req, res, next) => {
@@ -164,39 +228,52 @@ const createUser = async (req, res, next) => {
     const generatedPassword = generateRandomPassword(10);
     const hashedPassword = await bcrypt.hash(generatedPassword, 10);
 
-    // Create user
-    const user = await prisma.user.create({
-      data: {
-        username,
-        email,
-        password: hashedPassword, // Using 'password' field (not passwordHash)
-        role: role || 'officer',
-        name: name || username,
-        department: department || 'General',
-        status: 'active'
-      },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        role: true,
-        name: true,
-        department: true,
-        status: true,
-        createdAt: true
-      }
+    // Create user and queue their login details together, so an account
+    // is never left without a way to learn its password
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({
+        data: {
+          username,
+          email,
+          password: hashedPassword, // Using 'password' field (not passwordHash)
+          role: role || 'officer',
+          name: name || username,
+          department: department || 'General',
+          status: 'active'
+        },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          role: true,
+          name: true,
+          department: true,
+          status: true,
+          createdAt: true
+        }
+      });
+
+      await queueEmail(tx, {
+        template: 'welcome',
+        to: created.email,
+        data: { name: created.name, username: created.username, password: generatedPassword }
+      });
+
+      return created;
     });
 
     console.log('User created:', user.username);
 
-    // Return user with the generated password (only shown once!)
+    // Link the officer record with the same email, if there is one
+    const linkedOfficer = await officers.linkOfficerByEmail(prisma, user.id, user.email);
+
     res.status(201).json({
       success: true,
       data: {
         ...user,
-        generatedPassword  // This is shown ONCE to the admin
+        officerBadge: linkedOfficer?.badge ?? null
       },
-      message: 'User created successfully. Please save the generated password - it will only be shown once!'
+      message: `User created successfully. Login details have been emailed to ${user.email}`
     });
 
   } catch (error) {
@@ -321,6 +398,7 @@ const deleteUser = async (req, res, next) => {
 
 module.exports = {
   getUsers,
+  exportUsers,
   getUserById,
   createUser,
   updateUser,
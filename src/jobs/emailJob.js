@@ -0,0 +1,20 @@
+// src/jobs/emailJob.js
+
+const { prisma } = require('../config/db');
+const { EMAIL_JOB } = require('../config/email');
+const { sendQueuedEmails } = require('../services/email');
+
+/**
+ * Send queued emails that are due, including retries
+ */
+const runEmailJob = async () => {
+  const sent = await sendQueuedEmails(prisma);
+  if (sent > 0) console.log(`Sent ${sent} email(s)`);
+};
+
+module.exports = {
+  name: 'email',
+  enabled: EMAIL_JOB.enabled,
+  intervalMs: EMAIL_JOB.intervalMinutes * 60 * 1000,
+  run: runEmailJob
+};
@@ -0,0 +1,35 @@
+// src/jobs/index.js
+
+const retentionJob = require('./retentionJob');
+const reportScheduleJob = require('./reportScheduleJob');
+const emailJob = require('./emailJob');
+
+const JOBS = [retentionJob, reportScheduleJob, emailJob];
+
+/**
+ * Start every enabled background job on its interval
+ * A job that is still running when its next tick comes round is skipped
+ * rather than run twice. Timers are unref'd so they never keep the process alive.
+ */
+const startScheduledJobs = () => {
+  JOBS.filter(job => job.enabled).forEach(job => {
+    let busy = false;
+
+    const tick = async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error);
+      } finally {
+        busy = false;
+      }
+    };
+
+    setInterval(tick, job.intervalMs).unref();
+    console.log(`Scheduled job "${job.name}" every ${job.intervalMs / 60000} minutes`);
+  });
+};
+
+module.exports = { startScheduledJobs };
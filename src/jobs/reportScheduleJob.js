@@ -0,0 +1,20 @@
+// src/jobs/reportScheduleJob.js
+
+const { prisma } = require('../config/db');
+const { REPORT_SCHEDULE_JOB } = require('../config/reportSchedules');
+const { runDueSchedules } = require('../services/reportSchedules');
+
+/**
+ * Generate the reports of every schedule that has come due
+ */
+const runReportScheduleJob = async () => {
+  const generated = await runDueSchedules(prisma);
+  if (generated > 0) console.log(`Generated ${generated} scheduled report(s)`);
+};
+
+module.exports = {
+  name: 'report-schedules',
+  enabled: REPORT_SCHEDULE_JOB.enabled,
+  intervalMs: REPORT_SCHEDULE_JOB.intervalMinutes * 60 * 1000,
+  run: runReportScheduleJob
+};
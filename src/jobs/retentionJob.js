@@ -0,0 +1,21 @@
+// src/jobs/retentionJob.js
+
+const { prisma } = require('../config/db');
+const { RETENTION_JOB } = require('../config/retention');
+const { runRetention } = require('../services/retention');
+
+/**
+ * Apply the enabled retention policies
+ * Runs with no user, so the run is recorded as triggered by the scheduler.
+ */
+const runRetentionJob = async () => {
+  const run = await runRetention(prisma, { dryRun: false });
+  if (run) console.log(`Retention run #${run.id} completed`);
+};
+
+module.exports = {
+  name: 'retention',
+  enabled: RETENTION_JOB.enabled,
+  intervalMs: RETENTION_JOB.intervalHours * 60 * 60 * 1000,
+  run: runRetentionJob
+};
@@ -55,8 +55,9 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Attach user to request; long-lived connections check the expiry again later
     req.user = user;
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
     next();
 
   } catch (error) {
@@ -85,5 +86,17 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Accept the token as a `token` query parameter when there is no
+ * Authorization header. Only for endpoints the browser opens itself
+ * (EventSource can't send headers); place it before `authenticate`.
+ */
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 
-module.exports = { authenticate };
\ No newline at end of file
+module.exports = { authenticate, acceptQueryToken };
\ No newline at end of file
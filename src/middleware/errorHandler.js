@@ -25,6 +25,15 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Upload errors
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: err.message,
+      code: err.code
+    });
+  }
+
   // Validation errors
   if (err.name === 'ValidationError') {
     return res.status(400).json({
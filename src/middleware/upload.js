@@ -0,0 +1,26 @@
+// src/middleware/upload.js
+
+const multer = require('multer');
+
+const MAX_FILE_MB = parseInt(process.env.EVIDENCE_MAX_FILE_MB) || 25;
+const MAX_REPORT_FILE_MB = 50;
+
+/**
+ * Accept a single evidence file in the "file" field
+ * Files are kept in memory so they can be hashed before reaching storage
+ */
+const uploadEvidenceFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 1 }
+}).single('file');
+
+/**
+ * Accept an optional report document in the "file" field, for verification
+ */
+const uploadReportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_REPORT_FILE_MB * 1024 * 1024, files: 1 }
+}).single('file');
+
+
+module.exports = { uploadEvidenceFile, uploadReportFile };
@@ -0,0 +1,15 @@
+// src/routes/analyticsRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analytics.controller.js');
+const { authenticate } = require('../middleware/auth');
+
+
+router.get('/', authenticate, analyticsController.getAnalytics);
+router.get('/summary', authenticate, analyticsController.getAnalyticsSummary);
+router.get('/case-trends', authenticate, analyticsController.getCaseTrends);
+router.get('/officer-performance', authenticate, analyticsController.getOfficerPerformance);
+
+
+module.exports = router;
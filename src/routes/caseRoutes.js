@@ -3,16 +3,39 @@
 const express = require('express');
 const router = express.Router();
 const caseController = require('../controllers/case.controller.js');
+const caseNoteController = require('../controllers/caseNote.controller.js');
+const evidenceController = require('../controllers/evidence.controller.js');
+const personController = require('../controllers/person.controller.js');
 const { authenticate } = require('../middleware/auth');
+const { uploadEvidenceFile } = require('../middleware/upload');
 const { requireAdmin } = require('../middleware/admin');
 
 
 router.get('/', authenticate, caseController.getCases);
 router.get('/statistics', authenticate, caseController.getCaseStatistics);
+router.get('/workflow', authenticate, caseController.getCaseWorkflow);
+router.get('/export', authenticate, caseController.exportCases);
+router.get('/assignment-suggestions', authenticate, caseController.getNewCaseAssignmentSuggestions);
 router.get('/:id', authenticate, caseController.getCaseById);
+router.get('/:id/history', authenticate, caseController.getCaseHistory);
+router.get('/:id/assignment-suggestions', authenticate, caseController.getAssignmentSuggestions);
+router.get('/:id/timeline', authenticate, caseNoteController.getCaseTimeline);
+router.get('/:id/notes', authenticate, caseNoteController.getCaseNotes);
+router.post('/:id/notes', authenticate, caseNoteController.createCaseNote);
+router.patch('/:id/notes/:noteId', authenticate, caseNoteController.updateCaseNote);
+router.post('/:id/notes/:noteId/redact', authenticate, caseNoteController.redactCaseNote);
+router.get('/:id/evidence', authenticate, evidenceController.getCaseEvidence);
+router.post('/:id/evidence', authenticate, uploadEvidenceFile, evidenceController.uploadEvidence);
+router.get('/:id/persons', authenticate, personController.getCasePersons);
+router.post('/:id/persons', authenticate, personController.addCasePerson);
+router.delete('/:id/persons/:linkId', authenticate, personController.removeCasePerson);
 router.post('/', authenticate, caseController.createCase);
 router.patch('/:id', authenticate, caseController.updateCase);
 router.delete('/:id', authenticate, requireAdmin, caseController.deleteCase);
+router.post('/:id/archive', authenticate, requireAdmin, caseController.archiveCase);
+router.post('/:id/restore', authenticate, requireAdmin, caseController.restoreCase);
+router.post('/:id/legal-hold', authenticate, requireAdmin, caseController.placeLegalHold);
+router.delete('/:id/legal-hold', authenticate, requireAdmin, caseController.releaseLegalHold);
 
 
 module.exports = router;
\ No newline at end of file
@@ -10,10 +10,14 @@ const { authenticate } = require('../middleware/auth');
 /**
  * All dashboard routes require authentication
  * Base path: /api/dashboard
+ *
+ * The case panels share the same scope parameters: department and unit
+ * (of the assigned officer) and a from / to date range (YYYY-MM-DD).
  */
 
-// GET /api/dashboard/statistics
+// GET /api/dashboard/statistics?department=&unit=&from=&to=
 // Returns: { total, open, resolved, investigation, priority }
+// (plus period and previous when a date range is given)
 
 router.get('/statistics', authenticate, dashboardController.getDashboardStatistics);
 
@@ -22,18 +26,18 @@ router.get('/statistics', authenticate, dashboardController.getDashboardStatisti
 
 router.get('/recent-activity', authenticate, dashboardController.getRecentActivity);
 
-// GET /api/dashboard/case-distribution
+// GET /api/dashboard/case-distribution?department=&unit=&from=&to=
 // Returns: Array of case types with count, trend, trendDirection, resolutionRate
 
 router.get('/case-distribution', authenticate, dashboardController.getCaseDistribution);
 
-// GET /api/dashboard/recent-cases
-// Returns: Array of 5 most recent cases with caseId, type, status, priority, officer
+// GET /api/dashboard/recent-cases?limit=5&department=&unit=&from=&to=
+// Returns: Array of the most recent cases with caseId, type, status, priority, officer
 
 router.get('/recent-cases', authenticate, dashboardController.getRecentCases);
 
-// GET /api/dashboard/personnel-status
-// Returns: Array of 4 officers with badge, name, status, activeCases
+// GET /api/dashboard/personnel-status?limit=4&department=&unit=&from=&to=
+// Returns: Array of officers (most active first) with badge, name, status, activeCases
 
 router.get('/personnel-status', authenticate, dashboardController.getPersonnelStatus);
 
@@ -0,0 +1,12 @@
+// src/routes/eventRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const eventsController = require('../controllers/events.controller.js');
+const { authenticate, acceptQueryToken } = require('../middleware/auth');
+
+
+router.get('/', acceptQueryToken, authenticate, eventsController.streamEvents);
+
+
+module.exports = router;
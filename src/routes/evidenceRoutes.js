@@ -0,0 +1,17 @@
+// src/routes/evidenceRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const evidenceController = require('../controllers/evidence.controller.js');
+const { authenticate } = require('../middleware/auth');
+
+
+router.get('/:id', authenticate, evidenceController.getEvidenceById);
+router.get('/:id/download', authenticate, evidenceController.downloadEvidence);
+router.get('/:id/verify', authenticate, evidenceController.verifyEvidence);
+router.post('/:id/checkout', authenticate, evidenceController.checkOutEvidence);
+router.post('/:id/checkin', authenticate, evidenceController.checkInEvidence);
+router.post('/:id/transfer', authenticate, evidenceController.transferEvidence);
+
+
+module.exports = router;
@@ -9,10 +9,13 @@ const { requireAdmin } = require('../middleware/admin');
 
 router.get('/', authenticate, incidentController.getIncidents);
 router.get('/statistics', authenticate, incidentController.getIncidentStatistics);
+router.get('/export', authenticate, incidentController.exportIncidents);
 router.get('/:id', authenticate, incidentController.getIncidentById);
 router.post('/', authenticate, incidentController.createIncident);
 router.patch('/:id', authenticate, incidentController.updateIncident);
 router.delete('/:id', authenticate, requireAdmin, incidentController.deleteIncident);
+router.post('/:id/archive', authenticate, requireAdmin, incidentController.archiveIncident);
+router.post('/:id/restore', authenticate, requireAdmin, incidentController.restoreIncident);
 
 
 module.exports = router;
\ No newline at end of file
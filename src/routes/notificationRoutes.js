@@ -0,0 +1,14 @@
+// src/routes/notificationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification.controller.js');
+const { authenticate } = require('../middleware/auth');
+
+
+router.get('/', authenticate, notificationController.getNotifications);
+router.post('/read-all', authenticate, notificationController.markAllNotificationsRead);
+router.post('/:id/read', authenticate, notificationController.markNotificationRead);
+
+
+module.exports = router;
@@ -9,8 +9,10 @@ const { requireAdmin } = require('../middleware/admin');
 
 router.get('/', authenticate, officerController.getOfficers);
 router.get('/statistics', authenticate, officerController.getOfficerStatistics);
+router.get('/export', authenticate, officerController.exportOfficers);
 router.get('/:badge', authenticate, officerController.getOfficerByBadge);
 router.post('/', authenticate, requireAdmin, officerController.createOfficer);
+router.post('/recompute-caseloads', authenticate, requireAdmin, officerController.recomputeOfficerCaseloads);
 router.patch('/:badge', authenticate, requireAdmin, officerController.updateOfficer);
 router.delete('/:badge', authenticate, requireAdmin, officerController.deleteOfficer);
 
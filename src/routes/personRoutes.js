@@ -0,0 +1,16 @@
+// src/routes/personRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const personController = require('../controllers/person.controller.js');
+const { authenticate } = require('../middleware/auth');
+
+
+router.get('/', authenticate, personController.getPersons);
+router.get('/:id', authenticate, personController.getPersonById);
+router.get('/:id/cases', authenticate, personController.getPersonCases);
+router.post('/', authenticate, personController.createPerson);
+router.patch('/:id', authenticate, personController.updatePerson);
+
+
+module.exports = router;
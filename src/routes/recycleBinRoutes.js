@@ -0,0 +1,13 @@
+// src/routes/recycleBinRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const recycleBinController = require('../controllers/recycleBin.controller.js');
+const { authenticate } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/admin');
+
+
+router.get('/', authenticate, requireAdmin, recycleBinController.getRecycleBin);
+
+
+module.exports = router;
@@ -5,13 +5,23 @@ const router = express.Router();
 const reportController = require('../controllers/report.controller.js');
 const { authenticate } = require('../middleware/auth');
 const { requireAdmin } = require('../middleware/admin');
+const { uploadReportFile } = require('../middleware/upload');
 
 
 router.get('/', authenticate, reportController.getReports);
+router.post('/verify', authenticate, uploadReportFile, reportController.verifyReport);
 router.get('/:id', authenticate, reportController.getReportById);
 router.get('/:id/pdf', authenticate, reportController.downloadReportPDF);
+router.get('/:id/download', authenticate, reportController.downloadReport);
 router.post('/', authenticate, reportController.createReport);
+router.put('/:id', authenticate, reportController.updateReport);
+router.post('/:id/submit', authenticate, reportController.submitReport);
+router.post('/:id/withdraw', authenticate, reportController.withdrawReport);
+router.post('/:id/approve', authenticate, reportController.approveReport);
+router.post('/:id/reject', authenticate, reportController.rejectReport);
 router.delete('/:id', authenticate, requireAdmin, reportController.deleteReport);
+router.post('/:id/archive', authenticate, requireAdmin, reportController.archiveReport);
+router.post('/:id/restore', authenticate, requireAdmin, reportController.restoreReport);
 
 
 
@@ -0,0 +1,16 @@
+// src/routes/reportScheduleRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const reportScheduleController = require('../controllers/reportSchedule.controller.js');
+const { authenticate } = require('../middleware/auth');
+
+
+router.get('/', authenticate, reportScheduleController.getSchedules);
+router.post('/', authenticate, reportScheduleController.createSchedule);
+router.post('/:id/pause', authenticate, reportScheduleController.pauseSchedule);
+router.post('/:id/resume', authenticate, reportScheduleController.resumeSchedule);
+router.delete('/:id', authenticate, reportScheduleController.deleteSchedule);
+
+
+module.exports = router;
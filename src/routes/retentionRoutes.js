@@ -0,0 +1,17 @@
+// src/routes/retentionRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const retentionController = require('../controllers/retention.controller.js');
+const { authenticate } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/admin');
+
+
+router.get('/policies', authenticate, requireAdmin, retentionController.getPolicies);
+router.put('/policies/:recordType', authenticate, requireAdmin, retentionController.updatePolicy);
+router.post('/preview', authenticate, requireAdmin, retentionController.previewRetention);
+router.post('/run', authenticate, requireAdmin, retentionController.runRetentionNow);
+router.get('/runs', authenticate, requireAdmin, retentionController.getRuns);
+
+
+module.exports = router;
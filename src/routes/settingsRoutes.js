@@ -0,0 +1,13 @@
+// src/routes/settingsRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settings.controller.js');
+const { authenticate } = require('../middleware/auth');
+
+
+router.get('/', authenticate, settingsController.getSettings);
+router.put('/', authenticate, settingsController.updateSettings);
+
+
+module.exports = router;
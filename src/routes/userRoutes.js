@@ -8,6 +8,7 @@ const { requireAdmin } = require('../middleware/admin');
 
 
 router.get('/', authenticate, requireAdmin, userController.getUsers);
+router.get('/export', authenticate, requireAdmin, userController.exportUsers);
 router.get('/:id', authenticate, userController.getUserById);
 router.post('/', authenticate, requireAdmin, userController.createUser);
 router.patch('/:id', authenticate, userController.updateUser);
@@ -0,0 +1,263 @@
+// src/services/analytics.js
+
+const { Prisma } = require('@prisma/client');
+const workflow = require('./caseWorkflow');
+const { NOT_DELETED } = require('./recordLifecycle');
+const { TREND_PERIODS } = require('../config/analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+const roundDays = (ms) => Math.round((ms / DAY_MS) * 10) / 10;
+
+/**
+ * Start of the bucket containing `date` (UTC; weeks start on Monday)
+ */
+const bucketStart = (period, date) => {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+  const d = date.getUTCDate();
+
+  if (period === 'month') return new Date(Date.UTC(y, m, 1));
+  if (period === 'week') return new Date(Date.UTC(y, m, d - ((date.getUTCDay() + 6) % 7)));
+  return new Date(Date.UTC(y, m, d));
+};
+
+/**
+ * Move a bucket start `count` buckets forward (or back when negative)
+ */
+const shiftBucket = (period, start, count) => {
+  const y = start.getUTCFullYear();
+  const m = start.getUTCMonth();
+  const d = start.getUTCDate();
+
+  if (period === 'month') return new Date(Date.UTC(y, m + count, 1));
+  return new Date(Date.UTC(y, m, d + count * (period === 'week' ? 7 : 1)));
+};
+
+const bucketLabel = (period, start) => start.toISOString().slice(0, period === 'month' ? 7 : 10);
+
+/**
+ * SQL for the label of the bucket containing a DATETIME column, matching
+ * bucketLabel() (dates are stored in UTC)
+ */
+const bucketLabelSql = (period, column) => {
+  if (period === 'month') return Prisma.sql`DATE_FORMAT(${Prisma.raw(column)}, '%Y-%m')`;
+  if (period === 'week') return Prisma.sql`DATE_FORMAT(DATE_SUB(DATE(${Prisma.raw(column)}), INTERVAL WEEKDAY(${Prisma.raw(column)}) DAY), '%Y-%m-%d')`;
+  return Prisma.sql`DATE_FORMAT(${Prisma.raw(column)}, '%Y-%m-%d')`;
+};
+
+/**
+ * SQL condition for status changes (`ch`) that moved a case into the resolved group
+ * Moves within the group (resolved -> closed) are not a second resolution.
+ */
+const resolutionChangeSql = () => {
+  const resolvedStatuses = Prisma.join(workflow.getStatusesInGroup('resolved'));
+  return Prisma.sql`ch.field = 'status' AND ch.newValue IN (${resolvedStatuses}) AND ch.oldValue NOT IN (${resolvedStatuses})`;
+};
+
+/**
+ * Cases reported and cases resolved per bucket, oldest bucket first
+ */
+const caseTrends = async (client, period, now = new Date()) => {
+  const { buckets } = TREND_PERIODS[period];
+  const current = bucketStart(period, now);
+  const from = shiftBucket(period, current, -(buckets - 1));
+  const to = shiftBucket(period, current, 1);
+
+  const [reported, resolved] = await Promise.all([
+    client.$queryRaw`
+      SELECT ${bucketLabelSql(period, 'c.reported')} AS label, COUNT(*) AS count
+      FROM cases c
+      WHERE c.deletedAt IS NULL AND c.reported >= ${from} AND c.reported < ${to}
+      GROUP BY label`,
+    client.$queryRaw`
+      SELECT ${bucketLabelSql(period, 'r.createdAt')} AS label, COUNT(*) AS count
+      FROM case_revision_changes ch
+      JOIN case_revisions r ON r.id = ch.revisionId
+      JOIN cases c ON c.id = r.caseId
+      WHERE ${resolutionChangeSql()}
+        AND r.createdAt >= ${from} AND r.createdAt < ${to}
+        AND c.deletedAt IS NULL
+      GROUP BY label`
+  ]);
+
+  const series = [];
+  const byLabel = new Map();
+  for (let i = 0; i < buckets; i++) {
+    const start = shiftBucket(period, from, i);
+    const bucket = { label: bucketLabel(period, start), start, reported: 0, resolved: 0 };
+    series.push(bucket);
+    byLabel.set(bucket.label, bucket);
+  }
+
+  const totals = { reported: 0, resolved: 0 };
+  const count = (rows, field) => rows.forEach(row => {
+    const bucket = byLabel.get(row.label);
+    if (bucket) bucket[field] += Number(row.count);
+    totals[field] += Number(row.count);
+  });
+  count(reported, 'reported');
+  count(resolved, 'resolved');
+
+  return {
+    period,
+    from,
+    to,
+    series,
+    totals
+  };
+};
+
+/**
+ * Time from report to resolution for the cases currently resolved or closed,
+ * totalled per type, priority and officer: [{ type, priority, officerId, cases, ms }]
+ * A case's resolution is its latest move into the resolved group; cases with
+ * no recorded status history fall back to their last update.
+ */
+const resolutionTimes = async (client) => {
+  const resolvedStatuses = Prisma.join(workflow.getStatusesInGroup('resolved'));
+
+  const rows = await client.$queryRaw`
+    SELECT c.type, c.priority, c.officerId, COUNT(*) AS cases,
+      SUM(GREATEST(0, TIMESTAMPDIFF(SECOND, c.reported, COALESCE(res.resolvedAt, c.updatedAt)))) AS seconds
+    FROM cases c
+    LEFT JOIN (
+      SELECT r.caseId, MAX(r.createdAt) AS resolvedAt
+      FROM case_revisions r
+      JOIN case_revision_changes ch ON ch.revisionId = r.id
+      WHERE ${resolutionChangeSql()}
+      GROUP BY r.caseId
+    ) res ON res.caseId = c.id
+    WHERE c.deletedAt IS NULL AND c.status IN (${resolvedStatuses})
+    GROUP BY c.type, c.priority, c.officerId`;
+
+  return rows.map(row => ({
+    type: row.type,
+    priority: row.priority,
+    officerId: row.officerId,
+    cases: Number(row.cases),
+    ms: Number(row.seconds) * 1000
+  }));
+};
+
+/**
+ * Average resolution time in days, grouped by one field
+ */
+const averageResolution = (times, field) => {
+  const groups = new Map();
+  times.forEach(t => {
+    const g = groups.get(t[field]) || { cases: 0, ms: 0 };
+    g.cases += t.cases;
+    g.ms += t.ms;
+    groups.set(t[field], g);
+  });
+
+  return [...groups.entries()]
+    .map(([key, g]) => ({ [field]: key, cases: g.cases, averageDays: roundDays(g.ms / g.cases) }))
+    .sort((a, b) => b.averageDays - a.averageDays);
+};
+
+/**
+ * Clearance (share of cases resolved or closed) per value of one field
+ */
+const clearanceBy = (counts, field) => {
+  const resolvedStatuses = workflow.getStatusesInGroup('resolved');
+  const groups = new Map();
+  counts.forEach(row => {
+    const g = groups.get(row[field]) || { total: 0, resolved: 0 };
+    g.total += row._count._all;
+    if (resolvedStatuses.includes(row.status)) g.resolved += row._count._all;
+    groups.set(row[field], g);
+  });
+
+  return [...groups.entries()]
+    .map(([key, g]) => ({ [field]: key, ...g, clearanceRate: percent(g.resolved, g.total) }))
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Clearance rates and average time to resolution, overall and by type and priority
+ * `times` is a resolutionTimes() result (or its promise) to reuse.
+ */
+const caseSummary = async (client, times = resolutionTimes(client)) => {
+  const [byStatus, byType, byPriority, resolution] = await Promise.all([
+    client.caseFile.groupBy({ by: ['status'], where: NOT_DELETED, _count: { _all: true } }),
+    client.caseFile.groupBy({ by: ['type', 'status'], where: NOT_DELETED, _count: { _all: true } }),
+    client.caseFile.groupBy({ by: ['priority', 'status'], where: NOT_DELETED, _count: { _all: true } }),
+    times
+  ]);
+
+  const groups = workflow.countByGroup(byStatus);
+  const total = groups.open + groups.investigation + groups.resolved;
+  const resolvedCases = resolution.reduce((sum, t) => sum + t.cases, 0);
+  const totalMs = resolution.reduce((sum, t) => sum + t.ms, 0);
+
+  return {
+    total,
+    open: groups.open,
+    investigation: groups.investigation,
+    resolved: groups.resolved,
+    byStatus: groups.byStatus,
+    clearanceRate: percent(groups.resolved, total),
+    averageResolutionDays: resolvedCases > 0 ? roundDays(totalMs / resolvedCases) : null,
+    clearanceByType: clearanceBy(byType, 'type'),
+    clearanceByPriority: clearanceBy(byPriority, 'priority'),
+    resolutionByType: averageResolution(resolution, 'type'),
+    resolutionByPriority: averageResolution(resolution, 'priority')
+  };
+};
+
+/**
+ * Caseload, clearance and resolution time for each officer
+ * `times` is a resolutionTimes() result (or its promise) to reuse.
+ */
+const officerPerformance = async (client, times = resolutionTimes(client)) => {
+  const [officerList, counts, resolution] = await Promise.all([
+    client.officer.findMany({ orderBy: { badge: 'asc' } }),
+    client.caseFile.groupBy({
+      by: ['officerId', 'status'],
+      where: { ...NOT_DELETED, officerId: { not: null } },
+      _count: { _all: true }
+    }),
+    times
+  ]);
+
+  const resolvedStatuses = workflow.getStatusesInGroup('resolved');
+  const byUser = new Map();
+  counts.forEach(row => {
+    const c = byUser.get(row.officerId) || { assigned: 0, resolved: 0, ms: 0 };
+    c.assigned += row._count._all;
+    if (resolvedStatuses.includes(row.status)) c.resolved += row._count._all;
+    byUser.set(row.officerId, c);
+  });
+  resolution.forEach(t => {
+    const c = byUser.get(t.officerId);
+    if (c) c.ms += t.ms;
+  });
+
+  return officerList.map(o => {
+    const c = (o.userId && byUser.get(o.userId)) || { assigned: 0, resolved: 0, ms: 0 };
+    return {
+      badge: o.badge,
+      name: `${o.firstName} ${o.lastName}`,
+      rank: o.rank_,
+      unit: o.unit,
+      department: o.department,
+      status: o.status,
+      assigned: c.assigned,
+      active: c.assigned - c.resolved,
+      resolved: c.resolved,
+      clearanceRate: percent(c.resolved, c.assigned),
+      averageResolutionDays: c.resolved > 0 ? roundDays(c.ms / c.resolved) : null
+    };
+  });
+};
+
+module.exports = {
+  resolutionTimes,
+  caseTrends,
+  caseSummary,
+  officerPerformance
+};
@@ -0,0 +1,69 @@
+// src/services/assignment.js
+
+const { CASE_TYPE_UNITS, SUGGESTION_WEIGHTS } = require('../config/assignment');
+
+/**
+ * Rank available officers for a case of the given type
+ * Only officers who are available and linked to a user account are considered.
+ * Returns the best `limit` officers, highest score first.
+ */
+const suggestOfficers = async (client, { type, limit = 3 }) => {
+  const officers = await client.officer.findMany({
+    where: { status: 'available', userId: { not: null } },
+    select: {
+      badge: true,
+      firstName: true,
+      lastName: true,
+      rank_: true,
+      unit: true,
+      activeCases: true,
+      userId: true
+    }
+  });
+
+  if (officers.length === 0) return [];
+
+  // Past cases of the same type held by each officer
+  const related = type
+    ? await client.caseFile.groupBy({
+        by: ['officerId'],
+        where: { type, deletedAt: null, officerId: { in: officers.map(o => o.userId) } },
+        _count: { _all: true }
+      })
+    : [];
+  const relatedByUser = new Map(related.map(r => [r.officerId, r._count._all]));
+
+  const units = (CASE_TYPE_UNITS[String(type || '').toLowerCase()] || []).map(u => u.toLowerCase());
+
+  return officers
+    .map(o => {
+      const unitMatch = units.includes(o.unit.toLowerCase());
+      const relatedCases = relatedByUser.get(o.userId) || 0;
+
+      const score = (unitMatch ? SUGGESTION_WEIGHTS.unitMatch : 0)
+        + o.activeCases * SUGGESTION_WEIGHTS.perActiveCase
+        + Math.min(relatedCases, SUGGESTION_WEIGHTS.maxRelatedCases) * SUGGESTION_WEIGHTS.perRelatedCase;
+
+      const reasons = [];
+      if (unitMatch) reasons.push(`${o.unit} unit handles ${type} cases`);
+      reasons.push(`${o.activeCases} active case${o.activeCases === 1 ? '' : 's'}`);
+      if (relatedCases > 0) reasons.push(`${relatedCases} past ${type} case${relatedCases === 1 ? '' : 's'}`);
+
+      return {
+        badge: o.badge,
+        name: `${o.firstName} ${o.lastName}`,
+        rank: o.rank_,
+        unit: o.unit,
+        activeCases: o.activeCases,
+        relatedCases,
+        unitMatch,
+        score,
+        reasons,
+        userId: o.userId
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.activeCases - b.activeCases || a.badge - b.badge)
+    .slice(0, limit);
+};
+
+module.exports = { suggestOfficers };
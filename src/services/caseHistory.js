@@ -0,0 +1,52 @@
+// src/services/caseHistory.js
+
+/**
+ * Case fields tracked in the revision history
+ */
+const TRACKED_FIELDS = ['type', 'priority', 'description', 'location', 'reporter', 'status', 'officerId'];
+
+/**
+ * Normalize a field value for storage and comparison
+ */
+const toHistoryValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+/**
+ * Compare a case with its pending update data
+ * Returns the list of { field, oldValue, newValue } that actually change
+ */
+const diffCaseFields = (existingCase, data) => {
+  return TRACKED_FIELDS
+    .filter(field => data[field] !== undefined)
+    .map(field => ({
+      field,
+      oldValue: toHistoryValue(existingCase[field]),
+      newValue: toHistoryValue(data[field])
+    }))
+    .filter(change => change.oldValue !== change.newValue);
+};
+
+/**
+ * Format a revision row for the API response
+ * `labels` optionally maps stored values to display values per field,
+ * e.g. { officerId: { '3': 'Sgt. Ada Obi (#1042)' } }
+ */
+const formatRevision = (revision, labels = {}) => {
+  const label = (field, value) => (value !== null && labels[field]?.[value]) || value;
+
+  return {
+    id: revision.id,
+    changedBy: revision.user?.name || revision.user?.username || 'System',
+    changedAt: revision.createdAt,
+    changes: revision.changes.map(c => ({
+      field: c.field,
+      oldValue: label(c.field, c.oldValue),
+      newValue: label(c.field, c.newValue)
+    }))
+  };
+};
+
+module.exports = { TRACKED_FIELDS, diffCaseFields, formatRevision };
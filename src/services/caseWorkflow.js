@@ -0,0 +1,123 @@
+// src/services/caseWorkflow.js
+
+const { CASE_STATUSES, DEFAULT_CASE_STATUS } = require('../config/caseWorkflow');
+
+/**
+ * Check if a status is defined in the workflow
+ */
+const isValidStatus = (status) => {
+  return Object.prototype.hasOwnProperty.call(CASE_STATUSES, status);
+};
+
+/**
+ * Get the statuses a case can move to from its current status
+ */
+const getAllowedTransitions = (status) => {
+  return isValidStatus(status) ? [...CASE_STATUSES[status].transitions] : [];
+};
+
+/**
+ * Get every status counted under a dashboard group
+ */
+const getStatusesInGroup = (group) => {
+  return Object.keys(CASE_STATUSES).filter(s => CASE_STATUSES[s].group === group);
+};
+
+/**
+ * Get a display label for a status
+ */
+const getStatusLabel = (status) => {
+  return CASE_STATUSES[status]?.label || status;
+};
+
+/**
+ * Validate the status of a new case
+ * Returns null when valid, otherwise an error payload
+ */
+const validateInitialStatus = (status) => {
+  if (!status) return null;
+
+  if (!isValidStatus(status) || !CASE_STATUSES[status].initial) {
+    const initial = Object.keys(CASE_STATUSES).filter(s => CASE_STATUSES[s].initial);
+    return {
+      statusCode: 400,
+      error: `New cases must start as one of: ${initial.join(', ')}`,
+      code: 'INVALID_STATUS'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Validate a status change
+ * Returns null when valid, otherwise an error payload
+ */
+const validateTransition = (from, to, reason) => {
+  if (!isValidStatus(to)) {
+    return {
+      statusCode: 400,
+      error: `Unknown case status: ${to}`,
+      code: 'INVALID_STATUS'
+    };
+  }
+
+  if (!getAllowedTransitions(from).includes(to)) {
+    return {
+      statusCode: 409,
+      error: `Cannot change case status from ${from} to ${to}`,
+      code: 'INVALID_TRANSITION',
+      allowed: getAllowedTransitions(from)
+    };
+  }
+
+  if (CASE_STATUSES[to].requiresReason && !(reason && String(reason).trim())) {
+    return {
+      statusCode: 400,
+      error: `A reason is required to mark a case as ${to}`,
+      code: 'REASON_REQUIRED'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Build the activity log entry for a status change
+ */
+const buildTransitionLog = ({ caseId, from, to, reason, userId }) => ({
+  message: `Case ${caseId} moved from ${getStatusLabel(from)} to ${getStatusLabel(to)}`,
+  action: 'change_case_status',
+  userId,
+  metadata: JSON.stringify({ caseId, from, to, reason: reason || null })
+});
+
+/**
+ * Count cases per dashboard group from a status groupBy result
+ */
+const countByGroup = (statusCounts) => {
+  const totals = { open: 0, investigation: 0, resolved: 0 };
+  const byStatus = {};
+
+  Object.keys(CASE_STATUSES).forEach(s => { byStatus[s] = 0; });
+
+  statusCounts.forEach(row => {
+    byStatus[row.status] = (byStatus[row.status] || 0) + row._count._all;
+    const group = CASE_STATUSES[row.status]?.group;
+    if (group) totals[group] += row._count._all;
+  });
+
+  return { ...totals, byStatus };
+};
+
+module.exports = {
+  DEFAULT_CASE_STATUS,
+  isValidStatus,
+  getAllowedTransitions,
+  getStatusesInGroup,
+  getStatusLabel,
+  validateInitialStatus,
+  validateTransition,
+  buildTransitionLog,
+  countByGroup
+};
@@ -0,0 +1,82 @@
+// src/services/caseload.js
+
+const { getStatusesInGroup } = require('./caseWorkflow');
+
+/**
+ * A case counts towards an officer's active caseload until it is resolved or closed
+ */
+const isActiveStatus = (status) => !getStatusesInGroup('resolved').includes(status);
+
+/**
+ * Build the officer counter updates for a change in a case's assignment or status
+ * `before` / `after` are { officerId, status } (officerId is the user ID), or null
+ * when the case is being created / deleted. Returns Prisma operations to run in
+ * the same transaction as the case write.
+ */
+const caseloadUpdates = (client, before, after) => {
+  const deltas = new Map();
+  const add = (userId, active, total) => {
+    if (!userId) return;
+    const d = deltas.get(userId) || { active: 0, total: 0 };
+    d.active += active;
+    d.total += total;
+    deltas.set(userId, d);
+  };
+
+  if (before) add(before.officerId, isActiveStatus(before.status) ? -1 : 0, -1);
+  if (after) add(after.officerId, isActiveStatus(after.status) ? 1 : 0, 1);
+
+  return [...deltas.entries()]
+    .filter(([, d]) => d.active !== 0 || d.total !== 0)
+    .map(([userId, d]) => client.officer.updateMany({
+      where: { userId },
+      data: {
+        activeCases: { increment: d.active },
+        totalCases: { increment: d.total }
+      }
+    }));
+};
+
+/**
+ * Recompute every officer's counters from the cases table
+ * Returns the officers whose stored counters had drifted.
+ */
+const recomputeCaseloads = async (client) => {
+  const [officers, counts] = await Promise.all([
+    client.officer.findMany({
+      select: { badge: true, userId: true, activeCases: true, totalCases: true }
+    }),
+    client.caseFile.groupBy({
+      by: ['officerId', 'status'],
+      where: { officerId: { not: null }, deletedAt: null },
+      _count: { _all: true }
+    })
+  ]);
+
+  const byUser = new Map();
+  counts.forEach(row => {
+    const c = byUser.get(row.officerId) || { activeCases: 0, totalCases: 0 };
+    c.totalCases += row._count._all;
+    if (isActiveStatus(row.status)) c.activeCases += row._count._all;
+    byUser.set(row.officerId, c);
+  });
+
+  const corrections = officers
+    .map(o => ({
+      badge: o.badge,
+      before: { activeCases: o.activeCases, totalCases: o.totalCases },
+      after: byUser.get(o.userId) || { activeCases: 0, totalCases: 0 }
+    }))
+    .filter(c => c.before.activeCases !== c.after.activeCases || c.before.totalCases !== c.after.totalCases);
+
+  if (corrections.length > 0) {
+    await client.$transaction(corrections.map(c => client.officer.update({
+      where: { badge: c.badge },
+      data: c.after
+    })));
+  }
+
+  return { checked: officers.length, corrections };
+};
+
+module.exports = { isActiveStatus, caseloadUpdates, recomputeCaseloads };
@@ -0,0 +1,134 @@
+// src/services/cron.js
+
+/**
+ * Five-field cron expressions: minute hour day-of-month month day-of-week
+ * Fields take `*`, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 8-18/2).
+ * Day of week is 0-6 from Sunday (7 is also Sunday). Times are UTC.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Far enough ahead for any valid expression (e.g. 29 February)
+const MAX_DAYS_AHEAD = 366 * 8;
+
+/**
+ * Parse one field into the set of values it matches
+ * Throws with a readable message when the field is invalid.
+ */
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} field: ${text}`);
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText) : 1;
+    let [from, to] = range === '*'
+      ? [min, max]
+      : range.split('-').map(n => parseInt(n));
+    if (to === undefined) to = stepText ? max : from;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name} field: ${text}`);
+    }
+
+    for (let v = from; v <= to; v += step) values.add(v);
+  });
+
+  return values;
+};
+
+/**
+ * Parse an expression (or @hourly / @daily / @weekly / @monthly)
+ * Returns { minutes, hours, days, months, weekdays, anyDay, anyWeekday }.
+ */
+const parseCron = (expression) => {
+  const source = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error('Recurrence must have five fields: minute hour day month weekday');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+};
+
+/**
+ * Check an expression, returning an error message or null
+ */
+const validateCron = (expression) => {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Whether a date's day matches; like cron, when both day fields are
+ * restricted a match on either is enough
+ */
+const dayMatches = (cron, date) => {
+  if (!cron.months.has(date.getUTCMonth() + 1)) return false;
+
+  const dom = cron.days.has(date.getUTCDate());
+  const dow = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+};
+
+/**
+ * The first time strictly after `after` that the expression fires
+ * Returns null if it never fires (e.g. 31 February).
+ */
+const nextCronRun = (expression, after = new Date()) => {
+  const cron = parseCron(expression);
+  const start = new Date(after.getTime());
+  start.setUTCSeconds(0, 0);
+  start.setUTCMinutes(start.getUTCMinutes() + 1);
+
+  const hours = [...cron.hours].sort((a, b) => a - b);
+  const minutes = [...cron.minutes].sort((a, b) => a - b);
+
+  for (let d = 0; d < MAX_DAYS_AHEAD; d++) {
+    const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + d));
+    if (!dayMatches(cron, day)) continue;
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const candidate = new Date(day.getTime());
+        candidate.setUTCHours(hour, minute);
+        if (candidate >= start) return candidate;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = { validateCron, nextCronRun };
@@ -0,0 +1,231 @@
+// src/services/dashboard.js
+
+const workflow = require('./caseWorkflow');
+const { NOT_DELETED } = require('./recordLifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LIST_LIMIT = 50;
+
+const CASE_TYPE_LABELS = {
+  'theft': 'Theft/Burglary',
+  'assault': 'Assault',
+  'vandalism': 'Vandalism',
+  'traffic': 'Traffic Incidents',
+  'drug': 'Drug-Related',
+  'other': 'Other'
+};
+
+/**
+ * Format case type for display
+ */
+const formatCaseType = (type) => {
+  return CASE_TYPE_LABELS[type] || type.charAt(0).toUpperCase() + type.slice(1);
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Parse a YYYY-MM-DD date as midnight UTC
+ */
+const parseDay = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const invalid = (error, code) => ({ error: { statusCode: 400, error, code } });
+
+/**
+ * Read the dashboard scope from query parameters
+ *   department, unit - cases assigned to officers in that department / unit,
+ *                      and those officers on the personnel panel
+ *   from, to         - cases logged between these days (YYYY-MM-DD, inclusive;
+ *                      `to` defaults to today), compared with the equal-length
+ *                      window just before
+ * Returns { filters } or an error payload.
+ */
+const parseDashboardFilters = (query, now = new Date()) => {
+  const department = query.department ? String(query.department).trim() : '';
+  const unit = query.unit ? String(query.unit).trim() : '';
+  const filters = { department: department || null, unit: unit || null, window: null, previous: null };
+
+  if (!query.from && !query.to) return { filters };
+
+  const start = parseDay(query.from);
+  const end = query.to ? parseDay(query.to) : parseDay(formatDay(now));
+  if (!start || !end) {
+    return invalid('A date range needs a start date, and dates must be YYYY-MM-DD', 'INVALID_DATE_RANGE');
+  }
+  if (start > end) {
+    return invalid('Start date must be on or before the end date', 'INVALID_DATE_RANGE');
+  }
+
+  // Window ends are exclusive: the whole of the `to` day is included
+  const length = end.getTime() - start.getTime() + DAY_MS;
+  const previousStart = new Date(start.getTime() - length);
+
+  filters.window = { start, end: new Date(end.getTime() + DAY_MS), from: formatDay(start), to: formatDay(end) };
+  filters.previous = {
+    start: previousStart,
+    end: start,
+    from: formatDay(previousStart),
+    to: formatDay(new Date(start.getTime() - DAY_MS))
+  };
+
+  return { filters };
+};
+
+/**
+ * Number of rows for a dashboard list, from `limit` (1 to 50)
+ */
+const parseListLimit = (value, fallback) => {
+  const limit = parseInt(value);
+  return Number.isNaN(limit) ? fallback : Math.min(Math.max(limit, 1), MAX_LIST_LIMIT);
+};
+
+/**
+ * Officer filter for the department / unit scope
+ */
+const officerScope = ({ department, unit }) => {
+  const where = {};
+  if (department) where.department = department;
+  if (unit) where.unit = unit;
+  return where;
+};
+
+/**
+ * Case filter for the department / unit scope, optionally limited to a window
+ * A scoped dashboard only counts cases assigned to an officer in scope.
+ */
+const caseScope = (filters, window = null) => ({
+  ...NOT_DELETED,
+  ...((filters.department || filters.unit) && { officer: { officerProfile: officerScope(filters) } }),
+  ...(window && { createdAt: { gte: window.start, lt: window.end } })
+});
+
+/**
+ * Case counters for the dashboard: totals per workflow group and high priority
+ * One grouped query; the database returns a row per status/priority pair
+ * rather than a row per case.
+ */
+const caseCounters = async (client, where = NOT_DELETED) => {
+  const counts = await client.caseFile.groupBy({
+    by: ['status', 'priority'],
+    where,
+    _count: { _all: true }
+  });
+
+  const { open, resolved, investigation, byStatus } = workflow.countByGroup(counts);
+
+  return {
+    total: counts.reduce((sum, row) => sum + row._count._all, 0),
+    open,
+    resolved,
+    investigation,
+    priority: counts
+      .filter(row => row.priority === 'high')
+      .reduce((sum, row) => sum + row._count._all, 0),
+    byStatus
+  };
+};
+
+/**
+ * Windows the distribution trend compares: the filter window and the one
+ * before it, or this calendar month and last month (server local time)
+ */
+const trendWindows = (filters, now) => {
+  if (filters.window) return { current: filters.window, previous: filters.previous };
+
+  return {
+    current: { start: new Date(now.getFullYear(), now.getMonth(), 1) },
+    previous: {
+      start: new Date(now.getFullYear(), now.getMonth() - 1, 1),
+      end: new Date(now.getFullYear(), now.getMonth(), 1)
+    }
+  };
+};
+
+const createdWithin = ({ start, end }) => (end ? { gte: start, lt: end } : { gte: start });
+
+const countsByType = (rows) => new Map(rows.map(row => [row.type, row._count._all]));
+
+/**
+ * Case count, trend and resolution rate per case type
+ * Counts cover all cases in scope, or only the filter window when one is set.
+ * The trend compares this month with last month, or the window with the one
+ * before it. Every query is grouped, so none returns more than one row per
+ * type and status.
+ */
+const caseDistribution = async (client, options = {}) => {
+  const { now = new Date(), filters = parseDashboardFilters({}).filters } = options;
+  const where = caseScope(filters);
+  const { current, previous } = trendWindows(filters, now);
+
+  const [byTypeStatus, currentRows, previousRows] = await Promise.all([
+    client.caseFile.groupBy({
+      by: ['type', 'status'],
+      where: caseScope(filters, filters.window),
+      _count: { _all: true },
+      orderBy: { type: 'asc' }
+    }),
+    client.caseFile.groupBy({
+      by: ['type'],
+      where: { ...where, createdAt: createdWithin(current) },
+      _count: { _all: true }
+    }),
+    client.caseFile.groupBy({
+      by: ['type'],
+      where: { ...where, createdAt: createdWithin(previous) },
+      _count: { _all: true }
+    })
+  ]);
+
+  const resolvedStatuses = workflow.getStatusesInGroup('resolved');
+  const currentCounts = countsByType(currentRows);
+  const previousCounts = countsByType(previousRows);
+
+  const caseTypes = new Map();
+  byTypeStatus.forEach(row => {
+    const stats = caseTypes.get(row.type) || { total: 0, resolved: 0 };
+    stats.total += row._count._all;
+    if (resolvedStatuses.includes(row.status)) stats.resolved += row._count._all;
+    caseTypes.set(row.type, stats);
+  });
+
+  const distribution = [...caseTypes.entries()].map(([type, stats]) => {
+    const currentCount = currentCounts.get(type) || 0;
+    const previousCount = previousCounts.get(type) || 0;
+
+    let trend = 0;
+    let trendDirection = 'stable';
+
+    if (previousCount > 0) {
+      trend = Math.round(((currentCount - previousCount) / previousCount) * 100);
+      trendDirection = trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable';
+    } else if (currentCount > 0) {
+      trend = 100;
+      trendDirection = 'up';
+    }
+
+    return {
+      type: formatCaseType(type),
+      count: stats.total,
+      trend: Math.abs(trend),
+      trendDirection,
+      resolutionRate: stats.total > 0 ? Math.round((stats.resolved / stats.total) * 100) : 0
+    };
+  });
+
+  // Sort by count (descending)
+  return distribution.sort((a, b) => b.count - a.count);
+};
+
+module.exports = {
+  formatCaseType,
+  parseDashboardFilters,
+  parseListLimit,
+  officerScope,
+  caseScope,
+  caseCounters,
+  caseDistribution
+};
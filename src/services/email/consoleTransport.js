@@ -0,0 +1,27 @@
+// src/services/email/consoleTransport.js
+
+/**
+ * Console transport for local development
+ * Messages are logged rather than sent; attachments are listed by name.
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  /**
+   * Log a message; resolves with { messageId }
+   */
+  send: async (mail) => {
+    const attachments = (mail.attachments || []).map(a => a.filename);
+    console.log([
+      '📧 Email (console transport)',
+      `To: ${mail.to}`,
+      `Subject: ${mail.subject}`,
+      ...(attachments.length > 0 ? [`Attachments: ${attachments.join(', ')}`] : []),
+      '',
+      mail.text
+    ].join('\n'));
+    return { messageId: mail.messageId };
+  }
+});
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,32 @@
+// src/services/email/fileTransport.js
+
+const fs = require('fs');
+const path = require('path');
+const { buildMessage } = require('./mime');
+
+/**
+ * File transport for local development and tests
+ * Each message is written to rootDir as a .eml file that any mail client
+ * can open, instead of being sent.
+ */
+const createFileTransport = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  return {
+    name: 'file',
+
+    /**
+     * Write a message; resolves with { messageId, path }
+     */
+    send: async (mail) => {
+      await fs.promises.mkdir(root, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const id = mail.messageId.replace(/[^\w.-]/g, '');
+      const file = path.join(root, `${stamp}-${id}.eml`);
+      await fs.promises.writeFile(file, buildMessage(mail), { flag: 'wx' });
+      return { messageId: mail.messageId, path: file };
+    }
+  };
+};
+
+module.exports = { createFileTransport };
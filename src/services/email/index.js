@@ -0,0 +1,54 @@
+// src/services/email/index.js
+
+const { EMAIL, DEVELOPMENT_TRANSPORTS, SMTP, EMAIL_FILE_PATH } = require('../../config/email');
+const { createSmtpTransport } = require('./smtpTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createConsoleTransport } = require('./consoleTransport');
+const { queueEmail, processEmailQueue } = require('./queue');
+
+/**
+ * Transports by name
+ * Each transport exposes send(mail), resolving with { messageId }
+ */
+const transports = {
+  smtp: () => createSmtpTransport(SMTP),
+  file: () => createFileTransport(EMAIL_FILE_PATH),
+  console: () => createConsoleTransport()
+};
+
+let transport = null;
+
+/**
+ * Check the email transport setting; throws when it is missing, unknown, or
+ * a development transport in production
+ * Called at startup so a misconfigured server never runs.
+ */
+const checkEmailConfig = () => {
+  if (!EMAIL.transport) {
+    throw new Error('EMAIL_TRANSPORT must be set in production (e.g. "smtp")');
+  }
+  if (!transports[EMAIL.transport]) {
+    throw new Error(`Unknown email transport: ${EMAIL.transport}`);
+  }
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(EMAIL.transport)) {
+    throw new Error(`The "${EMAIL.transport}" email transport doesn't deliver mail and can't be used in production`);
+  }
+};
+
+/**
+ * Get the configured email transport (EMAIL_TRANSPORT)
+ */
+const getTransport = () => {
+  if (!transport) {
+    checkEmailConfig();
+    transport = transports[EMAIL.transport]();
+  }
+  return transport;
+};
+
+/**
+ * Send every queued message that is due through the configured transport
+ */
+const sendQueuedEmails = (client, now = new Date()) => processEmailQueue(client, getTransport(), now);
+
+module.exports = { checkEmailConfig, getTransport, queueEmail, sendQueuedEmails };
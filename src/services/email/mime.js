@@ -0,0 +1,86 @@
+// src/services/email/mime.js
+
+const crypto = require('crypto');
+const os = require('os');
+
+const CRLF = '\r\n';
+
+/**
+ * The bare address from "Name <address>" or "address"
+ */
+const addressOf = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+// Non-ASCII header values are sent as RFC 2047 encoded words
+const encodeHeader = (value) => (
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`
+);
+
+// Base64 body wrapped at 76 characters per line
+const base64Body = (content) => Buffer.from(content).toString('base64').replace(/.{76}(?=.)/g, `$&${CRLF}`);
+
+const boundary = () => `----=_NPF_${crypto.randomBytes(12).toString('hex')}`;
+
+const textPart = (content, subtype) => [
+  `Content-Type: text/${subtype}; charset=utf-8`,
+  'Content-Transfer-Encoding: base64',
+  '',
+  base64Body(content)
+].join(CRLF);
+
+const attachmentPart = ({ filename, contentType, content }) => [
+  `Content-Type: ${contentType || 'application/octet-stream'}; name="${filename}"`,
+  'Content-Transfer-Encoding: base64',
+  `Content-Disposition: attachment; filename="${filename}"`,
+  '',
+  base64Body(content)
+].join(CRLF);
+
+const multipart = (subtype, parts) => {
+  const marker = boundary();
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${marker}"`,
+    '',
+    ...parts.map(part => `--${marker}${CRLF}${part}`),
+    `--${marker}--`
+  ].join(CRLF);
+};
+
+/**
+ * Unique Message-ID for a message sent from `from`
+ */
+const createMessageId = (from) => {
+  const domain = addressOf(from).split('@')[1] || os.hostname();
+  return `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+};
+
+/**
+ * Build the raw RFC 5322 message for a mail
+ * `mail` is { from, to, subject, text, html?, attachments?, messageId }; each
+ * attachment is { filename, contentType, content (Buffer) }. Text and HTML go
+ * as alternatives, wrapped with any attachments in a mixed part.
+ */
+const buildMessage = (mail) => {
+  const { from, to, subject, text, html = null, attachments = [], messageId } = mail;
+
+  let body = html
+    ? multipart('alternative', [textPart(text, 'plain'), textPart(html, 'html')])
+    : textPart(text, 'plain');
+  if (attachments.length > 0) {
+    body = multipart('mixed', [body, ...attachments.map(attachmentPart)]);
+  }
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    body
+  ].join(CRLF) + CRLF;
+};
+
+module.exports = { addressOf, createMessageId, buildMessage };
@@ -0,0 +1,158 @@
+// src/services/email/queue.js
+
+const { EMAIL, EMAIL_QUEUE } = require('../../config/email');
+const { render, isSensitive } = require('./templates');
+const { createMessageId } = require('./mime');
+const { buildReportContent, hashReportContent } = require('../reportContent');
+const { renderReportPdf } = require('../reportPdf');
+const { EXPORT_FORMATS, renderReportExport } = require('../tabularExport');
+const { getStorage } = require('../storage');
+
+const MINUTE_MS = 60 * 1000;
+
+// Stored in place of a sensitive body once it is no longer needed
+const REDACTED_BODY = { text: '[Removed after delivery]', html: null };
+
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+/**
+ * Attachments are stored as references and built when the message is sent
+ *   { kind: 'report', reportId, format } - the report as a PDF, CSV or Excel
+ *     file (PDF when no format is stored). Like a download, an approved
+ *     report is sent as the document issued on approval; any other is
+ *     rendered from the report as it is now.
+ */
+const ATTACHMENTS = {
+  report: async (client, { reportId, format = 'pdf' }) => {
+    const report = await client.report.findUnique({
+      where: { reportId },
+      include: {
+        generatedBy: { select: { username: true, name: true } },
+        case: { select: { caseId: true, type: true, status: true, priority: true, location: true, reported: true } },
+        reviews: { include: { user: { select: { username: true, name: true } } }, orderBy: { id: 'asc' } },
+        exports: true
+      }
+    });
+    if (!report) throw permanentError(`Report ${reportId} no longer exists`);
+
+    const { contentType, extension } = format === 'pdf'
+      ? { contentType: 'application/pdf', extension: 'pdf' }
+      : EXPORT_FORMATS[format];
+    const attachment = { filename: `${report.reportId}.${extension}`, contentType };
+
+    const issuedKey = format === 'pdf'
+      ? report.documentKey
+      : report.exports.find(e => e.format === format)?.documentKey;
+
+    if (issuedKey) {
+      const storage = getStorage();
+      if (!(await storage.exists(issuedKey))) {
+        throw permanentError(`The issued document for report ${reportId} is missing from storage`);
+      }
+      return { ...attachment, content: Buffer.concat(await storage.createReadStream(issuedKey).toArray()) };
+    }
+
+    const content = buildReportContent(report);
+    const hash = hashReportContent(content);
+
+    if (format === 'pdf') {
+      const pdf = await renderReportPdf(content, {
+        generatedBy: report.generatedBy?.name || report.generatedBy?.username || 'Unknown',
+        generatedAt: report.date,
+        hash
+      });
+      return { ...attachment, content: pdf };
+    }
+
+    // As with downloads, a report approved before exports were issued gets
+    // a live copy with no hash to verify
+    const file = await renderReportExport(format, { content, hash: report.signature ? null : hash });
+    return { ...attachment, content: file };
+  }
+};
+
+const resolveAttachments = (client, stored) => Promise.all(
+  (stored ? JSON.parse(stored) : []).map(attachment => ATTACHMENTS[attachment.kind](client, attachment))
+);
+
+// When to try again after `attempt` sends have failed
+const retryAt = (attempt, now) => {
+  const delays = EMAIL_QUEUE.retryMinutes;
+  return new Date(now.getTime() + delays[Math.min(attempt, delays.length) - 1] * MINUTE_MS);
+};
+
+/**
+ * Render a template and queue the message for delivery
+ * `attachments` are references (see ATTACHMENTS), not file contents.
+ */
+const queueEmail = (client, { template, to, data, attachments = [] }) => {
+  const { subject, text, html } = render(template, data);
+
+  return client.emailMessage.create({
+    data: {
+      template,
+      to,
+      subject,
+      text,
+      html,
+      attachments: attachments.length > 0 ? JSON.stringify(attachments) : null
+    }
+  });
+};
+
+/**
+ * Send queued messages that are due
+ * Each message is claimed by bumping its attempt count and pushing its next
+ * attempt back in a single conditional update, so it isn't sent twice by
+ * two servers, and is retried later if the process dies mid-send. Failures
+ * are retried on the EMAIL_QUEUE schedule until maxAttempts, or marked
+ * failed at once when the server rejects the message permanently.
+ * Resolves with the number of messages sent.
+ */
+const processEmailQueue = async (client, transport, now = new Date()) => {
+  const due = await client.emailMessage.findMany({
+    where: { status: 'pending', nextAttemptAt: { lte: now } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: EMAIL_QUEUE.batchSize
+  });
+
+  let sent = 0;
+  for (const message of due) {
+    const attempt = message.attempts + 1;
+    const { count } = await client.emailMessage.updateMany({
+      where: { id: message.id, status: 'pending', attempts: message.attempts },
+      data: { attempts: attempt, nextAttemptAt: retryAt(attempt, now) }
+    });
+    if (count === 0) continue;
+
+    const redact = isSensitive(message.template) ? REDACTED_BODY : {};
+
+    try {
+      await transport.send({
+        from: EMAIL.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: await resolveAttachments(client, message.attachments),
+        messageId: createMessageId(EMAIL.from)
+      });
+      await client.emailMessage.update({
+        where: { id: message.id },
+        data: { status: 'sent', sentAt: new Date(), lastError: null, ...redact }
+      });
+      sent++;
+    } catch (error) {
+      const giveUp = error.permanent || attempt >= EMAIL_QUEUE.maxAttempts;
+      console.error(`Email #${message.id} to ${message.to} failed (attempt ${attempt}):`, error.message);
+      await client.emailMessage.update({
+        where: { id: message.id },
+        data: giveUp ? { status: 'failed', lastError: error.message, ...redact } : { lastError: error.message }
+      });
+    }
+  }
+
+  return sent;
+};
+
+module.exports = { queueEmail, processEmailQueue };
@@ -0,0 +1,169 @@
+// src/services/email/smtpTransport.js
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { addressOf, buildMessage } = require('./mime');
+
+/**
+ * Error for a command the server refused
+ * 5xx replies are permanent: sending the same message again won't help.
+ */
+const replyError = (command, reply) => Object.assign(
+  new Error(`SMTP ${command} failed: ${reply.code} ${reply.lines.join(' ')}`),
+  { permanent: reply.code >= 500 }
+);
+
+/**
+ * Read SMTP replies off a socket, one per call to read()
+ * A reply is one or more "code-text" lines ending with a "code text" line.
+ * The socket can be swapped after STARTTLS with use().
+ */
+const createReader = () => {
+  let socket = null;
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const deliver = (reply) => {
+    const next = waiting.shift();
+    if (next) next.resolve(reply);
+    else replies.push(reply);
+  };
+
+  const fail = (error) => {
+    failure = failure || error;
+    waiting.splice(0).forEach(w => w.reject(failure));
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line);
+      if (!/^\d{3}-/.test(line)) {
+        deliver({ code: parseInt(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+        lines = [];
+      }
+    }
+  };
+  const onError = (error) => fail(error);
+  const onClose = () => fail(new Error('SMTP connection closed unexpectedly'));
+
+  return {
+    use: (next) => {
+      if (socket) {
+        socket.off('data', onData).off('error', onError).off('close', onClose);
+      }
+      socket = next;
+      socket.on('data', onData).on('error', onError).on('close', onClose);
+    },
+    read: () => {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    close: () => {
+      socket.off('close', onClose);
+      socket.destroy();
+    }
+  };
+};
+
+const connect = ({ host, port, secure, timeoutMs }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+  socket.once('error', reject);
+  socket.once(secure ? 'secureConnect' : 'connect', () => {
+    socket.off('error', reject);
+    resolve(socket);
+  });
+});
+
+const upgradeToTls = (socket, host) => new Promise((resolve, reject) => {
+  const secured = tls.connect({ socket, servername: host });
+  secured.once('error', reject);
+  secured.once('secureConnect', () => {
+    secured.off('error', reject);
+    resolve(secured);
+  });
+});
+
+// Lines starting with a dot are escaped so they can't end the DATA section
+const dotStuff = (message) => message.replace(/^\./gm, '..');
+
+/**
+ * SMTP transport
+ * Opens one connection per message: EHLO, STARTTLS when offered (unless
+ * already on TLS), AUTH PLAIN or LOGIN when a user is configured, then
+ * MAIL / RCPT / DATA.
+ */
+const createSmtpTransport = (options) => {
+  const { host, user, password, timeoutMs } = options;
+
+  return {
+    name: 'smtp',
+
+    /**
+     * Send a message; resolves with { messageId }
+     */
+    send: async (mail) => {
+      let socket = await connect(options);
+      const reader = createReader();
+      reader.use(socket);
+
+      const command = async (line, expected, label = line.split(' ')[0]) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.read();
+        if (!expected.includes(reply.code)) throw replyError(label, reply);
+        return reply;
+      };
+
+      try {
+        await command(null, [220], 'greeting');
+        let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+        const offers = (extension) => ehlo.lines.some(l => l.toUpperCase().startsWith(extension));
+
+        if (!options.secure && offers('STARTTLS')) {
+          await command('STARTTLS', [220]);
+          socket = await upgradeToTls(socket, host);
+          socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+          reader.use(socket);
+          ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (user) {
+          if (offers('AUTH') && !ehlo.lines.some(l => /^AUTH\b.*\bPLAIN\b/i.test(l))) {
+            await command('AUTH LOGIN', [334]);
+            await command(Buffer.from(user).toString('base64'), [334], 'AUTH LOGIN');
+            await command(Buffer.from(password || '').toString('base64'), [235], 'AUTH LOGIN');
+          } else {
+            const credentials = Buffer.from(`\0${user}\0${password || ''}`).toString('base64');
+            await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+          }
+        }
+
+        await command(`MAIL FROM:<${addressOf(mail.from)}>`, [250], 'MAIL FROM');
+        await command(`RCPT TO:<${addressOf(mail.to)}>`, [250, 251], 'RCPT TO');
+        await command('DATA', [354]);
+        await command(`${dotStuff(buildMessage(mail))}.`, [250], 'DATA');
+
+        // The message is accepted; a failed QUIT doesn't matter
+        await command('QUIT', [221]).catch(() => {});
+        return { messageId: mail.messageId };
+      } finally {
+        reader.close();
+      }
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,107 @@
+// src/services/email/templates.js
+
+const { EMAIL } = require('../../config/email');
+
+/**
+ * Email templates
+ * Each builds { subject, paragraphs, action? } from its data; render()
+ * lays that out as plain text and HTML. `sensitive` templates carry
+ * sign-in details, so their stored bodies are cleared once delivered.
+ *   welcome          - { name, username, password }
+ *   password_reset   - { name, resetUrl, expiresMinutes }
+ *   case_assigned    - { name, caseId, type, location, priority, assignedBy }
+ *   scheduled_report - { scheduleName, reportId, reportLabel, format, startDate, endDate }
+ */
+// How each report format is described in a message
+const FORMAT_LABELS = { pdf: 'a PDF', csv: 'a CSV file', excel: 'an Excel workbook' };
+
+const TEMPLATES = {
+  welcome: {
+    sensitive: true,
+    build: ({ name, username, password }) => ({
+      subject: 'Your NPF CRM account',
+      paragraphs: [
+        `Hello ${name},`,
+        'An account has been created for you on the NPF CRM.',
+        `Username: ${username}\nTemporary password: ${password}`,
+        'Please change this password after you first log in.'
+      ],
+      action: { label: 'Log in', url: `${EMAIL.appUrl}/log_in.html` }
+    })
+  },
+
+  password_reset: {
+    sensitive: true,
+    build: ({ name, resetUrl, expiresMinutes }) => ({
+      subject: 'Reset your NPF CRM password',
+      paragraphs: [
+        `Hello ${name},`,
+        'A password reset was requested for your NPF CRM account.',
+        `The link below works once and expires in ${expiresMinutes} minutes. If you didn't ask for a reset, ignore this email; your password stays the same.`
+      ],
+      action: { label: 'Reset password', url: resetUrl }
+    })
+  },
+
+  case_assigned: {
+    sensitive: false,
+    build: ({ name, caseId, type, location, priority, assignedBy }) => ({
+      subject: `Case ${caseId} assigned to you`,
+      paragraphs: [
+        `Hello ${name},`,
+        `${assignedBy} assigned case ${caseId} to you.`,
+        `Type: ${type}\nLocation: ${location}\nPriority: ${priority}`
+      ],
+      action: { label: 'Open the CRM', url: `${EMAIL.appUrl}/index.html` }
+    })
+  },
+
+  scheduled_report: {
+    sensitive: false,
+    build: ({ scheduleName, reportId, reportLabel, format, startDate, endDate }) => ({
+      subject: `${reportLabel}: ${startDate} to ${endDate}`,
+      paragraphs: [
+        `Report ${reportId} was generated by the schedule "${scheduleName}".`,
+        `It covers ${startDate} to ${endDate} and is attached as ${FORMAT_LABELS[format] || FORMAT_LABELS.pdf}.`
+      ],
+      action: null
+    })
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const FOOTER = 'This message was sent automatically by the NPF CRM.';
+
+/**
+ * Render a template to { subject, text, html }
+ */
+const render = (template, data) => {
+  if (!TEMPLATES[template]) throw new Error(`Unknown email template: ${template}`);
+
+  const { subject, paragraphs, action } = TEMPLATES[template].build(data);
+
+  const text = [
+    ...paragraphs,
+    ...(action ? [`${action.label}: ${action.url}`] : []),
+    `--\n${FOOTER}`
+  ].join('\n\n');
+
+  const html = [
+    '<div style="font-family: Arial, sans-serif; font-size: 14px; color: #2c3e50;">',
+    ...paragraphs.map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`),
+    ...(action ? [`<p><a href="${escapeHtml(action.url)}" style="color: #2c3e50; font-weight: bold;">${escapeHtml(action.label)}</a></p>`] : []),
+    `<p style="color: #858796; font-size: 12px;">${FOOTER}</p>`,
+    '</div>'
+  ].join('\n');
+
+  return { subject, text, html };
+};
+
+const isSensitive = (template) => Boolean(TEMPLATES[template]?.sensitive);
+
+module.exports = { TEMPLATES, render, isSensitive };
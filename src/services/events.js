@@ -0,0 +1,87 @@
+// src/services/events.js
+
+const { EventEmitter } = require('events');
+
+/**
+ * Live update events pushed to connected clients over /api/events
+ *   case_created           - { caseId, type, status, priority, location, officer }
+ *   case_updated           - the same, plus the changed `fields`
+ *   incident_created       - { id, type, priority, status, address }
+ *   officer_status_changed - { badge, name, from, to }
+ *   notification           - { type, title }, sent only to its recipients
+ * Every event also carries a `message` for the activity feed and `by`, the
+ * name of the user who caused it.
+ *
+ * Events are delivered in-process only: with several server instances each
+ * client only hears about changes made through the instance it is connected to.
+ */
+const EVENT_TYPES = ['case_created', 'case_updated', 'incident_created', 'officer_status_changed', 'notification'];
+
+// Recent events kept so a reconnecting client can catch up (Last-Event-ID)
+const REPLAY_SIZE = 100;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const recent = [];
+let lastEventId = 0;
+
+/**
+ * Publish an event to every subscriber, or only to the users in `audience`
+ */
+const publishEvent = (type, data, user = null, audience = null) => {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+
+  const event = {
+    id: ++lastEventId,
+    type,
+    data: { ...data, by: user ? (user.name || user.username) : 'System' },
+    audience,
+    timestamp: new Date().toISOString()
+  };
+
+  recent.push(event);
+  if (recent.length > REPLAY_SIZE) recent.shift();
+
+  bus.emit('event', event);
+  return event;
+};
+
+/**
+ * Listen for events; returns the function that stops listening
+ */
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+/**
+ * Events published after `id`, oldest first (only as far back as the replay buffer)
+ */
+const eventsSince = (id) => recent.filter(e => e.id > id);
+
+/**
+ * Whether a user's stream should receive an event
+ */
+const isAudience = (event, userId) => !event.audience || event.audience.includes(userId);
+
+/**
+ * Case fields shared by the case events
+ */
+const caseEventData = (caseFile) => ({
+  caseId: caseFile.caseId,
+  type: caseFile.type,
+  status: caseFile.status,
+  priority: caseFile.priority,
+  location: caseFile.location,
+  officer: caseFile.officer?.name || caseFile.officer?.username || 'Unassigned'
+});
+
+module.exports = {
+  EVENT_TYPES,
+  publishEvent,
+  subscribe,
+  eventsSince,
+  isAudience,
+  caseEventData
+};
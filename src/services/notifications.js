@@ -0,0 +1,188 @@
+// src/services/notifications.js
+
+const { publishEvent } = require('./events');
+const workflow = require('./caseWorkflow');
+const { REPORT_TYPES } = require('./reportData');
+const { REPORT_REVIEWER_ROLES } = require('../config/reportWorkflow');
+const { queueEmail } = require('./email');
+
+/**
+ * Notification types
+ *   case_assigned          - to the officer a case is assigned to
+ *   case_status_changed    - to the case's assigned officer and its creator
+ *   report_submitted       - to reviewers, when a report is submitted for approval
+ *   report_approved        - to the report's author
+ *   report_rejected        - to the report's author, with the reviewer's comment
+ *   high_priority_incident - to every active user
+ * The user who caused a notification never receives it.
+ */
+const NOTIFICATION_TYPES = [
+  'case_assigned',
+  'case_status_changed',
+  'report_submitted',
+  'report_approved',
+  'report_rejected',
+  'high_priority_incident'
+];
+
+/**
+ * Recipients who still want notifications: active accounts that haven't
+ * switched the "notifications" preference off, minus the user who caused it
+ */
+const activeRecipients = async (client, userIds, actorId) => {
+  const ids = [...new Set(userIds.filter(id => id && id !== actorId))];
+  if (ids.length === 0) return [];
+
+  const [users, optedOut] = await Promise.all([
+    client.user.findMany({ where: { id: { in: ids }, status: 'active' }, select: { id: true } }),
+    client.userPreference.findMany({
+      where: { userId: { in: ids }, key: 'notifications', value: 'false' },
+      select: { userId: true }
+    })
+  ]);
+
+  const off = new Set(optedOut.map(p => p.userId));
+  return users.map(u => u.id).filter(id => !off.has(id));
+};
+
+/**
+ * Store a notification for each recipient and push it to their open sessions
+ * Resolves with the number of users notified.
+ */
+const notify = async (client, userIds, notification, actor = null) => {
+  if (!NOTIFICATION_TYPES.includes(notification.type)) {
+    throw new Error(`Unknown notification type: ${notification.type}`);
+  }
+
+  const recipients = await activeRecipients(client, userIds, actor?.id);
+  if (recipients.length === 0) return 0;
+
+  const { type, title, message, entityType = null, entityRef = null } = notification;
+  await client.notification.createMany({
+    data: recipients.map(userId => ({ userId, type, title, message, entityType, entityRef }))
+  });
+
+  publishEvent('notification', { type, title, message, entityType, entityRef }, actor, recipients);
+  return recipients.length;
+};
+
+/**
+ * Tell an officer a case has been assigned to them, in the app and by email
+ * `caseFile.officerId` is the assigned officer's user ID. The email follows
+ * the same rules as the notification, so switching notifications off stops both.
+ */
+const notifyCaseAssigned = async (client, caseFile, actor) => {
+  const notified = await notify(client, [caseFile.officerId], {
+    type: 'case_assigned',
+    title: `Case ${caseFile.caseId} assigned to you`,
+    message: `${caseFile.type} at ${caseFile.location} (${caseFile.priority} priority)`,
+    entityType: 'case',
+    entityRef: caseFile.caseId
+  }, actor);
+  if (notified === 0) return 0;
+
+  const officer = await client.user.findUnique({
+    where: { id: caseFile.officerId },
+    select: { username: true, name: true, email: true }
+  });
+  if (officer?.email) {
+    await queueEmail(client, {
+      template: 'case_assigned',
+      to: officer.email,
+      data: {
+        name: officer.name || officer.username,
+        caseId: caseFile.caseId,
+        type: caseFile.type,
+        location: caseFile.location,
+        priority: caseFile.priority,
+        assignedBy: actor ? (actor.name || actor.username) : 'The system'
+      }
+    });
+  }
+
+  return notified;
+};
+
+/**
+ * Tell a case's officer and creator that its status changed
+ */
+const notifyCaseStatusChanged = (client, caseFile, from, actor) => notify(client, [caseFile.officerId, caseFile.createdById], {
+  type: 'case_status_changed',
+  title: `Case ${caseFile.caseId} is now ${workflow.getStatusLabel(caseFile.status)}`,
+  message: `Moved from ${workflow.getStatusLabel(from)} to ${workflow.getStatusLabel(caseFile.status)}`,
+  entityType: 'case',
+  entityRef: caseFile.caseId
+}, actor);
+
+/**
+ * Tell reviewers about a submitted report, or the author about a decision
+ * Withdrawing a report notifies no one.
+ */
+const notifyReportReview = async (client, report, action, comment, actor) => {
+  const entity = { entityType: 'report', entityRef: report.reportId };
+  const title = `${REPORT_TYPES[report.type]?.label || report.type} report`;
+
+  if (action === 'submit') {
+    const reviewers = await client.user.findMany({
+      // Authors can't sign off their own reports
+      where: { role: { in: REPORT_REVIEWER_ROLES }, id: { not: report.generatedById } },
+      select: { id: true }
+    });
+    return notify(client, reviewers.map(u => u.id), {
+      type: 'report_submitted',
+      title: `Report ${report.reportId} needs review`,
+      message: `${title} was submitted for approval`,
+      ...entity
+    }, actor);
+  }
+
+  if (action === 'approve' || action === 'reject') {
+    return notify(client, [report.generatedById], {
+      type: action === 'approve' ? 'report_approved' : 'report_rejected',
+      title: `Report ${report.reportId} ${action === 'approve' ? 'approved' : 'rejected'}`,
+      message: comment ? `${title}: ${comment}` : title,
+      ...entity
+    }, actor);
+  }
+
+  return 0;
+};
+
+/**
+ * Alert every active user to a high-priority incident
+ */
+const notifyHighPriorityIncident = async (client, incident, actor) => {
+  const users = await client.user.findMany({ where: { status: 'active' }, select: { id: true } });
+  return notify(client, users.map(u => u.id), {
+    type: 'high_priority_incident',
+    title: `High priority incident: ${incident.type}`,
+    message: incident.address,
+    entityType: 'incident',
+    entityRef: String(incident.id)
+  }, actor);
+};
+
+/**
+ * Format a notification for the API response
+ */
+const formatNotification = (n) => ({
+  id: n.id,
+  type: n.type,
+  title: n.title,
+  message: n.message,
+  entityType: n.entityType,
+  entityRef: n.entityRef,
+  read: n.readAt !== null,
+  readAt: n.readAt,
+  createdAt: n.createdAt
+});
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  notify,
+  notifyCaseAssigned,
+  notifyCaseStatusChanged,
+  notifyReportReview,
+  notifyHighPriorityIncident,
+  formatNotification
+};
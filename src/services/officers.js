@@ -0,0 +1,114 @@
+// src/services/officers.js
+
+/**
+ * Officer fields returned alongside an assigned case
+ */
+const ASSIGNED_OFFICER_SELECT = {
+  id: true,
+  username: true,
+  name: true,
+  officerProfile: {
+    select: {
+      badge: true,
+      firstName: true,
+      lastName: true,
+      rank_: true,
+      unit: true
+    }
+  }
+};
+
+/**
+ * Format the assigned officer of a case from its user account
+ * Returns null when the case is unassigned
+ */
+const formatAssignedOfficer = (user) => {
+  if (!user) return null;
+
+  const profile = user.officerProfile;
+  return {
+    userId: user.id,
+    badge: profile?.badge ?? null,
+    name: profile ? `${profile.firstName} ${profile.lastName}` : (user.name || user.username),
+    rank: profile?.rank_ ?? null,
+    unit: profile?.unit ?? null
+  };
+};
+
+/**
+ * Resolve a badge number to the user account a case should be assigned to
+ * Returns { userId } when valid, otherwise { error } with an error payload.
+ * An empty badge resolves to { userId: null } (unassigned).
+ */
+const resolveOfficerBadge = async (client, badge) => {
+  if (badge === null || badge === '') return { userId: null };
+
+  if (isNaN(badge)) {
+    return {
+      error: {
+        statusCode: 400,
+        error: 'Officer badge must be a number',
+        code: 'INVALID_BADGE'
+      }
+    };
+  }
+
+  const officer = await client.officer.findUnique({
+    where: { badge: parseInt(badge) },
+    select: { badge: true, userId: true }
+  });
+
+  if (!officer) {
+    return {
+      error: {
+        statusCode: 404,
+        error: `No officer with badge ${badge}`,
+        code: 'OFFICER_NOT_FOUND'
+      }
+    };
+  }
+
+  if (!officer.userId) {
+    return {
+      error: {
+        statusCode: 409,
+        error: `Officer ${officer.badge} is not linked to a user account`,
+        code: 'OFFICER_NOT_LINKED'
+      }
+    };
+  }
+
+  return { userId: officer.userId };
+};
+
+/**
+ * Link any unlinked officer with the given email to a user account
+ * Used when accounts or officers are created after the initial migration.
+ */
+const linkOfficerByEmail = async (client, userId, email) => {
+  if (!email) return null;
+
+  const officer = await client.officer.findFirst({
+    where: { email, userId: null },
+    select: { id: true }
+  });
+  if (!officer) return null;
+
+  const alreadyLinked = await client.officer.findUnique({
+    where: { userId },
+    select: { id: true }
+  });
+  if (alreadyLinked) return null;
+
+  return client.officer.update({
+    where: { id: officer.id },
+    data: { userId }
+  });
+};
+
+module.exports = {
+  ASSIGNED_OFFICER_SELECT,
+  formatAssignedOfficer,
+  resolveOfficerBadge,
+  linkOfficerByEmail
+};
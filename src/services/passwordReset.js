@@ -0,0 +1,51 @@
+// src/services/passwordReset.js
+
+const crypto = require('crypto');
+const { EMAIL, PASSWORD_RESET } = require('../config/email');
+const { queueEmail } = require('./email');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Only a hash of each reset token is stored; the token itself is only
+ * ever in the emailed link
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a reset token for a user and queue the email with its link
+ * Any earlier unused tokens for the user stop working.
+ */
+const requestPasswordReset = async (client, user, now = new Date()) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await client.$transaction(async (tx) => {
+    await tx.passwordReset.deleteMany({ where: { userId: user.id, usedAt: null } });
+    await tx.passwordReset.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashResetToken(token),
+        expiresAt: new Date(now.getTime() + PASSWORD_RESET.ttlMinutes * MINUTE_MS)
+      }
+    });
+    await queueEmail(tx, {
+      template: 'password_reset',
+      to: user.email,
+      data: {
+        name: user.name || user.username,
+        resetUrl: `${EMAIL.appUrl}/reset_password.html?token=${token}`,
+        expiresMinutes: PASSWORD_RESET.ttlMinutes
+      }
+    });
+  });
+};
+
+/**
+ * The unused, unexpired reset for a token, with its user, or null
+ */
+const findValidReset = (client, token, now = new Date()) => client.passwordReset.findFirst({
+  where: { tokenHash: hashResetToken(token), usedAt: null, expiresAt: { gt: now } },
+  include: { user: true }
+});
+
+module.exports = { hashResetToken, requestPasswordReset, findValidReset };
@@ -0,0 +1,32 @@
+// src/services/persons.js
+
+/**
+ * Roles a person can hold on a case
+ */
+const PERSON_ROLES = ['suspect', 'victim', 'witness', 'complainant'];
+
+/**
+ * Split a free-text name into first / last / other names
+ * "Ada Chioma Obi" -> { firstName: 'Ada', lastName: 'Obi', otherNames: 'Chioma' }
+ */
+const splitFullName = (fullName) => {
+  const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return { firstName: parts[0], lastName: null, otherNames: null };
+
+  return {
+    firstName: parts[0],
+    lastName: parts[parts.length - 1],
+    otherNames: parts.length > 2 ? parts.slice(1, -1).join(' ') : null
+  };
+};
+
+/**
+ * Get a display name for a person
+ */
+const getPersonName = (person) => {
+  return [person.firstName, person.otherNames, person.lastName].filter(Boolean).join(' ');
+};
+
+module.exports = { PERSON_ROLES, splitFullName, getPersonName };
@@ -0,0 +1,66 @@
+// src/services/recordLifecycle.js
+
+/**
+ * Records that have not been soft-deleted (archived records included)
+ * Use for lookups by ID, statistics and related-record queries.
+ */
+const NOT_DELETED = { deletedAt: null };
+
+/**
+ * Filter for list endpoints from the `archived` query parameter
+ *   (unset) - live records only
+ *   'true'  - archived records only
+ *   'all'   - live and archived records
+ */
+const listingFilter = (archived = undefined) => {
+  if (archived === 'all') return { deletedAt: null };
+  if (archived === 'true') return { deletedAt: null, archivedAt: { not: null } };
+  return { deletedAt: null, archivedAt: null };
+};
+
+/**
+ * Update data for soft-deleting a record
+ */
+const softDeleteData = (userId) => ({
+  deletedAt: new Date(),
+  deletedById: userId
+});
+
+/**
+ * Update data for restoring a record
+ * A deleted record comes back in the state it was deleted from (archived or
+ * not); restoring an archived record un-archives it.
+ */
+const restoreData = (record) => (
+  record.deletedAt
+    ? { deletedAt: null, deletedById: null }
+    : { archivedAt: null }
+);
+
+/**
+ * Build the activity log entry for an archive / delete / restore
+ * `entity` is 'case', 'incident' or 'report'; `ref` is the human-readable ID.
+ */
+const buildLifecycleLog = ({ entity, ref, action, userId, wasDeleted = false }) => {
+  const label = entity.charAt(0).toUpperCase() + entity.slice(1);
+  const verbs = {
+    archive: 'archived',
+    delete: 'moved to the recycle bin',
+    restore: wasDeleted ? 'restored from the recycle bin' : 'restored from the archive'
+  };
+
+  return {
+    message: `${label} ${ref} ${verbs[action]}`,
+    action: `${action}_${entity}`,
+    userId,
+    metadata: JSON.stringify({ entity, ref })
+  };
+};
+
+module.exports = {
+  NOT_DELETED,
+  listingFilter,
+  softDeleteData,
+  restoreData,
+  buildLifecycleLog
+};
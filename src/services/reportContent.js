@@ -0,0 +1,117 @@
+// src/services/reportContent.js
+
+const crypto = require('crypto');
+const { REPORT_TYPES } = require('./reportData');
+const { getReportStatusLabel, formatApprovalChain } = require('./reportWorkflow');
+
+/**
+ * Dates in documents are written in UTC so every copy of a report reads the same
+ */
+const formatTimestamp = (value) => {
+  if (!value) return '-';
+  const iso = new Date(value).toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+};
+
+const formatDay = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+
+/**
+ * Parse the data snapshot stored on a report (null for reports made before snapshots)
+ */
+const parseReportData = (report) => {
+  if (!report.data) return null;
+  try {
+    return JSON.parse(report.data);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * One line stating where the report stands, e.g. for page footers
+ */
+const describeSignOff = (report, chain) => {
+  if (report.status !== 'approved') return `${getReportStatusLabel(report.status)} - not approved`;
+
+  const approval = [...chain].reverse().find(r => r.action === 'approve');
+  const submission = [...chain].reverse().find(r => r.action === 'submit');
+  if (!approval) return 'Approved';
+
+  return `Approved by ${approval.by} on ${formatTimestamp(approval.at)}` +
+    (submission ? `, submitted by ${submission.by} on ${formatTimestamp(submission.at)}` : '');
+};
+
+/**
+ * Build the printable content of a report, independent of output format
+ * `report` must include generatedBy, case and reviews (with user). The result is
+ *   { title, reference, metadata, summary, tables: [{ title, columns, rows }], notes, approvals, signOff }
+ * where metadata, summary and approvals are [[label, value]], each column is
+ * { header, width } (width is a relative weight) and each row an array of
+ * strings in column order.
+ */
+const buildReportContent = (report) => {
+  const title = REPORT_TYPES[report.type]?.label || report.type;
+  const snapshot = parseReportData(report);
+  const chain = formatApprovalChain(report.reviews);
+  const tables = [...(snapshot?.tables || [])];
+
+  // Case file reports already open with the case in full
+  if (report.case && !REPORT_TYPES[report.type]?.requiresCase) {
+    tables.push({
+      title: 'Linked case',
+      columns: [
+        { header: 'Case ID', width: 1 },
+        { header: 'Type', width: 1.2 },
+        { header: 'Status', width: 1 },
+        { header: 'Priority', width: 0.8 },
+        { header: 'Location', width: 1.5 },
+        { header: 'Reported', width: 1 }
+      ],
+      rows: [[
+        report.case.caseId,
+        report.case.type,
+        report.case.status,
+        report.case.priority,
+        report.case.location || '-',
+        formatDay(report.case.reported)
+      ]]
+    });
+  }
+
+  return {
+    title,
+    reference: report.reportId,
+    metadata: [
+      ['Report ID', report.reportId],
+      ['Report type', title],
+      ['Generated by', report.generatedBy?.name || report.generatedBy?.username || 'Unknown'],
+      ['Generated on', formatTimestamp(report.date)],
+      ['Period', snapshot?.period ? `${snapshot.period.start} to ${snapshot.period.end}` : '-'],
+      ['Linked case', report.case?.caseId || 'None'],
+      ['Status', getReportStatusLabel(report.status)]
+    ],
+    summary: snapshot?.summary || [],
+    tables,
+    notes: report.notes || null,
+    approvals: chain.map(r => [
+      r.label,
+      `${r.by} on ${formatTimestamp(r.at)}${r.comment ? ` - ${r.comment}` : ''}`
+    ]),
+    signOff: describeSignOff(report, chain)
+  };
+};
+
+/**
+ * SHA-256 of the report content, printed on documents so copies can be checked
+ */
+const hashReportContent = (content) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(content))
+  .digest('hex');
+
+module.exports = {
+  formatTimestamp,
+  parseReportData,
+  buildReportContent,
+  hashReportContent
+};
@@ -0,0 +1,514 @@
+// src/services/reportData.js
+
+const workflow = require('./caseWorkflow');
+const officers = require('./officers');
+const { NOT_DELETED } = require('./recordLifecycle');
+const { nextSequenceId } = require('./sequences');
+const { getSystemSetting } = require('./settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Listing tables stop here so a report over a long period stays a sensible size
+const MAX_LISTED_ROWS = 5000;
+
+const formatDay = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+const formatTime = (value) => (value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : '-');
+
+const share = (count, total) => (total > 0 ? `${((count / total) * 100).toFixed(1)}%` : '-');
+
+/**
+ * Title for a listing table, noting when rows were cut off
+ */
+const listingTitle = (title, shown, total) => (
+  shown < total ? `${title} (first ${shown} of ${total})` : title
+);
+
+/**
+ * Count table from a groupBy result, largest first
+ */
+const countTable = (title, header, groups, field, total, label = (v) => v) => ({
+  title,
+  columns: [
+    { header, width: 2 },
+    { header: 'Count', width: 1 },
+    { header: 'Share', width: 1 }
+  ],
+  rows: [...groups]
+    .sort((a, b) => b._count._all - a._count._all)
+    .map(g => [label(g[field]) ?? 'Unspecified', String(g._count._all), share(g._count._all, total)])
+});
+
+/**
+ * Cases reported in the period, listed with their current state
+ */
+const caseSummary = async (client, { start, end }) => {
+  const where = { ...NOT_DELETED, reported: { gte: start, lt: end } };
+
+  const [total, statusCounts, highPriority, cases] = await Promise.all([
+    client.caseFile.count({ where }),
+    client.caseFile.groupBy({ by: ['status'], where, _count: { _all: true } }),
+    client.caseFile.count({ where: { ...where, priority: 'high' } }),
+    client.caseFile.findMany({
+      where,
+      include: { officer: { select: officers.ASSIGNED_OFFICER_SELECT } },
+      orderBy: { reported: 'asc' },
+      take: MAX_LISTED_ROWS
+    })
+  ]);
+
+  const groups = workflow.countByGroup(statusCounts);
+
+  return {
+    summary: [
+      ['Cases reported', total],
+      ['Open', groups.open],
+      ['Under investigation', groups.investigation],
+      ['Resolved or closed', groups.resolved],
+      ['High priority', highPriority]
+    ],
+    tables: [{
+      title: listingTitle('Cases reported', cases.length, total),
+      columns: [
+        { header: 'Case ID', width: 1 },
+        { header: 'Type', width: 1.2 },
+        { header: 'Status', width: 1.2 },
+        { header: 'Priority', width: 0.8 },
+        { header: 'Officer', width: 1.5 },
+        { header: 'Location', width: 1.5 },
+        { header: 'Reported', width: 1 }
+      ],
+      rows: cases.map(c => [
+        c.caseId,
+        c.type,
+        workflow.getStatusLabel(c.status),
+        c.priority,
+        officers.formatAssignedOfficer(c.officer)?.name || 'Unassigned',
+        c.location,
+        formatDay(c.reported)
+      ])
+    }]
+  };
+};
+
+/**
+ * Activity log entries in the period
+ */
+const activity = async (client, { start, end }) => {
+  const where = { timestamp: { gte: start, lt: end } };
+
+  const [total, byAction, byUser, logs] = await Promise.all([
+    client.activitylog.count({ where }),
+    client.activitylog.groupBy({ by: ['action'], where, _count: { _all: true } }),
+    client.activitylog.groupBy({ by: ['userId'], where, _count: { _all: true } }),
+    client.activitylog.findMany({
+      where,
+      include: { user: { select: { username: true, name: true } } },
+      orderBy: { timestamp: 'asc' },
+      take: MAX_LISTED_ROWS
+    })
+  ]);
+
+  return {
+    summary: [
+      ['Log entries', total],
+      ['Distinct actions', byAction.length],
+      ['Active users', byUser.filter(g => g.userId !== null).length]
+    ],
+    tables: [
+      countTable('Entries by action', 'Action', byAction, 'action', total),
+      {
+        title: listingTitle('Activity log', logs.length, total),
+        columns: [
+          { header: 'Time (UTC)', width: 1.1 },
+          { header: 'User', width: 1 },
+          { header: 'Action', width: 1.1 },
+          { header: 'Details', width: 3 }
+        ],
+        rows: logs.map(l => [
+          formatTime(l.timestamp),
+          l.user?.name || l.user?.username || 'System',
+          l.action || '-',
+          l.message || ''
+        ])
+      }
+    ]
+  };
+};
+
+/**
+ * Case and incident counts for the period, broken down by type, status and priority
+ */
+const statistics = async (client, { start, end }) => {
+  const caseWhere = { ...NOT_DELETED, reported: { gte: start, lt: end } };
+  const incidentWhere = { ...NOT_DELETED, timestamp: { gte: start, lt: end } };
+
+  const [caseTotal, byType, byStatus, byPriority, incidentTotal, incidentsByType] = await Promise.all([
+    client.caseFile.count({ where: caseWhere }),
+    client.caseFile.groupBy({ by: ['type'], where: caseWhere, _count: { _all: true } }),
+    client.caseFile.groupBy({ by: ['status'], where: caseWhere, _count: { _all: true } }),
+    client.caseFile.groupBy({ by: ['priority'], where: caseWhere, _count: { _all: true } }),
+    client.incident.count({ where: incidentWhere }),
+    client.incident.groupBy({ by: ['type'], where: incidentWhere, _count: { _all: true } })
+  ]);
+
+  const groups = workflow.countByGroup(byStatus);
+
+  return {
+    summary: [
+      ['Cases reported', caseTotal],
+      ['Incidents logged', incidentTotal],
+      ['Resolved or closed', groups.resolved],
+      ['Clearance rate', share(groups.resolved, caseTotal)]
+    ],
+    tables: [
+      countTable('Cases by type', 'Type', byType, 'type', caseTotal),
+      countTable('Cases by status', 'Status', byStatus, 'status', caseTotal, workflow.getStatusLabel),
+      countTable('Cases by priority', 'Priority', byPriority, 'priority', caseTotal),
+      countTable('Incidents by type', 'Type', incidentsByType, 'type', incidentTotal)
+    ]
+  };
+};
+
+/**
+ * Cases assigned to each officer in the period, with their current caseload
+ */
+const personnel = async (client, { start, end }) => {
+  const caseWhere = { ...NOT_DELETED, reported: { gte: start, lt: end } };
+
+  const [officerList, assigned, unassigned] = await Promise.all([
+    client.officer.findMany({ orderBy: { badge: 'asc' } }),
+    client.caseFile.groupBy({
+      by: ['officerId', 'status'],
+      where: { ...caseWhere, officerId: { not: null } },
+      _count: { _all: true }
+    }),
+    client.caseFile.count({ where: { ...caseWhere, officerId: null } })
+  ]);
+
+  const resolvedStatuses = workflow.getStatusesInGroup('resolved');
+  const byUser = new Map();
+  assigned.forEach(g => {
+    const c = byUser.get(g.officerId) || { assigned: 0, resolved: 0 };
+    c.assigned += g._count._all;
+    if (resolvedStatuses.includes(g.status)) c.resolved += g._count._all;
+    byUser.set(g.officerId, c);
+  });
+
+  const totalAssigned = [...byUser.values()].reduce((sum, c) => sum + c.assigned, 0);
+
+  return {
+    summary: [
+      ['Officers', officerList.length],
+      ['Available', officerList.filter(o => o.status === 'available').length],
+      ['Cases assigned in period', totalAssigned],
+      ['Cases left unassigned', unassigned]
+    ],
+    tables: [{
+      title: 'Officer performance',
+      columns: [
+        { header: 'Badge', width: 0.7 },
+        { header: 'Name', width: 1.5 },
+        { header: 'Rank', width: 1 },
+        { header: 'Unit', width: 1.2 },
+        { header: 'Status', width: 0.9 },
+        { header: 'Assigned', width: 0.8 },
+        { header: 'Resolved', width: 0.8 },
+        { header: 'Resolution rate', width: 0.9 },
+        { header: 'Active now', width: 0.8 }
+      ],
+      rows: officerList.map(o => {
+        const c = (o.userId && byUser.get(o.userId)) || { assigned: 0, resolved: 0 };
+        return [
+          String(o.badge),
+          `${o.firstName} ${o.lastName}`,
+          o.rank_,
+          o.unit,
+          o.status,
+          String(c.assigned),
+          String(c.resolved),
+          share(c.resolved, c.assigned),
+          String(o.activeCases)
+        ];
+      })
+    }]
+  };
+};
+
+/**
+ * One case in full: its details, people, evidence and linked incidents,
+ * with the notes written during the period
+ */
+const caseFile = async (client, { start, end, caseId }) => {
+  const userSelect = { select: { username: true, name: true } };
+  const noteWhere = { caseId, createdAt: { gte: start, lt: end } };
+
+  const [record, persons, evidenceItems, noteTotal, notes, incidents] = await Promise.all([
+    client.caseFile.findUnique({
+      where: { id: caseId },
+      include: { officer: { select: officers.ASSIGNED_OFFICER_SELECT } }
+    }),
+    client.casePerson.findMany({ where: { caseId }, include: { person: true }, orderBy: { id: 'asc' } }),
+    client.evidence.findMany({ where: { caseId }, include: { custodian: userSelect }, orderBy: { id: 'asc' } }),
+    client.caseNote.count({ where: noteWhere }),
+    client.caseNote.findMany({
+      where: noteWhere,
+      include: { author: userSelect },
+      orderBy: { createdAt: 'asc' },
+      take: MAX_LISTED_ROWS
+    }),
+    client.incident.findMany({ where: { ...NOT_DELETED, caseId }, orderBy: { timestamp: 'asc' } })
+  ]);
+
+  return {
+    summary: [
+      ['Case ID', record.caseId],
+      ['Type', record.type],
+      ['Status', workflow.getStatusLabel(record.status)],
+      ['Priority', record.priority],
+      ['Assigned officer', officers.formatAssignedOfficer(record.officer)?.name || 'Unassigned'],
+      ['Location', record.location],
+      ['Reported', formatDay(record.reported)],
+      ['Legal hold', record.legalHold ? 'Yes' : 'No'],
+      ['Persons linked', persons.length],
+      ['Evidence items', evidenceItems.length],
+      ['Notes in period', noteTotal]
+    ],
+    tables: [
+      {
+        title: 'Description',
+        columns: [{ header: 'Description', width: 1 }],
+        rows: [[record.description || 'No description']]
+      },
+      {
+        title: 'Persons involved',
+        columns: [
+          { header: 'Name', width: 1.5 },
+          { header: 'Role', width: 1 },
+          { header: 'National ID', width: 1 },
+          { header: 'Phone', width: 1 }
+        ],
+        rows: persons.map(p => [
+          [p.person.firstName, p.person.otherNames, p.person.lastName].filter(Boolean).join(' '),
+          p.role,
+          p.person.nationalId || '-',
+          p.person.phone || '-'
+        ])
+      },
+      {
+        title: 'Evidence',
+        columns: [
+          { header: 'File', width: 1.5 },
+          { header: 'Category', width: 0.9 },
+          { header: 'Status', width: 0.9 },
+          { header: 'Custodian', width: 1 },
+          { header: 'SHA-256', width: 1.2 },
+          { header: 'Added', width: 0.8 }
+        ],
+        rows: evidenceItems.map(e => [
+          e.fileName,
+          e.category,
+          e.status,
+          e.custodian?.name || e.custodian?.username || '-',
+          `${e.sha256.slice(0, 16)}...`,
+          formatDay(e.createdAt)
+        ])
+      },
+      {
+        title: listingTitle('Notes in period', notes.length, noteTotal),
+        columns: [
+          { header: 'Time (UTC)', width: 1.1 },
+          { header: 'Author', width: 1 },
+          { header: 'Type', width: 0.8 },
+          { header: 'Note', width: 3 }
+        ],
+        rows: notes.map(n => [
+          formatTime(n.createdAt),
+          n.author?.name || n.author?.username || 'Unknown',
+          n.type,
+          n.redacted ? '[Redacted]' : n.content
+        ])
+      },
+      {
+        title: 'Linked incidents',
+        columns: [
+          { header: 'Type', width: 1 },
+          { header: 'Priority', width: 0.8 },
+          { header: 'Status', width: 0.8 },
+          { header: 'Address', width: 2 },
+          { header: 'Time (UTC)', width: 1.1 }
+        ],
+        rows: incidents.map(i => [i.type, i.priority, i.status, i.address, formatTime(i.timestamp)])
+      }
+    ]
+  };
+};
+
+/**
+ * Report types and the query each one runs
+ * `custom` combines the sections chosen in parameters.sections; `requiresCase`
+ * types are generated for one linked case.
+ */
+const REPORT_TYPES = {
+  case_summary: { label: 'Case Summary', generate: caseSummary },
+  activity: { label: 'Activity Report', generate: activity },
+  statistics: { label: 'Crime Statistics', generate: statistics },
+  personnel: { label: 'Personnel Performance', generate: personnel },
+  case_file: { label: 'Case File', generate: caseFile, requiresCase: true },
+  custom: { label: 'Custom Report', generate: null }
+};
+
+const CUSTOM_SECTIONS = ['case_summary', 'statistics', 'activity', 'personnel'];
+
+/**
+ * Parse a YYYY-MM-DD date as midnight UTC
+ */
+const parseDay = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validate a report request
+ * `caseId` is the linked case's row id, if any.
+ * Returns { period, parameters } or an error payload with statusCode.
+ */
+const validateReportRequest = ({ type, startDate, endDate, parameters, caseId = null }) => {
+  if (!REPORT_TYPES[type]) {
+    return {
+      error: {
+        statusCode: 400,
+        error: `Report type must be one of: ${Object.keys(REPORT_TYPES).join(', ')}`,
+        code: 'INVALID_REPORT_TYPE'
+      }
+    };
+  }
+
+  if (REPORT_TYPES[type].requiresCase && !caseId) {
+    return {
+      error: {
+        statusCode: 400,
+        error: `${REPORT_TYPES[type].label} reports must be generated for a case`,
+        code: 'CASE_REQUIRED'
+      }
+    };
+  }
+
+  const start = parseDay(startDate);
+  const end = parseDay(endDate);
+  if (!start || !end) {
+    return {
+      error: {
+        statusCode: 400,
+        error: 'Start and end dates are required (YYYY-MM-DD)',
+        code: 'MISSING_FIELDS'
+      }
+    };
+  }
+
+  if (start > end) {
+    return {
+      error: {
+        statusCode: 400,
+        error: 'Start date must be on or before the end date',
+        code: 'INVALID_PERIOD'
+      }
+    };
+  }
+
+  let normalized = {};
+  if (type === 'custom') {
+    const sections = Array.isArray(parameters?.sections) ? [...new Set(parameters.sections)] : [];
+    const unknown = sections.filter(s => !CUSTOM_SECTIONS.includes(s));
+    if (sections.length === 0 || unknown.length > 0) {
+      return {
+        error: {
+          statusCode: 400,
+          error: `Custom reports need one or more sections from: ${CUSTOM_SECTIONS.join(', ')}`,
+          code: 'INVALID_PARAMETERS'
+        }
+      };
+    }
+    normalized = { sections };
+  }
+
+  return { period: { start, end }, parameters: normalized };
+};
+
+/**
+ * Run a report's queries and return the snapshot stored on the report
+ * The period end is inclusive: records from the whole of the end day are counted.
+ * `caseId` (row id) is passed on for types generated for a case.
+ */
+const generateReportData = async (client, type, options = {}) => {
+  const { period, parameters, caseId = null } = options;
+  const range = { start: period.start, end: new Date(period.end.getTime() + DAY_MS), caseId };
+  const sections = type === 'custom' ? parameters.sections : [type];
+
+  const results = [];
+  for (const section of sections) {
+    results.push({ section, ...(await REPORT_TYPES[section].generate(client, range)) });
+  }
+
+  // Custom reports prefix each summary line with its section so they stay distinguishable
+  const prefix = (section, label) => (type === 'custom' ? `${REPORT_TYPES[section].label}: ${label}` : label);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    period: { start: formatDay(period.start), end: formatDay(period.end) },
+    summary: results.flatMap(r => r.summary.map(([label, value]) => [prefix(r.section, label), String(value)])),
+    tables: results.flatMap(r => r.tables)
+  };
+};
+
+/**
+ * Snapshot a validated request (see validateReportRequest) and store it as a report
+ * The report is attributed to `user`, whose department picks the ID prefix,
+ * and linked to the case with row id `caseId` when given.
+ * Resolves with the created report and the snapshot data.
+ */
+const createReportRecord = async (client, options = {}) => {
+  const { type, request, format, notes = null, user, scheduleId = null, caseId = null } = options;
+
+  // Snapshot the data now so the report reads the same whenever it is opened
+  const data = await generateReportData(client, type, { ...request, caseId });
+
+  const reportId = await nextSequenceId(client, 'report', { department: user.department });
+
+  const report = await client.report.create({
+    data: {
+      reportId,
+      type,
+      format: format || await getSystemSetting(client, 'defaultReportFormat'),
+      notes,
+      periodStart: request.period.start,
+      periodEnd: request.period.end,
+      parameters: JSON.stringify(request.parameters),
+      data: JSON.stringify(data),
+      generatedById: user.id,
+      scheduleId,
+      caseId
+    },
+    include: {
+      generatedBy: {
+        select: {
+          username: true,
+          name: true
+        }
+      },
+      case: {
+        select: { caseId: true }
+      }
+    }
+  });
+
+  return { report, data };
+};
+
+module.exports = {
+  REPORT_TYPES,
+  CUSTOM_SECTIONS,
+  validateReportRequest,
+  generateReportData,
+  createReportRecord
+};
@@ -0,0 +1,124 @@
+// src/services/reportIntegrity.js
+
+const crypto = require('crypto');
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud or retyped
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 16;
+const CODE_PATTERN = /\b[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}\b/;
+
+const getSigningSecret = () => {
+  if (!process.env.REPORT_SIGNING_SECRET) {
+    throw new Error('REPORT_SIGNING_SECRET is not defined in environment variables');
+  }
+  return process.env.REPORT_SIGNING_SECRET;
+};
+
+/**
+ * Check the signing secret is set
+ * Called at startup: without it no report can be approved or verified, so
+ * production refuses to start and other environments get a warning.
+ */
+const checkSigningConfig = () => {
+  if (process.env.REPORT_SIGNING_SECRET) return;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('REPORT_SIGNING_SECRET is not defined in environment variables');
+  }
+  console.warn('REPORT_SIGNING_SECRET is not set; reports can\'t be approved or verified until it is');
+};
+
+/**
+ * The exact text that is signed for a report
+ */
+const signingPayload = ({ reportId, contentHash, signedAt }) => (
+  `${reportId}\n${contentHash}\n${new Date(signedAt).toISOString()}`
+);
+
+const hmac = (payload) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(payload)
+  .digest('hex');
+
+/**
+ * Short code printed on issued documents, derived from the signature
+ * e.g. "7K2D-9QXM-A4TB-H1RZ"
+ */
+const toVerificationCode = (signature) => {
+  const bytes = Buffer.from(signature, 'hex');
+  let bits = 0;
+  let value = 0;
+  let code = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5 && code.length < CODE_LENGTH) {
+      code += CODE_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+    if (code.length === CODE_LENGTH) break;
+  }
+
+  return code.match(/.{4}/g).join('-');
+};
+
+/**
+ * Sign a finalized report's content hash
+ * Returns the fields stored on the report.
+ */
+const signReport = ({ reportId, contentHash, signedAt }) => {
+  const signature = hmac(signingPayload({ reportId, contentHash, signedAt }));
+  return {
+    contentHash,
+    signature,
+    verificationCode: toVerificationCode(signature),
+    signedAt
+  };
+};
+
+/**
+ * Check a stored signature against the report's stored hash and signing time
+ */
+const isSignatureValid = (report) => {
+  if (!report.signature || !report.contentHash || !report.signedAt) return false;
+
+  const expected = Buffer.from(hmac(signingPayload(report)), 'hex');
+  const actual = Buffer.from(report.signature, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Normalize a typed code: case, spacing and look-alike letters are forgiven
+ * Returns null if it can't be a verification code.
+ */
+const normalizeVerificationCode = (input) => {
+  const raw = String(input || '')
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, '')
+    .replace(/[IL]/g, '1')
+    .replace(/O/g, '0');
+
+  if (raw.length !== CODE_LENGTH || [...raw].some(c => !CODE_ALPHABET.includes(c))) return null;
+  return raw.match(/.{4}/g).join('-');
+};
+
+/**
+ * Find a verification code printed in a text document (e.g. a CSV export)
+ */
+const findVerificationCode = (buffer) => {
+  const match = buffer.toString('utf8').match(CODE_PATTERN);
+  return match ? match[0] : null;
+};
+
+const hashFile = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+module.exports = {
+  checkSigningConfig,
+  signReport,
+  isSignatureValid,
+  normalizeVerificationCode,
+  findVerificationCode,
+  hashFile
+};
@@ -0,0 +1,225 @@
+// src/services/reportPdf.js
+
+const PDFDocument = require('pdfkit');
+const { formatTimestamp } = require('./reportContent');
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 56;
+const CELL_PADDING = 4;
+
+const COLORS = {
+  primary: '#0b4d2c',
+  text: '#222222',
+  muted: '#666666',
+  border: '#c8c8c8',
+  headerFill: '#e4ede7',
+  stripeFill: '#f7f7f7'
+};
+
+/**
+ * Force letterhead: a simple drawn emblem (no image files, so rendering
+ * works offline) beside the force name, with a rule underneath
+ */
+const drawLetterhead = (doc) => {
+  const top = MARGIN;
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  doc.save()
+    .circle(left + 24, top + 24, 24).lineWidth(2).stroke(COLORS.primary)
+    .circle(left + 24, top + 24, 19).lineWidth(0.75).stroke(COLORS.primary)
+    .restore();
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.primary)
+    .text('NPF', left, top + 19, { width: 48, align: 'center' });
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.primary)
+    .text('NIGERIA POLICE FORCE', left + 62, top + 6);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text('Crime Records Management System', left + 62, top + 27)
+    .text('OFFICIAL - Handle in accordance with force records policy', left + 62, top + 38);
+
+  doc.moveTo(left, top + 58).lineTo(right, top + 58).lineWidth(1.5).stroke(COLORS.primary);
+
+  doc.x = left;
+  doc.y = top + 72;
+};
+
+const drawTitle = (doc, content) => {
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text)
+    .text(content.title, { align: 'left' });
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(`Reference ${content.reference}`);
+  doc.moveDown(0.8);
+};
+
+/**
+ * Two-column label / value block
+ */
+const drawMetadata = (doc, metadata) => {
+  const left = doc.page.margins.left;
+  const labelWidth = 110;
+  const valueWidth = doc.page.width - doc.page.margins.right - left - labelWidth;
+
+  metadata.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted)
+      .text(label, left, y, { width: labelWidth });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.text)
+      .text(String(value), left + labelWidth, y, { width: valueWidth });
+    doc.y = Math.max(doc.y, y + 13);
+  });
+
+  doc.x = left;
+  doc.moveDown(1);
+};
+
+const drawSummary = (doc, summary) => {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.primary).text('Summary');
+  doc.moveDown(0.3);
+  drawMetadata(doc, summary);
+};
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Table with a shaded header row that repeats on every page it spans
+ */
+const drawTable = (doc, table) => {
+  const left = doc.page.margins.left;
+  const totalWidth = doc.page.width - doc.page.margins.right - left;
+  const totalWeight = table.columns.reduce((sum, c) => sum + (c.width || 1), 0);
+  const widths = table.columns.map(c => ((c.width || 1) / totalWeight) * totalWidth);
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(8);
+    return Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), {
+      width: widths[i] - CELL_PADDING * 2
+    }))) + CELL_PADDING * 2;
+  };
+
+  const drawRow = (cells, { font, fill = null }) => {
+    const height = rowHeight(cells, font);
+    const y = doc.y;
+    let x = left;
+
+    if (fill) doc.save().rect(left, y, totalWidth, height).fill(fill).restore();
+
+    cells.forEach((cell, i) => {
+      doc.rect(x, y, widths[i], height).lineWidth(0.5).stroke(COLORS.border);
+      doc.font(font).fontSize(8).fillColor(COLORS.text)
+        .text(String(cell ?? ''), x + CELL_PADDING, y + CELL_PADDING, { width: widths[i] - CELL_PADDING * 2 });
+      x += widths[i];
+    });
+
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const headers = table.columns.map(c => c.header);
+  const drawHeader = () => drawRow(headers, { font: 'Helvetica-Bold', fill: COLORS.headerFill });
+
+  // Keep the title with the header and at least one row
+  ensureSpace(doc, 20 + rowHeight(headers, 'Helvetica-Bold') * 2);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.primary).text(table.title, left, doc.y);
+  doc.moveDown(0.3);
+  drawHeader();
+
+  if (table.rows.length === 0) {
+    drawRow(['No records for this period', ...headers.slice(1).map(() => '')], { font: 'Helvetica-Oblique' });
+  }
+
+  table.rows.forEach((row, index) => {
+    if (ensureSpace(doc, rowHeight(row, 'Helvetica'))) drawHeader();
+    drawRow(row, { font: 'Helvetica', fill: index % 2 === 1 ? COLORS.stripeFill : null });
+  });
+
+  doc.moveDown(1);
+};
+
+const drawNotes = (doc, notes) => {
+  ensureSpace(doc, 40);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.primary).text('Notes');
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.text).text(notes);
+  doc.moveDown(1);
+};
+
+const drawApprovals = (doc, approvals) => {
+  ensureSpace(doc, 40);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.primary).text('Approval history');
+  doc.moveDown(0.3);
+  drawMetadata(doc, approvals);
+};
+
+/**
+ * Footer on every page: generating user, date, page number, sign-off, and the
+ * verification code (issued reports only) and hash
+ * The bottom margin is lifted while writing so the footer can't spill onto a new page.
+ */
+const drawFooters = (doc, { generatedBy, generatedAt, hash, signOff, verificationCode }) => {
+  const range = doc.bufferedPageRange();
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const top = doc.page.height - FOOTER_HEIGHT;
+
+    doc.moveTo(left, top).lineTo(left + width, top).lineWidth(0.5).stroke(COLORS.border);
+
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(`Generated by ${generatedBy} on ${formatTimestamp(generatedAt)}`, left, top + 6, { width, align: 'left' })
+      .text(`Page ${i - range.start + 1} of ${range.count}`, left, top + 6, { width, align: 'right' })
+      .text(signOff, left, top + 18, { width, align: 'left', height: 10, ellipsis: true });
+    doc.font('Courier').fontSize(7)
+      .text(`${verificationCode ? `Verification code: ${verificationCode}   ` : ''}SHA-256: ${hash}`, left, top + 31, { width, align: 'left' });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+/**
+ * Render report content (see buildReportContent) to a PDF
+ * Resolves with the file as a Buffer.
+ */
+const renderReportPdf = (content, { generatedBy, generatedAt, hash, verificationCode = null }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN, left: MARGIN, right: MARGIN, bottom: MARGIN + FOOTER_HEIGHT },
+    bufferPages: true,
+    info: {
+      Title: `${content.title} ${content.reference}`,
+      Author: 'Nigeria Police Force',
+      Subject: content.reference,
+      Creator: 'NPF CRM'
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  drawLetterhead(doc);
+  drawTitle(doc, content);
+  drawMetadata(doc, content.metadata);
+  if (content.summary.length > 0) drawSummary(doc, content.summary);
+  content.tables.forEach(table => drawTable(doc, table));
+  if (content.notes) drawNotes(doc, content.notes);
+  if (content.approvals.length > 0) drawApprovals(doc, content.approvals);
+  drawFooters(doc, { generatedBy, generatedAt, hash, signOff: content.signOff, verificationCode });
+
+  doc.end();
+});
+
+module.exports = { renderReportPdf };
@@ -0,0 +1,207 @@
+// src/services/reportSchedules.js
+
+const { SCHEDULE_PERIODS } = require('../config/reportSchedules');
+const { SETTINGS } = require('../config/settings');
+const { validateCron, nextCronRun } = require('./cron');
+const { REPORT_TYPES, validateReportRequest, createReportRecord } = require('./reportData');
+const { queueEmail } = require('./email');
+
+const REPORT_FORMATS = SETTINGS.system.defaultReportFormat.values;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * The window a run covers, as YYYY-MM-DD start and end dates (end inclusive)
+ * Every window ends the day before the run.
+ */
+const reportPeriod = (period, runAt) => {
+  const y = runAt.getUTCFullYear();
+  const m = runAt.getUTCMonth();
+  const d = runAt.getUTCDate();
+
+  if (period === 'month') {
+    return { startDate: formatDay(new Date(Date.UTC(y, m - 1, 1))), endDate: formatDay(new Date(Date.UTC(y, m, 0))) };
+  }
+
+  const days = period === 'day' ? 1 : 7;
+  return { startDate: formatDay(new Date(Date.UTC(y, m, d - days))), endDate: formatDay(new Date(Date.UTC(y, m, d - 1))) };
+};
+
+const invalid = (error, code) => ({ error: { statusCode: 400, error, code } });
+
+/**
+ * Validate a new schedule
+ * Returns { data } ready for reportSchedule.create (without ownerId) or an error payload.
+ */
+const validateSchedule = (body, now = new Date()) => {
+  const { name, reportType, recurrence, period = 'week', format, parameters, recipients = [] } = body;
+
+  if (!name || !String(name).trim() || !reportType || !recurrence) {
+    return invalid('Name, report type and recurrence are required', 'MISSING_FIELDS');
+  }
+
+  if (String(name).trim().length > 100) {
+    return invalid('Name must be at most 100 characters', 'INVALID_NAME');
+  }
+
+  if (!SCHEDULE_PERIODS[period]) {
+    return invalid(`Period must be one of: ${Object.keys(SCHEDULE_PERIODS).join(', ')}`, 'INVALID_PERIOD');
+  }
+
+  if (format && !REPORT_FORMATS.includes(format)) {
+    return invalid(`Format must be one of: ${REPORT_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+
+  const cronError = validateCron(recurrence);
+  if (cronError) return invalid(cronError, 'INVALID_RECURRENCE');
+
+  const nextRunAt = nextCronRun(recurrence, now);
+  if (!nextRunAt) return invalid('Recurrence never matches a real date', 'INVALID_RECURRENCE');
+
+  if (!Array.isArray(recipients) || recipients.some(r => typeof r !== 'string' || !EMAIL_PATTERN.test(r.trim()))) {
+    return invalid('Recipients must be a list of email addresses', 'INVALID_RECIPIENTS');
+  }
+
+  // Checks the report type and its parameters the same way a manual report would
+  const request = validateReportRequest({ type: reportType, ...reportPeriod(period, now), parameters });
+  if (request.error) return { error: request.error };
+
+  return {
+    data: {
+      name: String(name).trim(),
+      reportType,
+      recurrence: String(recurrence).trim(),
+      period,
+      format: format || null,
+      parameters: JSON.stringify(request.parameters),
+      recipients: JSON.stringify([...new Set(recipients.map(r => r.trim().toLowerCase()))]),
+      status: 'active',
+      nextRunAt
+    }
+  };
+};
+
+/**
+ * Format a schedule for the API response
+ */
+const formatSchedule = (schedule) => ({
+  id: schedule.id,
+  name: schedule.name,
+  reportType: schedule.reportType,
+  reportLabel: REPORT_TYPES[schedule.reportType]?.label || schedule.reportType,
+  recurrence: schedule.recurrence,
+  period: schedule.period,
+  format: schedule.format,
+  parameters: schedule.parameters ? JSON.parse(schedule.parameters) : {},
+  recipients: schedule.recipients ? JSON.parse(schedule.recipients) : [],
+  status: schedule.status,
+  owner: schedule.owner ? (schedule.owner.name || schedule.owner.username) : null,
+  ownerId: schedule.ownerId,
+  nextRunAt: schedule.nextRunAt,
+  lastRunAt: schedule.lastRunAt,
+  lastError: schedule.lastError,
+  createdAt: schedule.createdAt
+});
+
+/**
+ * Generate one schedule's report for the window ending before `runAt`
+ * The report is attributed to the schedule's owner and emailed, in the
+ * report's format, to each of the schedule's recipients.
+ */
+const runSchedule = async (client, schedule, runAt) => {
+  if (schedule.owner.status !== 'active') {
+    throw new Error('Schedule owner account is not active');
+  }
+
+  const period = reportPeriod(schedule.period, runAt);
+  const request = validateReportRequest({
+    type: schedule.reportType,
+    ...period,
+    parameters: schedule.parameters ? JSON.parse(schedule.parameters) : {}
+  });
+  if (request.error) throw new Error(request.error.error);
+
+  const { report } = await createReportRecord(client, {
+    type: schedule.reportType,
+    request,
+    format: schedule.format,
+    notes: `Generated by schedule "${schedule.name}"`,
+    user: schedule.owner,
+    scheduleId: schedule.id
+  });
+
+  const recipients = schedule.recipients ? JSON.parse(schedule.recipients) : [];
+  for (const to of recipients) {
+    await queueEmail(client, {
+      template: 'scheduled_report',
+      to,
+      data: {
+        scheduleName: schedule.name,
+        reportId: report.reportId,
+        reportLabel: REPORT_TYPES[schedule.reportType]?.label || schedule.reportType,
+        format: report.format,
+        ...period
+      },
+      attachments: [{ kind: 'report', reportId: report.reportId, format: report.format }]
+    });
+  }
+
+  await client.activitylog.create({
+    data: {
+      message: `Scheduled report ${report.reportId} generated from "${schedule.name}"`,
+      action: 'generate_scheduled_report',
+      userId: schedule.ownerId,
+      metadata: JSON.stringify({
+        scheduleId: schedule.id,
+        reportId: report.reportId,
+        recipients
+      })
+    }
+  }).catch(err => console.error('Failed to log activity:', err));
+
+  return report;
+};
+
+/**
+ * Run every active schedule that is due
+ * Each schedule is claimed by moving its nextRunAt forward in a single
+ * conditional update, so a schedule only runs once even if two servers
+ * poll at the same moment. A failure is stored on the schedule and the
+ * next occurrence still runs.
+ * Resolves with the number of reports generated.
+ */
+const runDueSchedules = async (client, now = new Date()) => {
+  const due = await client.reportSchedule.findMany({
+    where: { status: 'active', nextRunAt: { lte: now } },
+    include: { owner: { select: { id: true, username: true, name: true, department: true, status: true } } },
+    orderBy: { nextRunAt: 'asc' }
+  });
+
+  let generated = 0;
+  for (const schedule of due) {
+    const { count } = await client.reportSchedule.updateMany({
+      where: { id: schedule.id, status: 'active', nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt: nextCronRun(schedule.recurrence, now), lastRunAt: now }
+    });
+    if (count === 0) continue;
+
+    try {
+      await runSchedule(client, schedule, now);
+      await client.reportSchedule.update({ where: { id: schedule.id }, data: { lastError: null } });
+      generated++;
+    } catch (error) {
+      console.error(`Report schedule #${schedule.id} failed:`, error);
+      await client.reportSchedule.update({ where: { id: schedule.id }, data: { lastError: error.message } });
+    }
+  }
+
+  return generated;
+};
+
+module.exports = {
+  reportPeriod,
+  validateSchedule,
+  formatSchedule,
+  runDueSchedules
+};
@@ -0,0 +1,145 @@
+// src/services/reportWorkflow.js
+
+const { REPORT_STATUSES, REPORT_ACTIONS, REPORT_REVIEWER_ROLES } = require('../config/reportWorkflow');
+
+/**
+ * Get a display label for a report status
+ */
+const getReportStatusLabel = (status) => {
+  return REPORT_STATUSES[status]?.label || status;
+};
+
+const isAuthor = (report, user) => report.generatedById === user.id || user.role === 'admin';
+
+const isReviewer = (report, user) => (
+  REPORT_REVIEWER_ROLES.includes(user.role) && report.generatedById !== user.id
+);
+
+/**
+ * Actions `user` can take on the report right now, for the UI
+ */
+const getAllowedReportActions = (report, user) => {
+  return Object.keys(REPORT_ACTIONS).filter(action => {
+    const def = REPORT_ACTIONS[action];
+    if (!def.from.includes(report.status)) return false;
+    return def.actor === 'author' ? isAuthor(report, user) : isReviewer(report, user);
+  });
+};
+
+/**
+ * Validate a review action
+ * Returns null when valid, otherwise an error payload
+ */
+const validateReportAction = (action, report, user, comment) => {
+  const def = REPORT_ACTIONS[action];
+
+  if (!def.from.includes(report.status)) {
+    return {
+      statusCode: 409,
+      error: `Cannot ${action} a report that is ${getReportStatusLabel(report.status).toLowerCase()}`,
+      code: 'INVALID_TRANSITION',
+      allowed: getAllowedReportActions(report, user)
+    };
+  }
+
+  if (def.actor === 'author' && !isAuthor(report, user)) {
+    return {
+      statusCode: 403,
+      error: `Only the report author or an admin can ${action} this report`,
+      code: 'FORBIDDEN'
+    };
+  }
+
+  if (def.actor === 'reviewer') {
+    if (!REPORT_REVIEWER_ROLES.includes(user.role)) {
+      return {
+        statusCode: 403,
+        error: `Only a ${REPORT_REVIEWER_ROLES.join(' or ')} can ${action} reports`,
+        code: 'FORBIDDEN'
+      };
+    }
+
+    // Sign-off has to come from someone other than the author, admins included
+    if (report.generatedById === user.id) {
+      return {
+        statusCode: 403,
+        error: 'You cannot sign off a report you generated',
+        code: 'SELF_REVIEW'
+      };
+    }
+  }
+
+  if (def.requiresComment && !(comment && String(comment).trim())) {
+    return {
+      statusCode: 400,
+      error: `A comment is required to ${action} a report`,
+      code: 'COMMENT_REQUIRED'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Validate an edit to a report's content
+ * Returns null when valid, otherwise an error payload
+ */
+const validateReportEdit = (report, user) => {
+  if (REPORT_STATUSES[report.status]?.locked) {
+    return {
+      statusCode: 409,
+      error: 'Approved reports are locked and cannot be edited',
+      code: 'REPORT_LOCKED'
+    };
+  }
+
+  if (!REPORT_STATUSES[report.status]?.editable) {
+    return {
+      statusCode: 409,
+      error: 'Withdraw the report from review before editing it',
+      code: 'REPORT_IN_REVIEW'
+    };
+  }
+
+  if (!isAuthor(report, user)) {
+    return {
+      statusCode: 403,
+      error: 'Only the report author or an admin can edit this report',
+      code: 'FORBIDDEN'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Report fields changed by a review action
+ * Approval records the signer; any other move clears it.
+ */
+const buildStatusData = (action, user, now = new Date()) => {
+  const to = REPORT_ACTIONS[action].to;
+  return to === 'approved'
+    ? { status: to, approvedById: user.id, approvedAt: now }
+    : { status: to, approvedById: null, approvedAt: null };
+};
+
+/**
+ * Format review rows (oldest first, with `user` included) as the approval chain
+ */
+const formatApprovalChain = (reviews = []) => reviews.map(r => ({
+  action: r.action,
+  label: REPORT_ACTIONS[r.action]?.label || r.action,
+  status: r.toStatus,
+  by: r.user ? (r.user.name || r.user.username) : 'Unknown',
+  comment: r.comment,
+  at: r.createdAt
+}));
+
+module.exports = {
+  getReportStatusLabel,
+  getAllowedReportActions,
+  validateReportAction,
+  validateReportEdit,
+  buildStatusData,
+  formatApprovalChain
+};
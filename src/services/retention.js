@@ -0,0 +1,327 @@
+// src/services/retention.js
+
+const fs = require('fs');
+const path = require('path');
+const { RETENTION_RECORD_TYPES, RETENTION_BACKUP } = require('../config/retention');
+const { getStatusesInGroup } = require('./caseWorkflow');
+const { recomputeCaseloads } = require('./caseload');
+const { getSystemSetting } = require('./settings');
+const { getStorage } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rows are read and written in chunks so a large purge doesn't build one huge query
+const CHUNK_SIZE = 1000;
+
+// How many record IDs a preview lists per policy
+const SAMPLE_SIZE = 20;
+
+let running = false;
+
+/**
+ * Records linked to a case under legal hold are exempt
+ */
+const notOnHeldCase = { OR: [{ caseId: null }, { case: { legalHold: false } }] };
+const onHeldCase = { case: { legalHold: true } };
+
+/**
+ * What each policy record type covers
+ *   base(cutoff)       - records old enough for the policy, before exemptions
+ *   eligible(base, a)  - records the action `a` will actually touch
+ *   exemptions(base,a) - named filters for records kept back, for the preview
+ *   backupInclude      - child rows the database deletes along with each
+ *                        record (ON DELETE CASCADE), written to the purge
+ *                        backup with their parent
+ *   documentKeys(r)    - storage keys of files that belong to a record
+ *                        (read with backupInclude) and go when it is purged
+ */
+const TARGETS = {
+  activity_logs: {
+    model: 'activitylog',
+    base: (cutoff) => ({ timestamp: { lt: cutoff } }),
+    eligible: (base) => base,
+    exemptions: () => ({}),
+    backupInclude: null,
+    documentKeys: () => [],
+    ref: (r) => `#${r.id}`
+  },
+  resolved_cases: {
+    model: 'caseFile',
+    base: (cutoff) => ({ status: { in: getStatusesInGroup('resolved') }, updatedAt: { lt: cutoff } }),
+    eligible: (base, action) => ({
+      ...base,
+      legalHold: false,
+      // Evidence must never be destroyed with its case
+      ...(action === 'archive' ? { archivedAt: null, deletedAt: null } : { evidence: { none: {} } })
+    }),
+    exemptions: (base, action) => ({
+      legalHold: { ...base, legalHold: true },
+      ...(action === 'purge' ? { evidence: { ...base, legalHold: false, evidence: { some: {} } } } : {})
+    }),
+    backupInclude: {
+      revisions: { include: { changes: true } },
+      notes: true,
+      persons: true
+    },
+    // Cases with evidence are never purged, so no files go with them
+    documentKeys: () => [],
+    ref: (r) => r.caseId
+  },
+  incidents: {
+    model: 'incident',
+    base: (cutoff) => ({ status: { not: 'active' }, timestamp: { lt: cutoff } }),
+    eligible: (base, action) => ({
+      ...base,
+      ...notOnHeldCase,
+      ...(action === 'archive' ? { archivedAt: null, deletedAt: null } : {})
+    }),
+    exemptions: (base) => ({ legalHold: { ...base, ...onHeldCase } }),
+    backupInclude: null,
+    documentKeys: () => [],
+    ref: (r) => `#${r.id}`
+  },
+  reports: {
+    model: 'report',
+    base: (cutoff) => ({ date: { lt: cutoff } }),
+    eligible: (base, action) => ({
+      ...base,
+      ...notOnHeldCase,
+      ...(action === 'archive' ? { archivedAt: null, deletedAt: null } : {})
+    }),
+    exemptions: (base) => ({ legalHold: { ...base, ...onHeldCase } }),
+    backupInclude: { reviews: true, exports: true },
+    // The PDF and exports issued on approval
+    documentKeys: (r) => [r.documentKey, ...r.exports.map(e => e.documentKey)].filter(Boolean),
+    ref: (r) => r.reportId
+  }
+};
+
+/**
+ * Validate a policy update
+ * Returns null when valid, otherwise an error payload
+ */
+const validatePolicy = (recordType, { action, retentionDays }) => {
+  const def = RETENTION_RECORD_TYPES[recordType];
+  if (!def) {
+    return {
+      statusCode: 404,
+      error: `Unknown record type: ${recordType}`,
+      code: 'POLICY_NOT_FOUND'
+    };
+  }
+
+  if (action !== undefined && !def.actions.includes(action)) {
+    return {
+      statusCode: 400,
+      error: `${def.label} can only be: ${def.actions.join(', ')}`,
+      code: 'INVALID_ACTION'
+    };
+  }
+
+  if (retentionDays !== undefined && !(Number.isInteger(Number(retentionDays)) && Number(retentionDays) > 0)) {
+    return {
+      statusCode: 400,
+      error: 'Retention period must be a whole number of days',
+      code: 'INVALID_RETENTION_DAYS'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Format a policy row for the API response
+ */
+const formatPolicy = (policy) => ({
+  recordType: policy.recordType,
+  label: RETENTION_RECORD_TYPES[policy.recordType]?.label || policy.recordType,
+  allowedActions: RETENTION_RECORD_TYPES[policy.recordType]?.actions || [],
+  action: policy.action,
+  retentionDays: policy.retentionDays,
+  enabled: policy.enabled,
+  updatedBy: policy.updatedBy?.name || policy.updatedBy?.username || null,
+  updatedAt: policy.updatedAt
+});
+
+/**
+ * Read every eligible row in chunks, with `include`d children if given
+ */
+const findAllEligible = async (delegate, where, include) => {
+  const rows = [];
+  let cursor = 0;
+
+  for (;;) {
+    const chunk = await delegate.findMany({
+      where: { ...where, id: { gt: cursor } },
+      orderBy: { id: 'asc' },
+      take: CHUNK_SIZE,
+      ...(include ? { include } : {})
+    });
+    rows.push(...chunk);
+    if (chunk.length < CHUNK_SIZE) return rows;
+    cursor = chunk[chunk.length - 1].id;
+  }
+};
+
+/**
+ * Write purged rows, with their cascaded children, to the backup directory
+ * before they are deleted
+ */
+const writeBackup = async (recordType, rows, now) => {
+  await fs.promises.mkdir(RETENTION_BACKUP.path, { recursive: true });
+
+  const file = path.join(RETENTION_BACKUP.path, `retention-${recordType}-${now.toISOString().replace(/[:.]/g, '-')}.json`);
+  await fs.promises.writeFile(file, JSON.stringify(rows, null, 2), { flag: 'wx' });
+
+  return path.basename(file);
+};
+
+/**
+ * Remove purged records' files from storage
+ * A file that can't be removed is logged and left; resolves with the number removed.
+ */
+const removeDocuments = async (keys) => {
+  let removed = 0;
+  for (const key of keys) {
+    await getStorage().remove(key)
+      .then(() => removed++)
+      .catch(err => console.error(`Failed to remove purged document ${key}:`, err.message));
+  }
+  return removed;
+};
+
+/**
+ * Preview or apply one policy
+ */
+const applyPolicy = async (client, policy, { dryRun, now, backup }) => {
+  const target = TARGETS[policy.recordType];
+  const delegate = client[target.model];
+  const cutoff = new Date(now.getTime() - policy.retentionDays * DAY_MS);
+
+  const base = target.base(cutoff);
+  const where = target.eligible(base, policy.action);
+
+  const exemptions = target.exemptions(base, policy.action);
+  const exempt = {};
+  for (const [reason, exemptWhere] of Object.entries(exemptions)) {
+    exempt[reason] = await delegate.count({ where: exemptWhere });
+  }
+
+  const result = {
+    recordType: policy.recordType,
+    action: policy.action,
+    retentionDays: policy.retentionDays,
+    cutoff,
+    exempt
+  };
+
+  if (dryRun) {
+    const [eligible, sample] = await Promise.all([
+      delegate.count({ where }),
+      delegate.findMany({ where, orderBy: { id: 'asc' }, take: SAMPLE_SIZE })
+    ]);
+    return { ...result, eligible, affected: 0, documentsRemoved: 0, sample: sample.map(target.ref), backupFile: null };
+  }
+
+  const purge = policy.action === 'purge';
+  const rows = await findAllEligible(delegate, where, purge ? target.backupInclude : null);
+
+  let backupFile = null;
+  if (purge && backup && rows.length > 0) {
+    backupFile = await writeBackup(policy.recordType, rows, now);
+  }
+
+  let affected = 0;
+  let documentsRemoved = 0;
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + CHUNK_SIZE);
+    const chunkWhere = { id: { in: chunk.map(r => r.id) } };
+
+    if (!purge) {
+      const { count } = await delegate.updateMany({ where: chunkWhere, data: { archivedAt: now } });
+      affected += count;
+      continue;
+    }
+
+    // Files are removed once their rows are gone, so a failed delete leaves both in place
+    const keys = chunk.flatMap(target.documentKeys);
+    const { count } = await delegate.deleteMany({ where: chunkWhere });
+    affected += count;
+    documentsRemoved += await removeDocuments(keys);
+  }
+
+  return {
+    ...result,
+    eligible: rows.length,
+    affected,
+    documentsRemoved,
+    sample: rows.slice(0, SAMPLE_SIZE).map(target.ref),
+    backupFile
+  };
+};
+
+/**
+ * Run every enabled retention policy
+ * With `dryRun` nothing is changed and the result is a preview report.
+ * Every run (preview or not) is recorded in retention_runs and the activity log.
+ * Returns null without doing anything if another run is still in progress.
+ */
+const runRetention = async (client, { dryRun = false, userId = null } = {}) => {
+  if (running) return null;
+
+  running = true;
+  try {
+    const now = new Date();
+    const run = await client.retentionRun.create({
+      data: { dryRun, triggeredById: userId, startedAt: now }
+    });
+
+    const policies = await client.retentionPolicy.findMany({
+      where: { enabled: true },
+      orderBy: { id: 'asc' }
+    });
+
+    const backup = await getSystemSetting(client, 'autoBackup');
+
+    const results = [];
+    for (const policy of policies) {
+      if (!TARGETS[policy.recordType]) continue;
+      results.push(await applyPolicy(client, policy, { dryRun, now, backup }));
+    }
+
+    // Purged cases leave officer caseload counters behind
+    if (!dryRun && results.some(r => r.recordType === 'resolved_cases' && r.action === 'purge' && r.affected > 0)) {
+      await recomputeCaseloads(client);
+    }
+
+    const summary = { policies: results };
+    const finished = await client.retentionRun.update({
+      where: { id: run.id },
+      data: { summary: JSON.stringify(summary), finishedAt: new Date() }
+    });
+
+    const totals = results.map(r => dryRun
+      ? `${r.recordType}: ${r.eligible} eligible`
+      : `${r.recordType}: ${r.affected} ${r.action === 'purge' ? 'purged' : 'archived'}${r.documentsRemoved ? `, ${r.documentsRemoved} documents removed` : ''}`);
+
+    await client.activitylog.create({
+      data: {
+        message: `Retention ${dryRun ? 'preview' : 'run'} #${run.id}${totals.length ? ` (${totals.join(', ')})` : ' (no enabled policies)'}`,
+        action: dryRun ? 'retention_preview' : 'retention_run',
+        userId,
+        metadata: JSON.stringify({ runId: run.id, ...summary })
+      }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    return { ...finished, summary };
+
+  } finally {
+    running = false;
+  }
+};
+
+module.exports = {
+  validatePolicy,
+  formatPolicy,
+  runRetention
+};
@@ -0,0 +1,62 @@
+// src/services/sequences.js
+
+const { SEQUENCES } = require('../config/sequences');
+
+/**
+ * Get the ID format for a sequence, with optional overrides
+ */
+const getSequenceFormat = (name, overrides = {}) => {
+  if (!SEQUENCES[name]) throw new Error(`Unknown sequence: ${name}`);
+  return { ...SEQUENCES[name], ...overrides };
+};
+
+/**
+ * Build the part of the ID before the number, e.g. "CA" or "CA-2026"
+ * The stem is also the counter's scope, so every stem numbers independently.
+ */
+const getSequenceStem = (format, options = {}) => {
+  const { department, date = new Date() } = options;
+  const prefix = (department && format.departmentPrefixes?.[department]) || format.prefix;
+  return format.yearlyReset ? `${prefix}-${date.getFullYear()}` : prefix;
+};
+
+/**
+ * Atomically take the next value of a counter
+ * The increment runs as a single UPDATE, so concurrent callers each get a
+ * distinct value. The first caller for a new scope creates the counter.
+ */
+const incrementCounter = async (client, name, scope, start) => {
+  const where = { name_scope: { name, scope } };
+
+  try {
+    const row = await client.sequence.update({ where, data: { value: { increment: 1 } } });
+    return row.value;
+  } catch (error) {
+    if (error.code !== 'P2025') throw error;
+  }
+
+  try {
+    const row = await client.sequence.create({ data: { name, scope, value: start } });
+    return row.value;
+  } catch (error) {
+    // Another request created the counter first; take the next value from it
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const row = await client.sequence.update({ where, data: { value: { increment: 1 } } });
+  return row.value;
+};
+
+/**
+ * Generate the next ID for a sequence ('case' or 'report')
+ * Options: department (selects a department prefix), date (for yearly reset)
+ */
+const nextSequenceId = async (client, name, options = {}) => {
+  const format = getSequenceFormat(name, options.format);
+  const stem = getSequenceStem(format, options);
+  const value = await incrementCounter(client, name, stem, format.start);
+
+  return `${stem}-${String(value).padStart(format.padding, '0')}`;
+};
+
+module.exports = { getSequenceFormat, getSequenceStem, nextSequenceId };
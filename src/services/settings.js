@@ -0,0 +1,136 @@
+// src/services/settings.js
+
+const { SETTINGS } = require('../config/settings');
+
+const isValidTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check one value against its definition
+ */
+const isValidValue = (def, value) => {
+  switch (def.type) {
+    case 'enum':
+      return def.values.includes(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'timezone':
+      return typeof value === 'string' && isValidTimezone(value);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Validate a batch of updates for a scope ('system' or 'user')
+ * Returns null when every key is known and every value valid, otherwise an error payload.
+ */
+const validateSettings = (scope, updates) => {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return {
+      statusCode: 400,
+      error: `${scope === 'system' ? 'System settings' : 'Preferences'} must be an object of key/value pairs`,
+      code: 'INVALID_SETTINGS'
+    };
+  }
+
+  const defs = SETTINGS[scope];
+  for (const [key, value] of Object.entries(updates)) {
+    const def = defs[key];
+    if (!def) {
+      return {
+        statusCode: 400,
+        error: `Unknown ${scope} setting: ${key}`,
+        code: 'UNKNOWN_SETTING'
+      };
+    }
+
+    if (!isValidValue(def, value)) {
+      return {
+        statusCode: 400,
+        error: def.type === 'enum'
+          ? `${key} must be one of: ${def.values.join(', ')}`
+          : `${key} must be a valid ${def.type}`,
+        code: 'INVALID_SETTING'
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Fill stored rows over the defaults for a scope
+ * Rows for keys no longer defined are ignored.
+ */
+const mergeWithDefaults = (scope, rows) => {
+  const values = Object.fromEntries(
+    Object.entries(SETTINGS[scope]).map(([key, def]) => [key, def.default])
+  );
+
+  rows.forEach(row => {
+    if (!(row.key in values)) return;
+    try {
+      values[row.key] = JSON.parse(row.value);
+    } catch {
+      console.error(`Ignoring unreadable setting ${row.key}`);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * All system settings, with defaults for anything not yet saved
+ */
+const getSystemSettings = async (client) => {
+  const rows = await client.systemSetting.findMany();
+  return mergeWithDefaults('system', rows);
+};
+
+/**
+ * A single system setting
+ */
+const getSystemSetting = async (client, key) => {
+  const settings = await getSystemSettings(client);
+  return settings[key];
+};
+
+/**
+ * A user's preferences, with defaults for anything not yet saved
+ */
+const getUserPreferences = async (client, userId) => {
+  const rows = await client.userPreference.findMany({ where: { userId } });
+  return mergeWithDefaults('user', rows);
+};
+
+/**
+ * Upsert operations for validated updates, to run in one transaction
+ */
+const settingsUpserts = (client, scope, updates, userId) => Object.entries(updates).map(([key, value]) => (
+  scope === 'system'
+    ? client.systemSetting.upsert({
+        where: { key },
+        update: { value: JSON.stringify(value), updatedById: userId },
+        create: { key, value: JSON.stringify(value), updatedById: userId }
+      })
+    : client.userPreference.upsert({
+        where: { userId_key: { userId, key } },
+        update: { value: JSON.stringify(value) },
+        create: { userId, key, value: JSON.stringify(value) }
+      })
+));
+
+module.exports = {
+  validateSettings,
+  getSystemSettings,
+  getSystemSetting,
+  getUserPreferences,
+  settingsUpserts
+};
@@ -0,0 +1,32 @@
+// src/services/storage/index.js
+
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+
+/**
+ * Storage backends by name
+ * Each backend exposes put(key, buffer), createReadStream(key), exists(key), remove(key)
+ */
+const backends = {
+  local: () => createLocalStorage(
+    process.env.EVIDENCE_STORAGE_PATH || path.join(process.cwd(), 'storage', 'evidence')
+  )
+};
+
+let storage = null;
+
+/**
+ * Get the configured evidence storage backend (EVIDENCE_STORAGE, default "local")
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.EVIDENCE_STORAGE || 'local';
+    if (!backends[name]) {
+      throw new Error(`Unknown evidence storage backend: ${name}`);
+    }
+    storage = backends[name]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,64 @@
+// src/services/storage/localStorage.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local filesystem storage backend
+ * Files are written under rootDir using the storage key as a relative path.
+ */
+const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Keep keys inside the storage root
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Store a buffer under the given key
+     */
+    put: async (key, buffer) => {
+      const fullPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      // wx: never overwrite an existing evidence file
+      await fs.promises.writeFile(fullPath, buffer, { flag: 'wx' });
+      return key;
+    },
+
+    /**
+     * Open a read stream for the given key
+     */
+    createReadStream: (key) => {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    /**
+     * Check if a key exists
+     */
+    exists: async (key) => {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    /**
+     * Remove the file for the given key
+     */
+    remove: async (key) => {
+      await fs.promises.unlink(resolveKey(key));
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,215 @@
+// src/services/tabularExport.js
+
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  excel: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Records are read from the database this many at a time while exporting
+const BATCH_SIZE = 500;
+
+/**
+ * Map a requested format to 'csv' or 'excel' (null when unsupported)
+ */
+const normalizeExportFormat = (format) => {
+  const value = String(format || '').toLowerCase();
+  if (value === 'xlsx') return 'excel';
+  return EXPORT_FORMATS[value] ? value : null;
+};
+
+/**
+ * Text that a spreadsheet would run as a formula is prefixed with a quote
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+/**
+ * Excel sheet names: at most 31 characters, no []:*?/\ and unique per workbook
+ */
+const sheetNamer = () => {
+  const used = new Set();
+  return (title) => {
+    const base = String(title || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').slice(0, 28).trim() || 'Sheet';
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} ${n}`;
+    used.add(name.toLowerCase());
+    return name;
+  };
+};
+
+/**
+ * Headers for a CSV or XLSX download
+ */
+const setDownloadHeaders = (res, format, filename) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+};
+
+/**
+ * Start writing CSV or XLSX to a stream (a response or any writable)
+ * Returns a writer with startTable(title, headers), addRow(values) and finish().
+ * CSV puts every table in one file (titled tables get a title line); XLSX
+ * gives each table its own sheet.
+ */
+const createTableWriter = (res, format) => {
+  if (format === 'csv') {
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+    let started = false;
+
+    // Byte order mark so Excel opens the file as UTF-8
+    res.write('\uFEFF');
+
+    return {
+      startTable: async (title, headers) => {
+        if (started) await write('\r\n');
+        started = true;
+        if (title) await write(csvLine([title]));
+        await write(csvLine(headers));
+      },
+      addRow: (values) => write(csvLine(values)),
+      finish: async () => {
+        res.end();
+      }
+    };
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const nameSheet = sheetNamer();
+  let sheet = null;
+
+  return {
+    startTable: async (title, headers) => {
+      if (sheet) sheet.commit();
+      sheet = workbook.addWorksheet(nameSheet(title));
+      sheet.columns = headers.map(header => ({ header, width: Math.max(12, String(header).length + 2) }));
+      sheet.getRow(1).font = { bold: true };
+    },
+    addRow: async (values) => {
+      sheet.addRow(values.map(v => (v === undefined ? null : v))).commit();
+    },
+    finish: async () => {
+      if (sheet) sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+/**
+ * Call `handler` with successive batches of records
+ * `args.orderBy` must end with a unique `id` ordering so the cursor is stable.
+ */
+const forEachBatch = async (delegate, args, handler) => {
+  let cursor = null;
+
+  for (;;) {
+    const batch = await delegate.findMany({
+      ...args,
+      take: BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    if (batch.length === 0) return;
+
+    await handler(batch);
+    if (batch.length < BATCH_SIZE) return;
+    cursor = batch[batch.length - 1].id;
+  }
+};
+
+/**
+ * Stream a list export
+ * `columns` is [{ header, value: (record) => cell }]. Once the download has
+ * started an error can no longer be sent as JSON, so the connection is dropped.
+ */
+const exportList = async (res, { format, filename, delegate, args, columns }) => {
+  setDownloadHeaders(res, format, filename);
+  const writer = createTableWriter(res, format);
+
+  try {
+    await writer.startTable(null, columns.map(c => c.header));
+    await forEachBatch(delegate, args, async (batch) => {
+      for (const record of batch) {
+        await writer.addRow(columns.map(c => c.value(record)));
+      }
+    });
+    await writer.finish();
+  } catch (error) {
+    console.error(`Export ${filename} failed:`, error);
+    res.destroy(error);
+  }
+};
+
+/**
+ * Write a report (see buildReportContent) through a table writer
+ * The first table holds the report details and summary; each data table
+ * follows. Verification lines are left out when there is no hash.
+ */
+const writeReport = async (writer, { content, hash, verificationCode = null }) => {
+  await writer.startTable(content.title, ['Field', 'Value']);
+  for (const [label, value] of content.metadata) await writer.addRow([label, value]);
+  for (const [label, value] of content.summary) await writer.addRow([label, value]);
+  if (content.notes) await writer.addRow(['Notes', content.notes]);
+  for (const [label, value] of content.approvals) await writer.addRow([label, value]);
+  await writer.addRow(['Sign-off', content.signOff]);
+  if (verificationCode) await writer.addRow(['Verification code', verificationCode]);
+  if (hash) await writer.addRow(['Verification SHA-256', hash]);
+
+  for (const table of content.tables) {
+    await writer.startTable(table.title, table.columns.map(c => c.header));
+    for (const row of table.rows) await writer.addRow(row);
+  }
+
+  await writer.finish();
+};
+
+/**
+ * Stream a report as a CSV or XLSX download
+ */
+const exportReport = async (res, { format, filename, content, hash, verificationCode = null }) => {
+  setDownloadHeaders(res, format, filename);
+
+  try {
+    await writeReport(createTableWriter(res, format), { content, hash, verificationCode });
+  } catch (error) {
+    console.error(`Export ${filename} failed:`, error);
+    res.destroy(error);
+  }
+};
+
+/**
+ * Render a report as a CSV or XLSX file in memory
+ * Used to issue the exports of an approved report, which are stored and
+ * served as-is from then on.
+ */
+const renderReportExport = async (format, { content, hash, verificationCode = null }) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const ended = once(stream, 'end');
+
+  await writeReport(createTableWriter(stream, format), { content, hash, verificationCode });
+  await ended;
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  normalizeExportFormat,
+  exportList,
+  exportReport,
+  renderReportExport
+};